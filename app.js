@@ -4,16 +4,58 @@
   - Clear separation of concerns and comments for maintainability
 */
 
+import { parseMidiFile, convertSmpteToPpq } from './midi-file-parser.js';
+import { PianoRoll } from './piano-roll.js';
+import { VirtualKeyboard, noteName } from './virtual-keyboard.js';
+import { WavWriter } from './wav-encoder.js';
+import { LibraryStore } from './library-store.js';
+import { exportPlaylistJson, exportPlaylistM3u, parsePlaylistFile } from './playlist-io.js';
+import { unzip } from './zip-reader.js';
+import { isRiffMidi, unwrapRiffMidi } from './riff-midi.js';
+import { ConversionError } from './smf-writer.js';
+import { mmlToSmf } from './mml-converter.js';
+import { mldToSmf } from './mld-converter.js';
+import { isWebMidiSupported, getMidiAccess, listenToMidiInput, MidiOutputScheduler } from './web-midi.js';
+import { StuckNoteWatchdog } from './note-watchdog.js';
+import { parseSoundFont, findMissingPresets } from './sf2-parser.js';
+import { TimingState, DEFAULT_TEMPO_US_PER_QUARTER, DEFAULT_PPQ } from './timing-state.js';
+
 // ---------------------------------------------------------------------------
 // Constants / Config
 // ---------------------------------------------------------------------------
 const UI_UPDATE_INTERVAL_MS = 50;     // ~20 fps timeline updates
-const DEFAULT_TEMPO_US_PER_QUARTER = 500000; // 120 BPM
-const DEFAULT_PPQ = 480;              // PPQ = Pulses Per Quarter note (MIDI tick resolution)
 const PAUSE_LOW_POWER_MS = 30000;     // 30s to fully suspend when paused
-const SUPPORTED_MIDI_EXTENSIONS = ['mid', 'midi', 'mld', 'mml', 'mmi', 'ms2mml', 'mms'];
+const SUPPORTED_MIDI_EXTENSIONS = ['mid', 'midi', 'rmi', 'mld', 'mml', 'mmi', 'ms2mml', 'mms'];
+const SUPPORTED_SF2_EXTENSIONS = ['sf2', 'sf3'];
+const SUPPORTED_ARCHIVE_EXTENSIONS = ['zip'];
+const MML_EXTENSIONS = ['mml', 'mmi', 'ms2mml', 'mms']; // MML text, converted to SMF on load
+const SF2_CACHE_LIMIT = 4;            // bundled SoundFonts kept in memory (most recently used)
+const MAX_LISTED_SKIPPED = 20;        // skipped archive entries listed in the import summary
 const SEEK_SLIDER_MAX = 1000;         // range max for seek slider
+const MIDI_CHANNEL_COUNT = 16;        // channels shown in the mixer
+const DRUM_CHANNEL = 9;               // GM percussion channel (channel 10, 0-based 9)
+const DRUM_BANK = 128;                // SoundFont bank holding drum kits
+const METER_HALF_LIFE_MS = 250;       // activity meter decay after a note-on
+const METER_HELD_LEVEL = 0.15;        // minimum meter level while notes are held
 const TEST_BEEP_DURATION_MS = 1000;   // test beep duration
+const LOOP_SEEK_GUARD_MS = 100;       // ignore A–B checks right after a loop seek (synth tick not updated yet)
+const STUCK_NOTE_CHECK_INTERVAL_MS = 500; // how often held notes are compared with the file's note-offs
+const POSITION_SAVE_INTERVAL_MS = 5000; // how often the playback position is saved while playing
+const STATE_PLAYLISTS = 'playlists';  // saved state keys (see library-store.js)
+const STATE_ACTIVE_PLAYLIST = 'activePlaylist';
+const STATE_LAST_SF2 = 'lastSf2';          // single SF2 saved by older versions (read once, as a one-layer stack)
+const STATE_SF2_STACK = 'sf2Stack';        // [{ value, bankOffset }]: SoundFont stack, top layer first
+const STATE_LAST_POSITION = 'lastPosition';
+const STATE_MIDI_OUTPUT = 'midiOutput';     // { id, only }: last chosen Web MIDI output port
+const STATE_LIVE_INPUT = 'liveInput';       // { id, channel, bank, program }: MIDI keyboard and live preset
+const STATE_EFFECTS = 'effects';            // { preset, reverb, chorus }: reverb/chorus settings
+const MIDI_CONNECT_OPTION = 'connect';      // MIDI port select value that asks for Web MIDI access
+const PLAY_HISTORY_LIMIT = 100;       // tracks remembered for Previous
+const REPEAT_MODE = Object.freeze({
+  off: 'off',           // stop after the last track (or after the current one when Autoplay is off)
+  one: 'one',           // replay the current track
+  all: 'all'            // wrap around to the first track (a new shuffle cycle when shuffling)
+});
 const AUDIO_STATE = Object.freeze({
   playing: 'playing',   // full pipeline active (context resumed, main + heartbeat connected)
   paused: 'paused',     // playback stopped but graph kept warm for instant resume
@@ -21,74 +63,82 @@ const AUDIO_STATE = Object.freeze({
   lowPower: 'lowPower', // like stopped; entered after idle pause timeout for battery savings
   wakeUp: 'wakeUp'      // transient state to quickly resume context and reconnect nodes
 });
+// Reverb/chorus defaults and accepted ranges, from the player (synthesizer-player.js is loaded before this module)
+const { DEFAULT_EFFECTS, EFFECT_RANGES } = window.JSSynthPlayer;
+// Reverb/chorus presets (FluidSynth parameters); "default" is FluidSynth's own setting
+const EFFECT_PRESETS = Object.freeze({
+  default: { label: 'Default', ...DEFAULT_EFFECTS },
+  dry: { label: 'Dry', reverb: { ...DEFAULT_EFFECTS.reverb, on: false }, chorus: { ...DEFAULT_EFFECTS.chorus, on: false } },
+  room: { label: 'Room', reverb: { on: true, roomsize: 0.4, damping: 0.5, width: 0.8, level: 0.6 }, chorus: { on: true, voices: 3, level: 1.2, speed: 0.3, depth: 6 } },
+  hall: { label: 'Hall', reverb: { on: true, roomsize: 0.8, damping: 0.25, width: 1, level: 0.8 }, chorus: { on: true, voices: 3, level: 1.5, speed: 0.3, depth: 8 } },
+  cathedral: { label: 'Cathedral', reverb: { on: true, roomsize: 1, damping: 0.1, width: 1, level: 1 }, chorus: { on: true, voices: 4, level: 1.5, speed: 0.2, depth: 10 } }
+});
+const CUSTOM_EFFECTS_PRESET = 'custom';     // preset select value once a slider was moved
+// Effect sliders: parameter, label, step and unit (the range is the player's EFFECT_RANGES)
+const EFFECT_CONTROLS = Object.freeze({
+  reverb: [
+    { param: 'roomsize', label: 'Room size', step: 0.01 },
+    { param: 'damping', label: 'Damping', step: 0.01 },
+    { param: 'width', label: 'Width', step: 0.1 },
+    { param: 'level', label: 'Level', step: 0.01 }
+  ],
+  chorus: [
+    { param: 'voices', label: 'Voices', step: 1 },
+    { param: 'level', label: 'Level', step: 0.1 },
+    { param: 'speed', label: 'Speed', step: 0.1, unit: 'Hz' },
+    { param: 'depth', label: 'Depth', step: 1, unit: 'ms' }
+  ]
+});
 const SOUND_DATA_PATH = './sound_data/';
-const customSf2Registry = new Map();  // Registry for custom SF2s added during this session: name -> ArrayBuffer
+const DEMO_MIDI_PATH = 'sound_data/MIDI/demo.MID'; // bundled paths are relative to the app root
+const DEFAULT_PLAYLIST_NAME = 'Playlist';
+const customSf2Registry = new Map();  // Registry for custom SF2s (added this session or restored from storage): name -> ArrayBuffer
+const sf2BytesCache = new Map();      // bundled SoundFont name -> Promise<ArrayBuffer>, least recently used first
+const library = new LibraryStore();   // IndexedDB persistence (playlist, custom SF2s, last selection/position)
 
 // ---------------------------------------------------------------------------
 // App State
 // ---------------------------------------------------------------------------
 let player;              // JSSynthPlayer instance
-const playlist = [];     // { name, ext, file, arrayBuffer? }
+const playlist = [];     // active playlist: { name, ext, file, arrayBuffer?, path?, id?, sf2? } (id: saved track id; path: bundled file; sf2: pinned SoundFont)
+const playlists = [{ id: 1, name: DEFAULT_PLAYLIST_NAME, items: null }]; // named playlists (items of the active one live in `playlist`)
+let activePlaylistId = 1;
 let currentIndex = -1;   // active playlist index
+let trackLoaded = false; // the player holds the SMF of the active track (false after a failed load)
 let isPlaying = false;   // transport state (true while playing)
 let autoplay = true;     // autoplay toggle state
+let repeatMode = REPEAT_MODE.off; // see REPEAT_MODE
+let shuffle = false;     // shuffle toggle state
+let shuffleBag = [];     // playlist items not played yet in the current shuffle cycle
+const playHistory = [];  // previously played playlist items, most recent last (Previous pops it)
+let currentSmf = null;   // parsed SMF of the active track (see midi-file-parser.js), null if unparseable
+const loopRegion = { a: null, b: null }; // A–B loop markers in ticks (null when unset)
+let lastLoopSeekAt = 0;  // performance.now() of the last A–B loop seek
+let lastStuckNoteCheckAt = 0; // performance.now() of the last stuck-note check
+let exportJob = null;    // running WAV export: { item, cancelled } (one at a time)
+let lastPositionSaveAt = 0; // performance.now() of the last saved playback position
+let sf2Stack = [];        // SoundFont stack on the synths, top priority first: { value (dropdown value), bankOffset }
+let trackSf2 = null;      // SoundFont loaded instead of the stack for a track: { item, value } (value: pinned SF2, null for an RMI's embedded one)
+let draggedRow = null;    // playlist <li> being dragged to reorder (null for file drags)
+let midiAccess = null;   // MIDIAccess once granted (Web MIDI output and input)
+let liveInputPort = null; // MIDIInput playing the live synth (null when off)
+let detachLiveInput = null; // removes the listener of liveInputPort
+const inspectedSoundFonts = new WeakMap(); // SoundFont bytes -> { report, error }: parsed structure (inspector)
+let effectsPreset = 'default'; // EFFECT_PRESETS key, or CUSTOM_EFFECTS_PRESET
+let fileDragDepth = 0;   // nested dragenter/dragleave count while files are dragged over the page
 
 // ---------------------------------------------------------------------------
-// Timing State Management
+// Timing State Management (see timing-state.js)
 // ---------------------------------------------------------------------------
-class TimingState {
-  constructor() {
-    this.currentTick = 0;                 // source of truth for playhead
-    this.totalTicks = 0;                  // track length in ticks
-    this.tempoUsPerQuarter = DEFAULT_TEMPO_US_PER_QUARTER; // last known tempo
-    this.ppq = DEFAULT_PPQ;               // PPQ from SMF header (division)
-  }
-
-  /** Reset to default values (used when loading new track). */
-  reset() {
-    this.currentTick = 0;
-    this.totalTicks = 0;
-    this.tempoUsPerQuarter = DEFAULT_TEMPO_US_PER_QUARTER;
-    this.ppq = DEFAULT_PPQ;
-    this.secPerTick = 0;
-    this.setSecPerTick();
-  }
-
-  /** Update timing from synth values. */
-  updateFromSynth(totalTicks, tempoUsPerQuarter, ppq = this.ppq) {
-    if (typeof totalTicks === 'number' && totalTicks > 0) this.totalTicks = totalTicks;
-    if (typeof tempoUsPerQuarter === 'number' && tempoUsPerQuarter > 0) this.tempoUsPerQuarter = tempoUsPerQuarter;
-    if (typeof ppq === 'number' && ppq > 0) this.ppq = ppq;
-    this.setSecPerTick();
-  }
-
-  /** Calculate seconds per tick based on current tempo and PPQ. */
-  setSecPerTick() {
-    this.secPerTick = (this.tempoUsPerQuarter / 1e6) / this.ppq;
-  }
-
-  /** Convert ticks to seconds. */
-  ticksToSeconds(ticks) {
-    return ticks * this.secPerTick;
-  }
-
-  /** Convert seconds to ticks. */
-  secondsToTicks(seconds) {
-    console.warn('[WARN] secondsToTicks not tested / called yet.');  // May be used in the future
-    return seconds / this.secPerTick;
-  }
-
-  /** Clamp currentTick to valid range. */
-  clampTick() {
-    this.currentTick = Math.max(0, Math.min(this.currentTick, this.totalTicks));
-  }
-}
-
 const timing = new TimingState();
+const midiOut = new MidiOutputScheduler(timing); // Web MIDI output, driven by the transport below
+const stuckNotes = new StuckNoteWatchdog(timing); // releases notes held past their note-off (see note-watchdog.js)
 let rafId = 0;           // UI loop handle
 let suppressFirstSynthRead = false; // Skip one synth tick read on play to avoid flicker
-let lastUi = { cur: '', tot: '', seek: '' };
+let lastUi = { cur: '', tot: '', seek: '', real: '' };
 let pauseLowPowerTimer = 0;
+let pianoRoll = null;    // PianoRoll renderer (created once the DOM is wired)
+let virtualKeyboard = null; // VirtualKeyboard (created once the DOM is wired)
 
 // ---------------------------------------------------------------------------
 // DOM Elements
@@ -98,6 +148,7 @@ const playlistEl = document.getElementById('playlist');
 const playPauseBtn = document.getElementById('playPauseBtn');
 const rewindBtn = document.getElementById('rewindBtn');
 const stopBtn = document.getElementById('stopBtn');
+const panicBtn = document.getElementById('panicBtn');
 const prevBtn = document.getElementById('prevBtn');
 const nextBtn = document.getElementById('nextBtn');
 const seekEl = document.getElementById('seek');
@@ -105,14 +156,63 @@ const volumeEl = document.getElementById('volume');
 const currentTimeEl = document.getElementById('currentTime');
 const totalTimeEl = document.getElementById('totalTime');
 const trackTitleEl = document.getElementById('trackTitle');
+const trackInfoEl = document.getElementById('trackInfo');
+const realTimeEl = document.getElementById('realTime');
+const speedEl = document.getElementById('speed');
+const speedValueEl = document.getElementById('speedValue');
+const transposeEl = document.getElementById('transpose');
+const loopABtn = document.getElementById('loopABtn');
+const loopBBtn = document.getElementById('loopBBtn');
+const loopClearBtn = document.getElementById('loopClearBtn');
+const loopRegionEl = document.getElementById('loopRegion');
+const loopMarkerAEl = document.getElementById('loopMarkerA');
+const loopMarkerBEl = document.getElementById('loopMarkerB');
 const autoplayToggle = document.getElementById('autoplayToggle');
-const loopToggle = document.getElementById('loopToggle');
+const repeatModeEl = document.getElementById('repeatMode');
+const shuffleToggle = document.getElementById('shuffleToggle');
 const sf2Input = document.getElementById('sf2Input');
 const sf2Select = document.getElementById('sf2Select');
+const embeddedSf2Toggle = document.getElementById('embeddedSf2Toggle');
 const refreshSf2Btn = document.getElementById('refreshSf2Btn');
+const sf2LayerSelect = document.getElementById('sf2LayerSelect');
+const sf2StackEl = document.getElementById('sf2Stack');
 const testBeepBtn = document.getElementById('testBeepBtn');
 const testChordBtn = document.getElementById('testChordBtn');
 const playDemoBtn = document.getElementById('playDemoBtn');
+const mixerStripsEl = document.getElementById('mixerStrips');
+const mixerResetBtn = document.getElementById('mixerResetBtn');
+const pianoRollCanvas = document.getElementById('pianoRoll');
+const wavBitDepthEl = document.getElementById('wavBitDepth');
+const playlistSelect = document.getElementById('playlistSelect');
+const newPlaylistBtn = document.getElementById('newPlaylistBtn');
+const renamePlaylistBtn = document.getElementById('renamePlaylistBtn');
+const deletePlaylistBtn = document.getElementById('deletePlaylistBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const exportM3uBtn = document.getElementById('exportM3uBtn');
+const playlistImportInput = document.getElementById('playlistImportInput');
+const storagePanelEl = document.getElementById('storagePanel');
+const storageUsageEl = document.getElementById('storageUsage');
+const clearStorageBtn = document.getElementById('clearStorageBtn');
+const midiOutputSelect = document.getElementById('midiOutputSelect');
+const midiOutOnlyToggle = document.getElementById('midiOutOnlyToggle');
+const liveInputSelect = document.getElementById('liveInputSelect');
+const liveChannelEl = document.getElementById('liveChannel');
+const liveBankEl = document.getElementById('liveBank');
+const liveProgramEl = document.getElementById('liveProgram');
+const livePresetNameEl = document.getElementById('livePresetName');
+const presetSelect = document.getElementById('presetSelect');
+const octaveDownBtn = document.getElementById('octaveDownBtn');
+const octaveUpBtn = document.getElementById('octaveUpBtn');
+const octaveLabelEl = document.getElementById('octaveLabel');
+const virtualKeyboardEl = document.getElementById('virtualKeyboard');
+const sf2SummaryEl = document.getElementById('sf2Summary');
+const sf2InfoEl = document.getElementById('sf2Info');
+const sf2MissingEl = document.getElementById('sf2Missing');
+const sf2PresetsPanel = document.getElementById('sf2PresetsPanel');
+const sf2InstrumentsPanel = document.getElementById('sf2InstrumentsPanel');
+const sf2SamplesPanel = document.getElementById('sf2SamplesPanel');
+const effectsPresetEl = document.getElementById('effectsPreset');
+const effectsControlsEl = document.getElementById('effectsControls');
 
 // Disable MIDI Test button until synth and SF2 are loaded
 if (testChordBtn) testChordBtn.disabled = true;
@@ -208,10 +308,8 @@ function formatTimeStr(seconds) {
 // Playlist helpers
 /** @returns {number} number of tracks in playlist */
 function getTrackCount() { return playlist.length; }
-/** @returns {boolean} true if exactly one track */
-function hasSingleTrack() { return getTrackCount() === 1; }
 /** Create a playlist list item with actions and wiring. */
-function createPlaylistItem(name) {
+function createPlaylistItem(name, pinnedSf2 = '') {
   const listItem = document.createElement('li');
   const titleSpan = document.createElement('span');
   titleSpan.className = 'title';
@@ -222,8 +320,7 @@ function createPlaylistItem(name) {
   playButton.addEventListener('click', async () => {
     try {
       const indexInList = [...playlistEl.children].indexOf(listItem);
-      await loadTrack(indexInList);
-      playTrack();
+      if (await loadTrack(indexInList) !== false) playTrack();
     } catch (error) {
       console.error('[ERROR] Failed to play track from playlist:', error);
     }
@@ -233,56 +330,187 @@ function createPlaylistItem(name) {
   removeButton.title = 'Remove';
   removeButton.addEventListener('click', () => {
     const indexInList = [...playlistEl.children].indexOf(listItem);
+    const item = playlist[indexInList];
     if (indexInList === currentIndex) {
-      stopTrack();
-      currentIndex = -1;
-      trackTitleEl.textContent = 'No track loaded';
+      unloadCurrentTrack();
     } else if (indexInList < currentIndex) {
       currentIndex -= 1;
     }
+    if (exportJob && exportJob.item === item) exportJob.cancelled = true;
     playlist.splice(indexInList, 1);
     listItem.remove();
     highlightActive();
+    renderPlaylistSelect();
+    forgetPlaylistItem(item);
+  });
+  const sf2Pin = document.createElement('select');
+  sf2Pin.className = 'sf2-pin';
+  sf2Pin.title = 'SoundFont for this track (Default: the selected SF2 stack)';
+  fillSf2PinOptions(sf2Pin, pinnedSf2);
+  sf2Pin.addEventListener('change', () => {
+    const indexInList = [...playlistEl.children].indexOf(listItem);
+    pinTrackSf2(playlist[indexInList], sf2Pin.value)
+      .catch(error => console.error('[ERROR] Failed to pin SoundFont:', error));
+  });
+  const exportButton = document.createElement('button');
+  exportButton.textContent = 'WAV';
+  exportButton.title = 'Export WAV (click again to cancel)';
+  exportButton.addEventListener('click', () => {
+    const indexInList = [...playlistEl.children].indexOf(listItem);
+    exportWav(indexInList, exportButton);
   });
+  actionsContainer.appendChild(sf2Pin);
   actionsContainer.appendChild(playButton);
+  actionsContainer.appendChild(exportButton);
   actionsContainer.appendChild(removeButton);
   listItem.appendChild(titleSpan);
   listItem.appendChild(actionsContainer);
   listItem.addEventListener('dblclick', async () => {
     try {
       const indexInList = [...playlistEl.children].indexOf(listItem);
-      await loadTrack(indexInList);
-      playTrack();
+      if (await loadTrack(indexInList) !== false) playTrack();
     } catch (error) {
       console.error('[ERROR] Failed to play track from double-click:', error);
     }
   });
+  // Drag to reorder: the row is dropped before or after the hovered row (upper/lower half)
+  listItem.draggable = true;
+  listItem.addEventListener('dragstart', (e) => {
+    draggedRow = listItem;
+    listItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', listItem.querySelector('.title').textContent);
+  });
+  listItem.addEventListener('dragend', () => {
+    draggedRow = null;
+    listItem.classList.remove('dragging');
+    clearRowDropMarkers();
+  });
+  listItem.addEventListener('dragover', (e) => {
+    if (!draggedRow || draggedRow === listItem) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const after = isLowerHalf(listItem, e);
+    clearRowDropMarkers();
+    listItem.classList.add(after ? 'drop-after' : 'drop-before');
+  });
+  listItem.addEventListener('drop', (e) => {
+    if (!draggedRow || draggedRow === listItem) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const rows = [...playlistEl.children];
+    const from = rows.indexOf(draggedRow);
+    let to = rows.indexOf(listItem) + (isLowerHalf(listItem, e) ? 1 : 0);
+    if (from < to) to -= 1; // the dragged row leaves its slot first
+    clearRowDropMarkers();
+    movePlaylistItem(from, to);
+  });
   return listItem;
 }
+
+/** True when the pointer is over the lower half of an element. */
+function isLowerHalf(element, e) {
+  const rect = element.getBoundingClientRect();
+  return e.clientY > rect.top + rect.height / 2;
+}
+
+/** Remove the before/after drop indicators from every playlist row. */
+function clearRowDropMarkers() {
+  for (const row of playlistEl.children) row.classList.remove('drop-before', 'drop-after');
+}
+
+/** Move a playlist entry (UI and list), keeping currentIndex on the same track. */
+function movePlaylistItem(from, to) {
+  const len = getTrackCount();
+  if (from < 0 || from >= len || to < 0 || to >= len || from === to) return;
+  const [item] = playlist.splice(from, 1);
+  playlist.splice(to, 0, item);
+  const row = playlistEl.children[from];
+  row.remove();
+  playlistEl.insertBefore(row, playlistEl.children[to] || null);
+  if (currentIndex === from) {
+    currentIndex = to;
+  } else if (from < currentIndex && to >= currentIndex) {
+    currentIndex -= 1;
+  } else if (from > currentIndex && to <= currentIndex) {
+    currentIndex += 1;
+  }
+  highlightActive();
+  savePlaylists();
+}
+/** Start a new shuffle cycle: every track except the current one. */
+function refillShuffleBag() {
+  const current = playlist[currentIndex];
+  shuffleBag = playlist.filter(item => item !== current);
+}
+
+/** Draw a random unplayed track from the shuffle bag; null when the cycle is exhausted. */
+function takeFromShuffleBag() {
+  shuffleBag = shuffleBag.filter(item => playlist.includes(item)); // drop removed tracks
+  if (shuffleBag.length === 0) return null;
+  const [item] = shuffleBag.splice(Math.floor(Math.random() * shuffleBag.length), 1);
+  return playlist.indexOf(item);
+}
+
 /**
- * Next index when advancing due to player end.
- * Honors Loop and Autoplay; returns null when stopping.
+ * Next index in play order (sequential or shuffled).
+ * @param {boolean} wrap start over (new shuffle cycle) after the last track
+ * @returns {number|null} null when the order is exhausted and wrap is false
  */
-function getNextIndexForPlayer() {
+function getNextIndexInOrder(wrap) {
   const len = getTrackCount();
   if (len === 0) return null;
-  if (hasSingleTrack()) return null; // handled by onEnded branch
-  const loopOn = !!(loopToggle && loopToggle.checked);
-  if (loopOn) return (currentIndex + 1) % len;
-  if (autoplay) return currentIndex < len - 1 ? currentIndex + 1 : null;
-  return null;
+  if (shuffle) {
+    let next = takeFromShuffleBag();
+    if (next === null && wrap) {
+      refillShuffleBag();
+      next = takeFromShuffleBag();
+      if (next === null) next = Math.max(0, currentIndex); // single track
+    }
+    return next;
+  }
+  if (currentIndex < len - 1) return currentIndex + 1;
+  return wrap ? 0 : null;
+}
+
+/**
+ * Next index when advancing due to player end.
+ * Honors the repeat mode, shuffle and Autoplay; returns null when stopping.
+ */
+function getNextIndexForPlayer() {
+  if (getTrackCount() === 0) return null;
+  if (repeatMode === REPEAT_MODE.one) return currentIndex;
+  if (!autoplay) return null;
+  return getNextIndexInOrder(repeatMode === REPEAT_MODE.all);
 }
 /** Next index for UI button (always wraps). */
 function getNextIndexForButton() {
-  const len = getTrackCount();
-  return len === 0 ? -1 : (currentIndex + 1) % len;
+  const next = getNextIndexInOrder(true);
+  return next === null ? -1 : next;
 }
-/** Previous index for UI button (always wraps). */
+/** Previous index for UI button: the previously played track, else the one above (wraps). */
 function getPrevIndexForButton() {
+  while (playHistory.length > 0) {
+    const index = playlist.indexOf(playHistory.pop());
+    if (index !== -1 && index !== currentIndex) return index;
+  }
   const len = getTrackCount();
   return len === 0 ? -1 : (currentIndex - 1 + len) % len;
 }
 
+/** Forget the play history and start a new shuffle cycle (e.g. after switching playlists). */
+function resetPlayOrder() {
+  playHistory.length = 0;
+  if (shuffle) refillShuffleBag();
+}
+
+/** Remember the track being left (called when another track is loaded). */
+function pushPlayHistory(item) {
+  if (!item || playHistory[playHistory.length - 1] === item) return;
+  playHistory.push(item);
+  if (playHistory.length > PLAY_HISTORY_LIMIT) playHistory.shift();
+}
+
 // ---------------------------------------------------------------------------
 // Player lifecycle
 // ---------------------------------------------------------------------------
@@ -299,11 +527,15 @@ async function ensurePlayer() {
     // Set initial volume from slider
     const initial = Number(volumeEl.value) / 100;
     if (player._gain) player._gain.gain.value = initial;
+    applyMidiOutRouting();
     // UI loop will start on first play to reduce idle CPU
     // Subscribe to audio heartbeat so onEnded triggers in background tabs
     if (typeof player.setOnAudioTick === 'function') {
       player.setOnAudioTick(() => {
-        // Fast end detection without rAF
+        // Fast end detection without rAF; MIDI out keeps being fed in background tabs (timers are throttled)
+        midiOut.pump();
+        checkLoopRegion('heartbeat');
+        checkStuckNotes('heartbeat');
         checkForTrackEnd('heartbeat');
       });
     }
@@ -358,9 +590,12 @@ async function updateTimeline() {
     timing.updateFromSynth(totalTicks, tempoUsPerQuarter);
   }
   // Calculate UI strings only once
-  const curStr = formatTimeStr(timing.ticksToSeconds(timing.currentTick));
-  const totStr = formatTimeStr(timing.ticksToSeconds(timing.totalTicks));
-  const seekStr = timing.totalTicks > 0 ? Math.round((timing.currentTick / timing.totalTicks) * SEEK_SLIDER_MAX).toString() : '0';
+  const curSeconds = timing.ticksToSeconds(timing.currentTick);
+  const totSeconds = timing.totalSeconds();
+  const curStr = formatTimeStr(curSeconds);
+  const totStr = formatTimeStr(totSeconds);
+  // Slider position is proportional to time (not ticks) so it moves steadily across tempo changes
+  const seekStr = totSeconds > 0 ? Math.round((curSeconds / totSeconds) * SEEK_SLIDER_MAX).toString() : '0';
   
   // Update DOM only when values actually change (efficient string comparison)
   if (curStr !== lastUi.cur) { 
@@ -375,6 +610,42 @@ async function updateTimeline() {
     seekEl.value = seekStr; 
     lastUi.seek = seekStr; 
   }
+  // Real listening time differs from song time only when the playback speed is changed
+  const realStr = timing.tempoScale !== 1
+    ? `Real time ${formatTimeStr(timing.toRealSeconds(curSeconds))} / ${formatTimeStr(timing.toRealSeconds(totSeconds))} at ${Math.round(timing.tempoScale * 100)}%`
+    : '';
+  if (realTimeEl && realStr !== lastUi.real) {
+    realTimeEl.textContent = realStr;
+    realTimeEl.hidden = realStr === '';
+    lastUi.real = realStr;
+  }
+}
+
+/** Redraw the piano roll at the current playhead (cheap no-op when the panel is hidden). */
+function renderPianoRoll() {
+  if (!pianoRoll || !pianoRollCanvas || pianoRollCanvas.offsetParent === null) return;
+  pianoRoll.render(timing.currentTick);
+}
+
+/** Seek to an absolute tick: shared by the seek slider and piano-roll clicks. */
+async function seekToTick(targetTicks) {
+  await ensurePlayer();
+  if (timing.totalTicks <= 0) return;
+  timing.currentTick = Math.max(0, Math.min(timing.totalTicks, Math.floor(targetTicks)));
+  if (!isPlaying) stuckNotes.settleAfter(player, 'seek', () => isPlaying);
+  try { 
+    if (typeof player.seek === 'function') player.seek(timing.currentTick); 
+  } catch (error) {
+    console.error('[ERROR] Failed to seek to target ticks:', error);
+  }
+  if (isPlaying) midiOut.start(timing.currentTick);
+  // While playing, the UI loop renders; otherwise render once (no idle loop)
+  if (!isPlaying) {
+    await updateTimeline();
+    updateChannelMeters();
+    renderPianoRoll();
+  }
+  savePlaybackPosition();
 }
 
 /** After PAUSE_LOW_POWER_MS, fully suspend/disable audio while paused. */
@@ -405,7 +676,11 @@ function uiLoop() {
   const now = performance.now();
     if (!uiLoop._last || now - uiLoop._last > UI_UPDATE_INTERVAL_MS) {
       updateTimeline();
+      updateChannelMeters();
+      renderPianoRoll();
+      checkLoopRegion('uiLoop');
       checkForTrackEnd('uiLoop');
+      if (now - lastPositionSaveAt > POSITION_SAVE_INTERVAL_MS) savePlaybackPosition();
       uiLoop._last = now;
     }
   rafId = requestAnimationFrame(uiLoop);
@@ -415,32 +690,137 @@ function uiLoop() {
 function startUiLoop(){ if (!rafId) rafId = requestAnimationFrame(uiLoop); }
 function stopUiLoop(){ if (rafId) { cancelAnimationFrame(rafId); rafId = 0; uiLoop._last = 0; } }
 
+// ---------------------------------------------------------------------------
+// A–B loop region
+// ---------------------------------------------------------------------------
+/** @returns {boolean} true when both markers are set and form a non-empty region */
+function hasLoopRegion() {
+  return loopRegion.a != null && loopRegion.b != null && loopRegion.b > loopRegion.a;
+}
+
+/** Position the region band and markers over the seek bar (time-proportional, like the slider). */
+function renderLoopMarkers() {
+  const totSeconds = timing.totalSeconds();
+  const toPercent = (tick) => (totSeconds > 0 ? (timing.ticksToSeconds(tick) / totSeconds) * 100 : 0);
+  const place = (el, tick) => {
+    if (!el) return;
+    el.hidden = tick == null;
+    if (tick != null) el.style.left = `${toPercent(tick)}%`;
+  };
+  place(loopMarkerAEl, loopRegion.a);
+  place(loopMarkerBEl, loopRegion.b);
+  if (loopRegionEl) {
+    loopRegionEl.hidden = !hasLoopRegion();
+    if (hasLoopRegion()) {
+      loopRegionEl.style.left = `${toPercent(loopRegion.a)}%`;
+      loopRegionEl.style.width = `${toPercent(loopRegion.b) - toPercent(loopRegion.a)}%`;
+    }
+  }
+}
+
+/** Set marker A or B at the playhead. B without A loops from the beginning. */
+function setLoopMarker(which) {
+  if (currentIndex < 0 || timing.totalTicks <= 0) return;
+  const tick = timing.currentTick;
+  if (which === 'a') {
+    loopRegion.a = tick;
+    if (loopRegion.b != null && loopRegion.b <= tick) loopRegion.b = null; // B must stay after A
+  } else {
+    if (loopRegion.a == null) loopRegion.a = 0;
+    if (tick <= loopRegion.a) {
+      debug('Loop end must be after loop start; ignored');
+      return;
+    }
+    loopRegion.b = Math.min(tick, timing.totalTicks);
+  }
+  debug('A–B loop:', loopRegion.a, '->', loopRegion.b);
+  renderLoopMarkers();
+  watchLoopEnd();
+}
+
+/** Remove both markers (also done on every track change). */
+function clearLoopRegion() {
+  loopRegion.a = null;
+  loopRegion.b = null;
+  renderLoopMarkers();
+  watchLoopEnd();
+}
+
+/** Have the player report B from its event hook, so the jump back to A follows the first event past B. */
+function watchLoopEnd() {
+  if (!player || typeof player.setLoopEnd !== 'function') return;
+  player.setLoopEnd(hasLoopRegion() ? loopRegion.b : null, () => restartLoopRegion('event hook'));
+}
+
+/** Seek back to A (playback and MIDI output). */
+function restartLoopRegion(context) {
+  if (!isPlaying || !hasLoopRegion()) return;
+  lastLoopSeekAt = performance.now();
+  debug(`A–B loop restart from ${context}`);
+  timing.currentTick = loopRegion.a;
+  suppressFirstSynthRead = true; // synth applies the seek on its next block
+  player.seek(loopRegion.a);
+  midiOut.start(loopRegion.a);
+}
+
+/**
+ * Fallback for B in a stretch without events (e.g. a held chord), which the event hook cannot see.
+ * Runs from the heartbeat, so it works in background tabs.
+ */
+async function checkLoopRegion(context = 'unknown') {
+  try {
+    if (!isPlaying || !player || !hasLoopRegion()) return;
+    if (performance.now() - lastLoopSeekAt < LOOP_SEEK_GUARD_MS) return;
+    const tick = await safeSynthCall(player._synth?.retrievePlayerCurrentTick);
+    if (tick === null || tick < loopRegion.b) return;
+    restartLoopRegion(context);
+  } catch (error) {
+    console.error(`[ERROR] A–B loop check failed in ${context}:`, error);
+  }
+}
+
+/** Release notes held well past their note-off in the file (runs from the heartbeat, so it works in background tabs). */
+async function checkStuckNotes(context = 'unknown') {
+  try {
+    if (!isPlaying || !player) return;
+    if (performance.now() - lastStuckNoteCheckAt < STUCK_NOTE_CHECK_INTERVAL_MS) return;
+    lastStuckNoteCheckAt = performance.now();
+    const tick = await safeSynthCall(player._synth?.retrievePlayerCurrentTick);
+    if (tick === null || !isPlaying) return;
+    stuckNotes.check(player, tick);
+  } catch (error) {
+    console.error(`[ERROR] Stuck-note check failed in ${context}:`, error);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Transport controls
 // ---------------------------------------------------------------------------
 /** Handle track end: loop/advance/stop according to settings. */
-function onEnded() {
+async function onEnded() {
   debug('onEnded triggered');
   isPlaying = false;
   playPauseBtn.textContent = '▶️';
-  const len = getTrackCount();
-  const loopOn = !!(loopToggle && loopToggle.checked);
-
-  if (len === 1) {
-    if (loopOn) {
-      // Loop single track without reloading to avoid artifacts
-      timing.currentTick = 0;
-      if (typeof player.seek === 'function') player.seek(0);
+  if (hasLoopRegion()) {
+    // B at the very end: the synth stopped before the A–B check caught it; restart from A
+    try {
+      await player.reloadMIDI();
+      timing.currentTick = loopRegion.a;
       playTrack();
-    } else {
+    } catch (e) {
+      console.error('[ERROR] Failed to restart the A–B loop:', e);
       stopTrack();
     }
     return;
   }
-
   const nextIdx = getNextIndexForPlayer();
-  if (nextIdx != null) {
-    loadTrack(nextIdx).then(() => playTrack());
+  if (nextIdx === currentIndex) {
+    // Same track again (repeat one, or a single track repeating): no reload to avoid artifacts
+    timing.currentTick = 0;
+    if (typeof player.seek === 'function') player.seek(0);
+    playTrack();
+  } else if (nextIdx != null && await loadPlayableTrack(nextIdx, getNextIndexForPlayer)) {
+    playTrack();
   } else {
     stopTrack();
   }
@@ -462,6 +842,7 @@ async function playTrack() {
   // Ensure the first UI frame after play uses our current state (post-seek)
   suppressFirstSynthRead = true;
   player.play();
+  midiOut.start(timing.currentTick);
   debugTickState('after play');
   isPlaying = true;
   setPlayPauseIcon(true);
@@ -478,14 +859,19 @@ async function pauseTrack() {
   debug('Pause requested');
   const tick = await safeSynthCall(player._synth?.retrievePlayerCurrentTick);
   if (tick !== null) timing.currentTick = tick;
+  stuckNotes.settleAfter(player, 'pause', () => isPlaying);
   if (typeof player.pause === 'function') player.pause();
+  midiOut.stop();
   isPlaying = false;
   setPlayPauseIcon(false);
-  updateTimeline();
+  await updateTimeline();
+  updateChannelMeters();
+  renderPianoRoll();
   // When paused, keep main node connected (so resume is instant), but we can suspend context if tab hidden
   safePlayerCall(player.setAudioState, AUDIO_STATE.paused);
   stopUiLoop();
   schedulePauseLowPower();
+  savePlaybackPosition();
 }
 
 /** Stop playback and reset to zero, fully suspending audio. */
@@ -493,25 +879,18 @@ async function stopTrack() {
   await ensurePlayer();
   if (!player) return;
   debug('Stop requested');
+  stuckNotes.cancelSettle();
   if (typeof player.pause === 'function') player.pause();
+  // The context is suspended right after: voices still ringing would freeze and come back on the next play
+  player.silenceSong();
+  midiOut.stop();
   timing.currentTick = 0;
   if (typeof player.seek === 'function') {
     // When track ends, player may be in "ended" state - try to restart it cleanly
     try {
       if (player._synth && player._lastSmfBytes) {
-        // Stop and reset to clear "ended" state, then reload SMF data
-        if (typeof player._synth.stopPlayer === 'function') {
-          player._synth.stopPlayer();
-        }
-        if (typeof player._synth.resetPlayer === 'function') {
-          await player._synth.resetPlayer();
-        }
-        // Reload the SMF data to restart from clean state
-        await player._synth.addSMFDataToPlayer(player._lastSmfBytes);
-        // Now seek to 0 should work
-        if (typeof player._synth.seekPlayer === 'function') {
-          player._synth.seekPlayer(0);
-        }
+        // Stop and reset to clear "ended" state, then reload SMF data (seeks to 0)
+        await player.reloadMIDI();
       } else {
         // Fallback to simple seek if we don't have cached bytes
         player.seek(0);
@@ -525,19 +904,36 @@ async function stopTrack() {
   setPlayPauseIcon(false);
   // Centralized UI render
   await updateTimeline();
+  updateChannelMeters();
+  renderPianoRoll();
   // Reduce CPU: disable heartbeat; optionally suspend context
   safePlayerCall(player.setAudioState, AUDIO_STATE.stopped);
   stopUiLoop();
   clearPauseLowPowerTimer();
+  savePlaybackPosition();
+}
+
+/** Panic: silence every channel of every synth and of the MIDI output; playback goes on. */
+async function panic() {
+  await ensurePlayer();
+  if (!player) return;
+  debug('Panic requested');
+  if (virtualKeyboard) virtualKeyboard.releaseAll();
+  player.panic();
+  midiOut.panic();
+  updateChannelMeters();
 }
 
-/** Toggle between play and pause; loads first track if none active. */
+/** Toggle between play and pause; loads first track if none active (or retries one that failed to load). */
 async function togglePlayPause() {
   await ensurePlayer();
   if (isPlaying) { await pauseTrack(); }
   else {
-    if (currentIndex === -1 && getTrackCount() > 0) await loadTrack(0);
-    playTrack();
+    if (!trackLoaded && getTrackCount() > 0) {
+      // The player may still hold the previous song: never resume it under the failed track's title
+      if (await loadTrack(Math.max(0, currentIndex)) === false) return;
+    }
+    if (trackLoaded) playTrack();
   }
 }
 
@@ -555,8 +951,10 @@ async function rewindToBeginning() {
       await player.seek(0);
     }
     timing.currentTick = 0;
+    if (isPlaying) midiOut.start(0);
     // Centralized UI render
     await updateTimeline();
+    renderPianoRoll();
   } catch (e) {
     debug('Error seeking to beginning:', e);
   }
@@ -568,8 +966,8 @@ async function prevTrack() {
   if (getTrackCount() === 0) return;
   const prevIndex = getPrevIndexForButton();
   debug('Prev track ->', prevIndex);
-  await loadTrack(prevIndex);
-  playTrack();
+  if (await loadPlayableTrack(prevIndex, getPrevIndexForButton, { recordHistory: false })) playTrack();
+  else stopTrack();
 }
 
 /** Select next track and start playback. */
@@ -578,203 +976,1921 @@ async function nextTrack() {
   if (getTrackCount() === 0) return;
   const nextIndex = getNextIndexForButton();
   debug('Next track ->', nextIndex);
-  await loadTrack(nextIndex);
-  playTrack();
+  if (await loadPlayableTrack(nextIndex, getNextIndexForButton)) playTrack();
+  else stopTrack();
+}
+
+/**
+ * Load a track, moving on past tracks that cannot be played (e.g. failed conversion).
+ * Gives up once a full pass over the playlist found nothing playable.
+ * @param {number|null} index first track to try (null or -1: none)
+ * @param {function(): (number|null)} nextIndex picks the next track to try after a failure
+ * @param {object} [options] loadTrack options
+ * @returns {Promise<boolean>} true when a track was loaded
+ */
+async function loadPlayableTrack(index, nextIndex, options) {
+  for (let attempts = getTrackCount(); attempts > 0 && index != null && index >= 0; attempts--) {
+    if (await loadTrack(index, options) !== false) return true;
+    debug('Skipping unplayable track at index', index);
+    index = nextIndex();
+  }
+  return false;
 }
 
 // ---------------------------------------------------------------------------
-// Loading / Playlist
+// Channel mixer (mute/solo/volume/pan overrides on the main synth)
 // ---------------------------------------------------------------------------
-/** Update playlist UI to reflect the active index. */
-function highlightActive() {
-  [...playlistEl.children].forEach((li, idx) => {
-    if (idx === currentIndex) li.classList.add('active'); else li.classList.remove('active');
-  });
+/** Channel label for the UI (1-based, drums flagged). */
+function channelLabel(chan) {
+  return chan === DRUM_CHANNEL ? `${chan + 1} (Drums)` : String(chan + 1);
 }
 
-/** Append files to playlist UI and internal list. */
-function addToPlaylist(files) {
-  for (const file of files) {
-    const name = file.name;
-    const ext = (name.split('.').pop() || '').toLowerCase();
-    if (!SUPPORTED_MIDI_EXTENSIONS.includes(ext)) continue;
-    playlist.push({ name, ext, file });
-    const listItem = createPlaylistItem(name);
-    playlistEl.appendChild(listItem);
-  }
+/** Sync one mixer strip's controls with the player's channel state. */
+function refreshMixerStrip(chan) {
+  if (!player || !mixerStripsEl) return;
+  const strip = mixerStripsEl.children[chan];
+  if (!strip) return;
+  const mix = player.getChannelMix(chan);
+  strip.querySelector('.mute').classList.toggle('on', mix.mute);
+  strip.querySelector('.solo').classList.toggle('on', mix.solo);
+  strip.querySelector('.volume-input').value = String(mix.volume != null ? mix.volume : mix.fileVolume);
+  strip.querySelector('.pan-input').value = String(mix.pan != null ? mix.pan : mix.filePan);
+  const { override } = player.getChannelTranspose(chan);
+  strip.querySelector('.transpose-input').value = override == null ? 'global' : String(override);
 }
 
-// ---------------------------------------------------------------------------
-// SoundFont scanning and selection (hybrid: demo/Soundfonts/ + manifest)
-// ---------------------------------------------------------------------------
+/** Sync every mixer strip (after track loads and resets). */
+function refreshMixer() {
+  for (let chan = 0; chan < MIDI_CHANNEL_COUNT; chan++) refreshMixerStrip(chan);
+}
 
-/**
- * List SF2/SF3 files using hybrid approach:
- * 1. Try Vite dev API endpoint (dev mode with refresh support)
- * 2. Try directory listing (Python HTTP server)
- * 3. Fall back to static soundfonts.json manifest (GitHub Pages)
- * @returns {Promise<string[]>}
- */
-async function listSoundfonts() {
-  // Strategy 1: Try Vite dev API endpoint (works in dev mode, supports refresh)
+/** Run a mixer action on the player, then re-render the strip. */
+async function mixerAction(chan, action) {
   try {
-    const res = await fetch('/api/list-soundfonts');
-    if (res.ok) {
-      const data = await res.json();
-      console.log('[DEBUG] Using Vite API soundfont listing (dev mode):', data.soundfonts?.length || 0, 'files');
-      return data.soundfonts || [];
-    }
-    // API endpoint not found (expected in production)
-    console.log('[DEBUG] Vite API not available (production mode), trying directory listing (ignore 404 above)');
+    await ensurePlayer();
+    action(player);
+    refreshMixerStrip(chan);
   } catch (error) {
-    // Network error
-    console.log('[DEBUG] Vite API unreachable, trying directory listing');
+    console.error('[ERROR] Mixer action failed:', error);
   }
+}
 
-  // Strategy 2: Try directory listing (Python HTTP server in production)
-  try {
-    const res = await fetch(SOUND_DATA_PATH + 'Soundfonts/');
-    if (res.ok) {
-      const contentType = res.headers.get('content-type') || '';
-      if (contentType.includes('text/html')) {
-        // We got HTML back - this is a directory listing!
-        const html = await res.text();
-        const tmp = document.createElement('div');
-        tmp.innerHTML = html;
-        const anchors = Array.from(tmp.querySelectorAll('a'));
-        const names = anchors.map(a => a.getAttribute('href') || '')
-          .filter(h => /\.(sf2|sf3)$/i.test(h));
-        const unique = Array.from(new Set(names)).map(n => decodeURIComponent(n));
-        if (unique.length > 0) {
-          console.log('[DEBUG] Using directory listing (HTTP server):', unique.length, 'files');
-          return unique;
-        }
-      }
-    }
-  } catch (error) {
-    console.log('[DEBUG] HTTP dynamic listing unavailable, trying static manifest');
+/** Create a mixer strip (mute, solo, volume, pan, reset) for one channel. */
+function createMixerStrip(chan) {
+  const strip = document.createElement('div');
+  strip.className = 'mixer-strip';
+  const name = document.createElement('div');
+  name.className = 'strip-name';
+  name.textContent = channelLabel(chan);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'strip-buttons';
+  const muteButton = document.createElement('button');
+  muteButton.className = 'mute';
+  muteButton.textContent = 'M';
+  muteButton.title = 'Mute';
+  muteButton.addEventListener('click', () => mixerAction(chan, p => p.setChannelMute(chan, !p.getChannelMix(chan).mute)));
+  const soloButton = document.createElement('button');
+  soloButton.className = 'solo';
+  soloButton.textContent = 'S';
+  soloButton.title = 'Solo';
+  soloButton.addEventListener('click', async () => {
+    await mixerAction(chan, p => p.setChannelSolo(chan, !p.getChannelMix(chan).solo));
+    refreshMixer(); // solo changes what every strip hears
+  });
+  const resetButton = document.createElement('button');
+  resetButton.textContent = '↺';
+  resetButton.title = 'Follow the file volume/pan again';
+  resetButton.addEventListener('click', () => mixerAction(chan, (p) => {
+    p.setChannelVolume(chan, null);
+    p.setChannelPan(chan, null);
+  }));
+  buttons.append(muteButton, soloButton, resetButton);
+
+  const volumeLabel = document.createElement('label');
+  volumeLabel.textContent = 'Vol';
+  const volumeInput = document.createElement('input');
+  volumeInput.type = 'range';
+  volumeInput.className = 'volume-input';
+  volumeInput.min = '0';
+  volumeInput.max = '127';
+  volumeInput.value = '100';
+  volumeInput.addEventListener('input', () => mixerAction(chan, p => p.setChannelVolume(chan, Number(volumeInput.value))));
+  volumeLabel.appendChild(volumeInput);
+
+  const panLabel = document.createElement('label');
+  panLabel.textContent = 'Pan';
+  const panInput = document.createElement('input');
+  panInput.type = 'range';
+  panInput.className = 'pan-input';
+  panInput.min = '0';
+  panInput.max = '127';
+  panInput.value = '64';
+  panInput.addEventListener('input', () => mixerAction(chan, p => p.setChannelPan(chan, Number(panInput.value))));
+  panInput.addEventListener('dblclick', () => mixerAction(chan, p => p.setChannelPan(chan, 64)));
+  panLabel.appendChild(panInput);
+
+  const instrument = document.createElement('div');
+  instrument.className = 'strip-instrument';
+  instrument.textContent = '—';
+  const meter = document.createElement('div');
+  meter.className = 'strip-meter';
+  const meterFill = document.createElement('div');
+  meterFill.className = 'strip-meter-fill';
+  meter.appendChild(meterFill);
+
+  const transposeLabel = document.createElement('label');
+  transposeLabel.textContent = 'Transpose';
+  const transposeSelect = document.createElement('select');
+  transposeSelect.className = 'transpose-input';
+  const followOption = document.createElement('option');
+  followOption.value = 'global';
+  followOption.textContent = 'Global';
+  transposeSelect.appendChild(followOption);
+  for (let semitones = -24; semitones <= 24; semitones++) {
+    const option = document.createElement('option');
+    option.value = String(semitones);
+    option.textContent = semitones === 0 ? 'Off' : (semitones > 0 ? `+${semitones}` : String(semitones));
+    transposeSelect.appendChild(option);
   }
+  // Drums are excluded from the global transpose by default
+  transposeSelect.value = chan === DRUM_CHANNEL ? '0' : 'global';
+  transposeSelect.addEventListener('change', () => mixerAction(chan, (p) => {
+    p.setChannelTranspose(chan, transposeSelect.value === 'global' ? null : Number(transposeSelect.value));
+  }));
+  transposeLabel.appendChild(transposeSelect);
+
+  strip.append(name, instrument, meter, buttons, volumeLabel, panLabel, transposeLabel);
+  return strip;
+}
 
-  // Strategy 3: Fall back to static manifest (GitHub Pages)
-  try {
-    const res = await fetch('./soundfonts.json');
-    if (res.ok) {
-      const manifest = await res.json();
-      console.log('[DEBUG] Using static soundfont manifest:', manifest.soundfonts?.length || 0, 'files');
-      return manifest.soundfonts || [];
+/** Render program names and activity meters from the player's channel activity.
+ * Called from the rAF uiLoop (so it never runs in background tabs) and once after pause/stop/seek.
+ */
+function updateChannelMeters() {
+  if (!player || !mixerStripsEl || typeof player.getChannelActivity !== 'function') return;
+  const now = performance.now();
+  for (let chan = 0; chan < MIDI_CHANNEL_COUNT; chan++) {
+    const strip = mixerStripsEl.children[chan];
+    if (!strip) continue;
+    const activity = player.getChannelActivity(chan);
+    // Instrument: preset name from the loaded SoundFont, bank:program otherwise
+    const presetName = activity.used ? player.getPresetName(activity.bank, activity.program) : null;
+    const instrumentText = activity.used ? (presetName || `Program ${activity.program + 1}`) : '—';
+    const instrumentEl = strip.querySelector('.strip-instrument');
+    if (instrumentEl.textContent !== instrumentText) {
+      instrumentEl.textContent = instrumentText;
+      instrumentEl.title = `Bank ${activity.bank}, program ${activity.program}`;
     }
-  } catch (error) {
-    console.error('[ERROR] All soundfont listing strategies failed');
+    strip.classList.toggle('unused', !activity.used);
+    // Meter: last velocity with exponential decay, floor while notes are held
+    const decayed = activity.peak * Math.pow(0.5, (now - activity.peakTime) / METER_HALF_LIFE_MS);
+    const level = Math.max(decayed, activity.activeNotes > 0 ? METER_HELD_LEVEL : 0);
+    strip.querySelector('.strip-meter-fill').style.width = `${Math.round(level * 100)}%`;
   }
+}
 
-  return [];
+/** Build the 16 mixer strips. */
+function buildMixer() {
+  if (!mixerStripsEl) return;
+  for (let chan = 0; chan < MIDI_CHANNEL_COUNT; chan++) mixerStripsEl.appendChild(createMixerStrip(chan));
 }
 
-/** Refresh SoundFonts dropdown with current directory listing. */
-async function refreshSf2List() {
-  if (!sf2Select) return;
-  const opts = await listSoundfonts();
-  // Preserve current selection if possible
-  const current = sf2Select.value;
-  while (sf2Select.firstChild) sf2Select.removeChild(sf2Select.firstChild);
-  const none = document.createElement('option');
-  none.value = '';
-  none.textContent = '— none —';
-  sf2Select.appendChild(none);
-  for (const name of opts) {
-    const opt = document.createElement('option');
-    opt.value = name;
-    opt.textContent = name;
-    sf2Select.appendChild(opt);
-  }
-  if (opts.includes(current)) sf2Select.value = current; else sf2Select.value = '';
+// ---------------------------------------------------------------------------
+// Web MIDI output (external synths; the built-in player stays the transport clock)
+// ---------------------------------------------------------------------------
+/** Mute the built-in synth for "MIDI out only", and line MIDI out up with the audio output otherwise. */
+function applyMidiOutRouting() {
+  const midiOnly = !!(midiOut.output && midiOutOnlyToggle && midiOutOnlyToggle.checked);
+  if (!player) return;
+  player.setMainSynthMuted(midiOnly);
+  // While the built-in synth is heard, delay MIDI by the audio output latency so both sound together
+  const ctx = player._audioContext;
+  midiOut.delayMs = !midiOnly && ctx ? ((ctx.baseLatency || 0) + (ctx.outputLatency || 0)) * 1000 : 0;
 }
 
-/** Replace current SF2 with the selected one, preserving play state. */
-async function applySelectedSf2() {
-  if (!sf2Select) return;
-  const selected = sf2Select.value;
-  if (!selected) return;
-  await ensurePlayer();
-  try {
-    let sf2FileData;
-    let displayName = selected;
+/** Fill the MIDI output list (ports come and go while the page is open). */
+function renderMidiOutputs() {
+  if (!midiOutputSelect) return;
+  midiOutputSelect.replaceChildren(new Option('Built-in synth only', ''));
+  if (midiAccess) {
+    for (const output of midiAccess.outputs.values()) midiOutputSelect.add(new Option(output.name || output.id, output.id));
+  } else {
+    midiOutputSelect.add(new Option('Connect MIDI devices…', MIDI_CONNECT_OPTION));
+  }
+  midiOutputSelect.value = midiOut.output ? midiOut.output.id : '';
+  if (midiOutOnlyToggle) midiOutOnlyToggle.disabled = !midiOut.output;
+}
 
-    // Custom entry path: value starts with prefix
-    if (selected.startsWith('custom::')) {
-      const name = selected.slice('custom::'.length);
-      const buf = customSf2Registry.get(name);
-      if (!buf) throw new Error('Custom SF2 not found in session registry');
-      sf2FileData = buf;
-      displayName = `Custom: ${name}`;
+/** Ask for Web MIDI access (the browser prompts the first time) and follow ports being plugged/unplugged. */
+async function connectMidi() {
+  if (midiAccess) return midiAccess;
+  midiAccess = await getMidiAccess();
+  midiAccess.addEventListener('statechange', (e) => {
+    const disconnected = e.port.state === 'disconnected';
+    if (e.port.type === 'output') {
+      if (disconnected && midiOut.output && e.port.id === midiOut.output.id) {
+        console.warn('[WARN] MIDI output disconnected, back to the built-in synth:', e.port.name);
+        midiOut.setOutput(null);
+        applyMidiOutRouting();
+      }
+      renderMidiOutputs();
     } else {
-      // Built-in path: fetch from sound_data/Soundfonts
-      const url = SOUND_DATA_PATH + 'Soundfonts/' + encodeURIComponent(selected);
-      const res = await fetch(url);
-      if (!res.ok) throw new Error('Failed to fetch ' + selected);
-      sf2FileData = await res.arrayBuffer();
+      if (disconnected && liveInputPort && e.port.id === liveInputPort.id) {
+        console.warn('[WARN] MIDI keyboard disconnected:', e.port.name);
+        stopLiveInput();
+      }
+      renderLiveInputs();
     }
+  });
+  return midiAccess;
+}
 
-    const wasPlaying = isPlaying;
-    let resumeTick = timing.currentTick;
-    if (wasPlaying) await pauseTrack();
-    if (typeof player.loadSF2 === 'function') await player.loadSF2(sf2FileData, true);
-    // Restore play state and position
-    timing.currentTick = resumeTick;
-    if (wasPlaying) await playTrack();
-    if (testChordBtn) testChordBtn.disabled = false;
-    debug('SF2 switched to', displayName);
-  } catch (e) {
-    console.error('Failed to switch SF2', e);
-    alert('Failed to load SF2: ' + (e && e.message ? e.message : e));
-  }
+/** Remember the chosen port and routing for the next visit. */
+function saveMidiOutputChoice() {
+  const value = { id: midiOut.output ? midiOut.output.id : '', only: !!(midiOutOnlyToggle && midiOutOnlyToggle.checked) };
+  library.setState(STATE_MIDI_OUTPUT, value)
+    .catch(error => console.warn('[WARN] Could not save the MIDI output choice:', error));
 }
 
-/** Parse PPQ from SMF (Standard MIDI File) header and update timing.ppq if present.
- * more info here: https://web.archive.org/web/20250302231448/https://midimusic.github.io/tech/midispec.html
- * and here: https://web.archive.org/web/20250417220139/https://wiki.fourthwoods.com/standard_midi_file_format
- * @param {ArrayBuffer} arrayBuffer - the SMF file data
- * @returns {void}
-*/
-function parsePpqFromSmfHeader(arrayBuffer) {
-  try {
-    const dv = new DataView(arrayBuffer);
-    if (dv.getUint32(0, false) === 0x4D546864 /* 'MThd' */) {
-      const div = dv.getInt16(12, false);
-      if ((div & 0x8000) === 0) {
-        // PPQ format: use the division value as PPQ
-        if (div > 0) {
-          timing.ppq = div;
-        } else {
-          console.error('[ERROR] Invalid PPQ value, using default PPQ');
-          console.warn('[WARN] MIDI playback time-related info may be erroneous');
-          timing.ppq = DEFAULT_PPQ;
-        }
-        timing.setSecPerTick(); // Recalculate secPerTick with new PPQ
-      } else {
-        // SMPTE format: not supported, use default PPQ
-        console.error('[ERROR] SMPTE timing format not supported, using default PPQ');
-      }
-    } else {
-      // Not a valid SMF file
-      console.error('[ERROR] Invalid SMF file header, using default PPQ');
+/** Send playback to a MIDI output port ('' = built-in synth only), continuing from the playhead. */
+async function selectMidiOutput(id) {
+  try {
+    if (id === MIDI_CONNECT_OPTION) {
+      const outputs = [...(await connectMidi()).outputs.values()];
+      id = outputs.length === 1 ? outputs[0].id : ''; // several ports: let the user pick from the list
+      if (outputs.length === 0) alert('No MIDI output found. Connect a device (or start a virtual port), it will appear in the list.');
+    }
+    const output = id && midiAccess ? midiAccess.outputs.get(id) || null : null;
+    if (output) await output.open();
+    midiOut.setOutput(output);
+    debug('MIDI output:', output ? output.name : 'none');
+    if (output && isPlaying) {
+      const tick = await safeSynthCall(player._synth?.retrievePlayerCurrentTick);
+      midiOut.start(tick !== null ? tick : timing.currentTick);
     }
   } catch (error) {
-    console.error('[ERROR] Failed to parse PPQ from SMF header:', error);
+    console.error('[ERROR] Failed to open the MIDI output:', error);
+    alert('MIDI output unavailable: ' + (error && error.message ? error.message : error));
+    midiOut.setOutput(null);
   }
+  renderMidiOutputs();
+  applyMidiOutRouting();
+  saveMidiOutputChoice();
 }
 
-/** Set track title in the UI. */
+/** Set up the MIDI output selector: fallback without Web MIDI, else reconnect the last port (no prompt unless one was used). */
+async function initMidiOutput() {
+  if (!midiOutputSelect) return;
+  if (!isWebMidiSupported()) {
+    midiOutputSelect.disabled = true;
+    midiOutputSelect.title = 'Web MIDI is not available in this browser (or the page is not served over HTTPS/localhost): playback uses the built-in synth';
+    if (midiOutOnlyToggle) midiOutOnlyToggle.disabled = true;
+    return;
+  }
+  renderMidiOutputs();
+  let saved = null;
+  try { saved = await library.getState(STATE_MIDI_OUTPUT); } catch (error) {
+    console.warn('[WARN] Saved MIDI output unavailable:', error);
+  }
+  if (!saved || !saved.id) return;
+  if (midiOutOnlyToggle) midiOutOnlyToggle.checked = !!saved.only;
+  try {
+    await connectMidi();
+  } catch (error) {
+    console.warn('[WARN] Web MIDI access denied, using the built-in synth:', error);
+    return;
+  }
+  if (midiAccess.outputs.has(saved.id)) await selectMidiOutput(saved.id);
+  else renderMidiOutputs(); // device not plugged in: keep the built-in synth
+}
+
+// ---------------------------------------------------------------------------
+// Web MIDI input (MIDI keyboard playing the live synth, alongside the song)
+// ---------------------------------------------------------------------------
+/** Fill the MIDI keyboard list. */
+function renderLiveInputs() {
+  if (!liveInputSelect) return;
+  liveInputSelect.replaceChildren(new Option('Off', ''));
+  if (midiAccess) {
+    for (const input of midiAccess.inputs.values()) liveInputSelect.add(new Option(input.name || input.id, input.id));
+  } else {
+    liveInputSelect.add(new Option('Connect MIDI devices…', MIDI_CONNECT_OPTION));
+  }
+  liveInputSelect.value = liveInputPort ? liveInputPort.id : '';
+}
+
+/** Show the live preset as chosen on the page or with the keyboard's program buttons. */
+function renderLivePreset() {
+  if (!player) return;
+  const { bank, program } = player.getLiveProgram();
+  if (liveBankEl) liveBankEl.value = String(bank);
+  if (liveProgramEl) liveProgramEl.value = String(program);
+  if (livePresetNameEl) livePresetNameEl.textContent = player.getPresetName(bank, program) || '(no preset)';
+}
+
+/** Play a message from the keyboard, if it comes on the selected channel. */
+function onLiveMidiMessage(data) {
+  const channel = liveChannelEl ? liveChannelEl.value : '';
+  if (channel !== '' && (data[0] & 0x0F) !== Number(channel)) return;
+  player.sendLiveMidi(data);
+  if ((data[0] & 0xF0) === 0xC0) renderLivePreset();
+}
+
+/** Stop listening to the keyboard and release its notes. */
+function stopLiveInput() {
+  if (detachLiveInput) detachLiveInput();
+  detachLiveInput = null;
+  liveInputPort = null;
+  if (player) {
+    player.liveAllNotesOff();
+    player.setLiveEnabled(false).catch(error => console.error('[ERROR] Failed to turn off the live synth:', error));
+  }
+}
+
+/** Remember the keyboard, channel and live preset for the next visit. */
+function saveLiveInputChoice() {
+  const value = {
+    id: liveInputPort ? liveInputPort.id : '',
+    channel: liveChannelEl ? liveChannelEl.value : '',
+    bank: Number(liveBankEl ? liveBankEl.value : 0) || 0,
+    program: Number(liveProgramEl ? liveProgramEl.value : 0) || 0
+  };
+  library.setState(STATE_LIVE_INPUT, value)
+    .catch(error => console.warn('[WARN] Could not save the MIDI keyboard choice:', error));
+}
+
+/**
+ * Play the loaded SoundFont from a MIDI input port ('' = off).
+ * @param {string} id port id, or MIDI_CONNECT_OPTION to ask for access first
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] log failures instead of alerting (session restore)
+ */
+async function selectLiveInput(id, { quiet = false } = {}) {
+  stopLiveInput();
+  try {
+    if (id === MIDI_CONNECT_OPTION) {
+      const inputs = [...(await connectMidi()).inputs.values()];
+      id = inputs.length === 1 ? inputs[0].id : ''; // several ports: let the user pick from the list
+      if (inputs.length === 0 && !quiet) alert('No MIDI input found. Connect a keyboard, it will appear in the list.');
+    }
+    const input = id && midiAccess ? midiAccess.inputs.get(id) || null : null;
+    if (input) {
+      await ensurePlayer();
+      await player.setLiveEnabled(true); // needs a SoundFont
+      await input.open();
+      detachLiveInput = listenToMidiInput(input, onLiveMidiMessage);
+      liveInputPort = input;
+      renderLivePreset();
+      debug('MIDI keyboard:', input.name);
+    }
+  } catch (error) {
+    stopLiveInput();
+    console.error('[ERROR] Failed to open the MIDI keyboard:', error);
+    if (!quiet) alert('MIDI keyboard unavailable: ' + (error && error.message ? error.message : error));
+  }
+  renderLiveInputs();
+  if (!quiet) saveLiveInputChoice();
+}
+
+/** Apply the bank/program fields to the live synth. */
+async function applyLivePresetFields() {
+  try {
+    await ensurePlayer();
+    player.setLiveProgram(liveBankEl ? liveBankEl.value : 0, liveProgramEl ? liveProgramEl.value : 0);
+    renderLivePreset();
+    saveLiveInputChoice();
+  } catch (error) {
+    console.error('[ERROR] Failed to set the live preset:', error);
+  }
+}
+
+/** Set up the MIDI keyboard controls and reconnect the last keyboard (once the SoundFont is restored). */
+async function initLiveInput() {
+  if (!liveInputSelect) return;
+  if (liveChannelEl) {
+    liveChannelEl.replaceChildren(new Option('All', ''));
+    for (let chan = 0; chan < MIDI_CHANNEL_COUNT; chan++) liveChannelEl.add(new Option(String(chan + 1), String(chan)));
+  }
+  if (!isWebMidiSupported()) {
+    liveInputSelect.disabled = true;
+    liveInputSelect.title = 'Web MIDI is not available in this browser (or the page is not served over HTTPS/localhost)';
+    return;
+  }
+  renderLiveInputs();
+  let saved = null;
+  try { saved = await library.getState(STATE_LIVE_INPUT); } catch (error) {
+    console.warn('[WARN] Saved MIDI keyboard unavailable:', error);
+  }
+  if (!saved) return;
+  if (liveChannelEl) liveChannelEl.value = saved.channel || '';
+  if (liveBankEl) liveBankEl.value = String(saved.bank || 0);
+  if (liveProgramEl) liveProgramEl.value = String(saved.program || 0);
+  if (!saved.id) return;
+  try {
+    await connectMidi();
+  } catch (error) {
+    console.warn('[WARN] Web MIDI access denied, MIDI keyboard off:', error);
+    return;
+  }
+  if (!midiAccess.inputs.has(saved.id)) {
+    renderLiveInputs(); // keyboard not plugged in
+    return;
+  }
+  await ensurePlayer();
+  player.setLiveProgram(saved.bank || 0, saved.program || 0);
+  await selectLiveInput(saved.id, { quiet: true });
+}
+
+// ---------------------------------------------------------------------------
+// Virtual keyboard and preset browser (isolated test synth)
+// ---------------------------------------------------------------------------
+/** List the presets of the loaded SoundFont by bank, keeping the chosen one when the new SoundFont has it. */
+function renderPresetBrowser() {
+  if (!presetSelect) return;
+  const previous = presetSelect.value;
+  const presets = player ? player.listPresets() : [];
+  presetSelect.replaceChildren();
+  presetSelect.disabled = presets.length === 0;
+  if (presets.length === 0) {
+    presetSelect.add(new Option('Load an SF2 first', ''));
+    return;
+  }
+  let group = null;
+  for (const { bank, program, name } of presets) {
+    if (!group || group.dataset.bank !== String(bank)) {
+      group = document.createElement('optgroup');
+      group.label = bank === DRUM_BANK ? `Bank ${bank} (drum kits)` : `Bank ${bank}`;
+      group.dataset.bank = String(bank);
+      presetSelect.append(group);
+    }
+    group.append(new Option(`${String(program).padStart(3, '0')} ${name}`, `${bank}:${program}`));
+  }
+  presetSelect.value = [...presetSelect.options].some(opt => opt.value === previous) ? previous : presetSelect.options[0].value;
+  applyKeyboardPreset();
+}
+
+/** Audition the preset chosen in the browser on the virtual keyboard. */
+async function applyKeyboardPreset() {
+  if (!presetSelect || !presetSelect.value || !player) return;
+  const [bank, program] = presetSelect.value.split(':').map(Number);
+  try {
+    await player.setKeyboardProgram(bank, program);
+    debug('Keyboard preset', bank, program);
+  } catch (error) {
+    console.error('[ERROR] Failed to select keyboard preset:', error);
+  }
+}
+
+/** Show the note range of the virtual keyboard. */
+function renderOctaveLabel() {
+  if (octaveLabelEl && virtualKeyboard) octaveLabelEl.textContent = `${noteName(virtualKeyboard.baseKey)}–${noteName(virtualKeyboard.baseKey + 36)}`;
+}
+
+/** Preset views follow the loaded SoundFont (main SF2 changes, embedded RMI banks). */
+function refreshPresetViews() {
+  if (virtualKeyboard) virtualKeyboard.releaseAll();
+  renderPresetBrowser();
+  renderLivePreset();
+  renderSoundFontInspector();
+}
+
+// ---------------------------------------------------------------------------
+// Reverb / chorus (FluidSynth effects on every synth, kept across SF2 switches and track loads)
+// ---------------------------------------------------------------------------
+
+/** @returns {{reverb: object, chorus: object}} current settings (the default preset until the player exists) */
+function currentEffects() {
+  return player ? player.getEffects() : EFFECT_PRESETS.default;
+}
+
+/** Build the preset list and one group (on/off and sliders) per effect. */
+function buildEffectsControls() {
+  if (effectsPresetEl) {
+    effectsPresetEl.replaceChildren(...Object.entries(EFFECT_PRESETS).map(([key, preset]) => new Option(preset.label, key)));
+    const custom = new Option('Custom', CUSTOM_EFFECTS_PRESET);
+    custom.hidden = true; // only shown once a slider was moved
+    effectsPresetEl.add(custom);
+  }
+  if (!effectsControlsEl) return;
+  effectsControlsEl.replaceChildren();
+  for (const [effect, controls] of Object.entries(EFFECT_CONTROLS)) {
+    const group = document.createElement('fieldset');
+    group.className = 'effects-group';
+    group.dataset.effect = effect;
+    const legend = document.createElement('legend');
+    const toggleLabel = document.createElement('label');
+    toggleLabel.className = 'inline';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.dataset.param = 'on';
+    toggle.addEventListener('change', () => setEffectParam(effect, 'on', toggle.checked));
+    toggleLabel.append(toggle, effect === 'reverb' ? ' Reverb' : ' Chorus');
+    legend.appendChild(toggleLabel);
+    group.appendChild(legend);
+    for (const { param, label, step } of controls) {
+      const [min, max] = EFFECT_RANGES[effect][param];
+      const row = document.createElement('label');
+      row.className = 'effects-param';
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(min);
+      slider.max = String(max);
+      slider.step = String(step);
+      slider.dataset.param = param;
+      const value = document.createElement('span');
+      value.className = 'effects-value';
+      slider.addEventListener('input', () => setEffectParam(effect, param, Number(slider.value), false));
+      slider.addEventListener('change', saveEffects);
+      row.append(label, slider, value);
+      group.appendChild(row);
+    }
+    effectsControlsEl.appendChild(group);
+  }
+}
+
+/** Show the current settings on the controls. */
+function renderEffects() {
+  const effects = currentEffects();
+  if (effectsPresetEl) {
+    effectsPresetEl.value = effectsPreset;
+    effectsPresetEl.querySelector(`option[value="${CUSTOM_EFFECTS_PRESET}"]`).hidden = effectsPreset !== CUSTOM_EFFECTS_PRESET;
+  }
+  if (!effectsControlsEl) return;
+  for (const group of effectsControlsEl.querySelectorAll('.effects-group')) {
+    const settings = effects[group.dataset.effect];
+    group.classList.toggle('off', !settings.on);
+    group.querySelector('input[data-param="on"]').checked = settings.on;
+    for (const { param, step, unit } of EFFECT_CONTROLS[group.dataset.effect]) {
+      const slider = group.querySelector(`input[data-param="${param}"]`);
+      slider.value = String(settings[param]);
+      const decimals = step < 0.1 ? 2 : (step < 1 ? 1 : 0);
+      slider.nextElementSibling.textContent = settings[param].toFixed(decimals) + (unit ? ' ' + unit : '');
+    }
+  }
+}
+
+/** Remember the effect settings for the next visit. */
+function saveEffects() {
+  library.setState(STATE_EFFECTS, { preset: effectsPreset, ...currentEffects() })
+    .catch(error => console.warn('[WARN] Could not save effect settings:', error));
+}
+
+/**
+ * Change one reverb/chorus parameter (the preset becomes "Custom").
+ * @param {'reverb'|'chorus'} effect
+ * @param {string} param 'on' or a parameter of EFFECT_CONTROLS
+ * @param {boolean|number} value
+ * @param {boolean} [save=true] false while a slider is dragged (saved on release)
+ */
+async function setEffectParam(effect, param, value, save = true) {
+  try {
+    await ensurePlayer();
+    player.setEffects({ [effect]: { [param]: value } });
+    effectsPreset = CUSTOM_EFFECTS_PRESET;
+    renderEffects();
+    if (save) saveEffects();
+  } catch (error) {
+    console.error('[ERROR] Failed to set', effect, param + ':', error);
+  }
+}
+
+/** Apply a preset of EFFECT_PRESETS. */
+async function applyEffectsPreset(key) {
+  const preset = EFFECT_PRESETS[key];
+  if (!preset) return;
+  try {
+    await ensurePlayer();
+    player.setEffects(preset);
+    effectsPreset = key;
+    renderEffects();
+    saveEffects();
+    debug('Effects preset:', preset.label);
+  } catch (error) {
+    console.error('[ERROR] Failed to apply effects preset:', error);
+  }
+}
+
+/** Build the effects panel and bring back the saved settings (the player starts with FluidSynth's defaults). */
+async function initEffects() {
+  buildEffectsControls();
+  renderEffects();
+  let saved = null;
+  try { saved = await library.getState(STATE_EFFECTS); } catch (error) {
+    console.warn('[WARN] Saved effect settings unavailable:', error);
+  }
+  if (!saved) return;
+  await ensurePlayer();
+  player.setEffects(saved);
+  effectsPreset = saved.preset in EFFECT_PRESETS ? saved.preset : CUSTOM_EFFECTS_PRESET;
+  renderEffects();
+}
+
+// ---------------------------------------------------------------------------
+// SoundFont inspector (structure of the loaded SF2/SF3, presets the track lacks)
+// ---------------------------------------------------------------------------
+/**
+ * Parsed structure of every layer of the loaded SoundFont stack (each SoundFont parsed once).
+ * @returns {{name: string, bankOffset: number, report: object|null, error: Error|null}[]} top layer first
+ */
+function inspectLoadedSoundFonts() {
+  const stack = player ? player.getSoundFontStack() : [];
+  return stack.map(({ bytes, bankOffset }, index) => {
+    if (!inspectedSoundFonts.has(bytes)) {
+      try {
+        inspectedSoundFonts.set(bytes, { report: parseSoundFont(bytes), error: null });
+      } catch (error) {
+        console.error('[ERROR] Failed to inspect SoundFont:', error);
+        inspectedSoundFonts.set(bytes, { report: null, error });
+      }
+    }
+    const { report, error } = inspectedSoundFonts.get(bytes);
+    return { name: (report && report.info.name) || `Layer ${index + 1}`, bankOffset, report, error };
+  });
+}
+
+/**
+ * Presets the stack answers with: bank offsets applied, a preset of a higher layer hides the same bank/program below.
+ * @returns {{bank: number, program: number, name: string, instruments: string, layer: string}[]} sorted by bank/program
+ */
+function effectivePresets(layers) {
+  const presets = new Map();
+  for (const { name: layer, bankOffset, report } of layers) {
+    if (!report) continue;
+    for (const preset of report.presets) {
+      const bank = preset.bank + bankOffset;
+      const key = `${bank}:${preset.program}`;
+      if (presets.has(key)) continue;
+      const instruments = preset.instruments.map(index => (report.instruments[index] ? report.instruments[index].name : `#${index}`)).join(', ');
+      presets.set(key, { bank, program: preset.program, name: preset.name, instruments, layer });
+    }
+  }
+  return [...presets.values()].sort((a, b) => a.bank - b.bank || a.program - b.program);
+}
+
+/** "Bank 0 / 048 Strings" */
+function presetLabel(bank, program, name) {
+  return `Bank ${bank} / ${String(program).padStart(3, '0')}${name ? ' ' + name : ''}`;
+}
+
+/** "name · SF2 v2.01 · 235 presets · 235 instruments · 495 samples (3.0 MB)" */
+function soundFontSummary(report, name) {
+  const { format, version, presets, instruments, samples, sampleDataBytes } = report;
+  return [
+    name,
+    `${format}${version ? ' v' + version : ''}`,
+    `${presets.length} presets`,
+    `${instruments.length} instruments`,
+    `${samples.length} samples (${formatBytes(sampleDataBytes)})`
+  ].join(' · ');
+}
+
+/** Table element with a header row and one row per item. */
+function inspectorTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'sf2-table';
+  const head = table.createTHead().insertRow();
+  for (const header of headers) {
+    const th = document.createElement('th');
+    th.textContent = header;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const cells of rows) {
+    const row = body.insertRow();
+    for (const cell of cells) row.insertCell().textContent = String(cell);
+  }
+  return table;
+}
+
+/** Fill a presets/instruments/samples list when its panel is opened (large banks have thousands of samples). */
+function renderInspectorList(panel) {
+  if (!panel || !panel.open || panel.dataset.filled === 'true') return;
+  const layers = inspectLoadedSoundFonts().filter(layer => layer.report);
+  if (layers.length === 0) return;
+  // With several layers, each row tells which SoundFont it comes from
+  const layered = layers.length > 1;
+  const withLayer = (headers, rows) => inspectorTable(layered ? ['SoundFont', ...headers] : headers,
+    layered ? rows.map(({ layer, cells }) => [layer, ...cells]) : rows.map(({ cells }) => cells));
+  const perLayer = (list, toCells) => layers.flatMap(({ name, report }) => report[list].map(item => ({ layer: name, cells: toCells(item, report) })));
+  const names = (list, indices) => indices.map(index => (list[index] ? list[index].name : `#${index}`)).join(', ');
+  let table;
+  if (panel === sf2PresetsPanel) {
+    table = withLayer(['Bank', 'Program', 'Name', 'Instruments'],
+      effectivePresets(layers).map(preset => ({ layer: preset.layer, cells: [preset.bank, preset.program, preset.name, preset.instruments] })));
+  } else if (panel === sf2InstrumentsPanel) {
+    table = withLayer(['Name', 'Zones', 'Samples'],
+      perLayer('instruments', (instrument, report) => [instrument.name, instrument.zoneCount, names(report.samples, instrument.samples)]));
+  } else {
+    table = withLayer(['Name', 'Rate', 'Key', 'Type', 'Size'],
+      perLayer('samples', sample => [sample.name, `${sample.sampleRate} Hz`, noteName(sample.originalPitch),
+        sample.rom ? `${sample.link} (ROM)` : sample.link, formatBytes(sample.bytes)]));
+  }
+  panel.querySelector('summary').after(table);
+  panel.dataset.filled = 'true';
+}
+
+/** Presets the current track plays that the SoundFont stack lacks, and what FluidSynth plays instead. */
+function renderMissingPresets() {
+  if (!sf2MissingEl) return;
+  const layers = inspectLoadedSoundFonts().filter(layer => layer.report);
+  sf2MissingEl.replaceChildren();
+  if (layers.length === 0) return;
+  if (!currentSmf) {
+    sf2MissingEl.textContent = 'Load a track to check the presets it needs.';
+    return;
+  }
+  const { requested, missing } = findMissingPresets({ presets: effectivePresets(layers) }, currentSmf);
+  if (missing.length === 0) {
+    sf2MissingEl.textContent = `All ${requested} preset${requested === 1 ? '' : 's'} this track plays are in the SoundFont${layers.length > 1 ? ' stack' : ''}.`;
+    return;
+  }
+  const heading = document.createElement('p');
+  heading.textContent = `${missing.length} of ${requested} presets this track plays are missing:`;
+  const list = document.createElement('ul');
+  for (const entry of missing) {
+    const item = document.createElement('li');
+    const channels = entry.channels.map(chan => chan + 1).join(', ');
+    const instead = entry.fallback
+      ? `plays ${presetLabel(entry.fallback.bank, entry.fallback.program, entry.fallback.name)} instead`
+      : 'silent (no fallback preset)';
+    item.textContent = `${presetLabel(entry.bank, entry.program)} on channel${entry.channels.length === 1 ? '' : 's'} ${channels} (${entry.notes} notes): ${instead}`;
+    list.appendChild(item);
+  }
+  sf2MissingEl.append(heading, list);
+}
+
+/** Show the structure of the loaded SoundFont stack (lists are filled again when opened). */
+function renderSoundFontInspector() {
+  if (!sf2SummaryEl) return;
+  const layers = inspectLoadedSoundFonts();
+  const readable = layers.filter(layer => layer.report);
+  const panels = [sf2PresetsPanel, sf2InstrumentsPanel, sf2SamplesPanel].filter(Boolean);
+  for (const panel of panels) {
+    panel.querySelector('table')?.remove();
+    panel.dataset.filled = 'false';
+    panel.hidden = readable.length === 0;
+  }
+  if (sf2InfoEl) sf2InfoEl.replaceChildren();
+  const addInfo = (label, value) => {
+    if (!value || !sf2InfoEl) return;
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    sf2InfoEl.append(dt, dd);
+  };
+  const unreadable = (layer) => `Cannot read this SoundFont: ${layer.error && layer.error.message ? layer.error.message : layer.error}`;
+  if (layers.length === 0) {
+    sf2SummaryEl.textContent = 'Load an SF2 first';
+  } else if (layers.length === 1) {
+    const [layer] = layers;
+    sf2SummaryEl.textContent = layer.report ? soundFontSummary(layer.report, layer.report.info.name || 'Untitled') : unreadable(layer);
+    const info = layer.report ? layer.report.info : {};
+    const fields = { engineers: 'Author', copyright: 'Copyright', date: 'Date', product: 'Product', engine: 'Engine', tools: 'Tools', comment: 'Comment' };
+    for (const [field, label] of Object.entries(fields)) addInfo(label, info[field]);
+  } else {
+    sf2SummaryEl.textContent = `${layers.length} layers · ${effectivePresets(readable).length} presets`;
+    layers.forEach((layer, index) => {
+      const summary = layer.report ? soundFontSummary(layer.report, layer.name) : unreadable(layer);
+      addInfo(index === 0 ? 'Top' : `Layer ${index + 1}`, layer.bankOffset ? `${summary} · bank +${layer.bankOffset}` : summary);
+    });
+  }
+  if (readable.length > 0) {
+    const count = (list) => readable.reduce((total, layer) => total + layer.report[list].length, 0);
+    if (sf2PresetsPanel) sf2PresetsPanel.querySelector('summary').textContent = `Presets (${effectivePresets(readable).length})`;
+    if (sf2InstrumentsPanel) sf2InstrumentsPanel.querySelector('summary').textContent = `Instruments (${count('instruments')})`;
+    if (sf2SamplesPanel) sf2SamplesPanel.querySelector('summary').textContent = `Samples (${count('samples')})`;
+    panels.forEach(renderInspectorList);
+  }
+  renderMissingPresets();
+}
+
+// ---------------------------------------------------------------------------
+// Loading / Playlist
+// ---------------------------------------------------------------------------
+/** Update playlist UI to reflect the active index. */
+function highlightActive() {
+  [...playlistEl.children].forEach((li, idx) => {
+    if (idx === currentIndex) li.classList.add('active'); else li.classList.remove('active');
+  });
+}
+
+/** Lower-case file extension of a name. */
+function fileExtension(name) {
+  return (name.split('.').pop() || '').toLowerCase();
+}
+
+/** Append an item to the active playlist (UI and storage). */
+function appendPlaylistItem(item) {
+  playlist.push(item);
+  if (shuffle) shuffleBag.push(item);
+  playlistEl.appendChild(createPlaylistItem(item.name, item.sf2));
+  renderPlaylistSelect();
+  persistPlaylistItem(item);
+}
+
+/** Append files to playlist UI and internal list. */
+function addToPlaylist(files) {
+  for (const file of files) {
+    const name = file.name;
+    const ext = fileExtension(name);
+    if (!SUPPORTED_MIDI_EXTENSIONS.includes(ext)) continue;
+    appendPlaylistItem({ name, ext, file });
+  }
+}
+
+/**
+ * Files of a drop: plain files, plus the contents of dropped folders (recursively, sorted by path).
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .filter(item => item.kind === 'file')
+    .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+  // No entry API: plain files only
+  if (entries.length === 0 || entries.some(entry => !entry)) return [...dataTransfer.files];
+
+  const found = []; // { path, file }
+  const readAllEntries = async (reader) => {
+    // readEntries returns batches; an empty batch means the folder is done
+    const all = [];
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) return all;
+      all.push(...batch);
+    }
+  };
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      found.push({ path: entry.fullPath || file.name, file });
+    } else if (entry.isDirectory) {
+      for (const child of await readAllEntries(entry.createReader())) await walk(child);
+    }
+  };
+  for (const entry of entries) {
+    try {
+      await walk(entry);
+    } catch (error) {
+      console.warn('[WARN] Could not read dropped entry:', entry.name, error);
+    }
+  }
+  found.sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' }));
+  return found.map(f => f.file);
+}
+
+/**
+ * Unpack ZIP archives into their MIDI and SF2/SF3 files (path order); other entries are reported as skipped.
+ * @param {File[]} archives
+ * @returns {Promise<{files: File[], skipped: string[]}>} skipped: "archive.zip: path (reason)" lines
+ */
+async function expandArchives(archives) {
+  const wanted = [...SUPPORTED_MIDI_EXTENSIONS, ...SUPPORTED_SF2_EXTENSIONS];
+  const files = [];
+  const skipped = [];
+  for (const archive of archives) {
+    try {
+      const result = await unzip(await archive.arrayBuffer(), path => wanted.includes(fileExtension(path)));
+      result.files
+        .sort((a, b) => a.path.localeCompare(b.path, undefined, { numeric: true, sensitivity: 'base' }))
+        .forEach(({ path, bytes }) => files.push(new File([bytes], path.split('/').pop())));
+      result.skipped.forEach(({ path, reason }) => skipped.push(`${archive.name}: ${path} (${reason})`));
+      debug('Unpacked', archive.name + ':', result.files.length, 'file(s),', result.skipped.length, 'skipped');
+    } catch (error) {
+      console.error('[ERROR] Failed to unpack archive:', archive.name, error);
+      skipped.push(`${archive.name}: ${error && error.message ? error.message : error}`);
+    }
+  }
+  return { files, skipped };
+}
+
+/** Route files: MIDI to the playlist, SF2/SF3 to the custom SoundFonts (the last one is loaded), ZIP archives unpacked. */
+async function addFiles(inputFiles) {
+  const archives = inputFiles.filter(f => SUPPORTED_ARCHIVE_EXTENSIONS.includes(fileExtension(f.name)));
+  const { files: unpacked, skipped } = await expandArchives(archives);
+  const files = [...inputFiles.filter(f => !archives.includes(f)), ...unpacked];
+  const midiFiles = files.filter(f => SUPPORTED_MIDI_EXTENSIONS.includes(fileExtension(f.name)));
+  const sf2Files = files.filter(f => SUPPORTED_SF2_EXTENSIONS.includes(fileExtension(f.name)));
+  debug('Adding', files.length, 'file(s):', midiFiles.length, 'MIDI,', sf2Files.length, 'SoundFont(s)');
+  if (midiFiles.length > 0) addToPlaylist(midiFiles);
+  for (let i = 0; i < sf2Files.length; i++) {
+    try {
+      await addCustomSf2(sf2Files[i], i === sf2Files.length - 1);
+    } catch (error) {
+      console.error('[ERROR] Failed to add dropped SF2:', sf2Files[i].name, error);
+    }
+  }
+  skipped.forEach(line => console.warn('[WARN] Archive entry skipped:', line));
+  if (skipped.length > 0) {
+    const listed = skipped.slice(0, MAX_LISTED_SKIPPED).join('\n') + (skipped.length > MAX_LISTED_SKIPPED ? `\n… and ${skipped.length - MAX_LISTED_SKIPPED} more` : '');
+    alert(`Added ${midiFiles.length} MIDI file(s) and ${sf2Files.length} SoundFont(s); ${skipped.length} archive entr${skipped.length === 1 ? 'y was' : 'ies were'} skipped:\n${listed}`);
+  } else if (midiFiles.length === 0 && sf2Files.length === 0 && files.length > 0) {
+    alert('No MIDI or SoundFont files found.\nSupported: ' + [...SUPPORTED_MIDI_EXTENSIONS, ...SUPPORTED_SF2_EXTENSIONS, ...SUPPORTED_ARCHIVE_EXTENSIONS].map(e => '.' + e).join(' '));
+  }
+}
+
+/** Route a drop (files and folders). */
+async function handleDroppedFiles(dataTransfer) {
+  await addFiles(await collectDroppedFiles(dataTransfer));
+}
+
+/** Rebuild the playlist UI from the active playlist. */
+function renderPlaylistItems() {
+  while (playlistEl.firstChild) playlistEl.removeChild(playlistEl.firstChild);
+  for (const item of playlist) playlistEl.appendChild(createPlaylistItem(item.name, item.sf2));
+  highlightActive();
+}
+
+/** Stop and forget the loaded track (title, metadata, piano roll, A–B loop). */
+function unloadCurrentTrack() {
+  stopTrack();
+  currentIndex = -1;
+  trackLoaded = false;
+  trackTitleEl.textContent = 'No track loaded';
+  currentSmf = null;
+  midiOut.setSong(null);
+  stuckNotes.setSong(null);
+  updateTrackInfo(null);
+  renderMissingPresets();
+  if (pianoRoll) pianoRoll.setNotes([], timing);
+  renderPianoRoll();
+  clearLoopRegion();
+  if (trackSf2) {
+    applyTrackSoundfont(null, null).catch(error => console.error('[ERROR] Failed to restore the selected SF2:', error));
+  }
+}
+
+/** Read (and cache) the raw bytes of a playlist item (user file, or bundled file fetched by path). */
+async function readItemBytes(item) {
+  if (!item.arrayBuffer) {
+    if (item.file) {
+      item.arrayBuffer = await item.file.arrayBuffer();
+    } else if (item.path) {
+      const res = await fetch('./' + item.path.split('/').map(encodeURIComponent).join('/'));
+      if (!res.ok) throw new Error('Failed to fetch ' + item.path);
+      item.arrayBuffer = await res.arrayBuffer();
+    } else {
+      throw new Error('No data for ' + item.name);
+    }
+  }
+  return item.arrayBuffer;
+}
+
+// ---------------------------------------------------------------------------
+// Named playlists (switch, create, rename, delete, import/export)
+// ---------------------------------------------------------------------------
+/** @returns {object} the active named playlist */
+function getActivePlaylist() {
+  return playlists.find(pl => pl.id === activePlaylistId);
+}
+
+/** Items of a named playlist (the active one's live in `playlist`). */
+function playlistItems(pl) {
+  return pl.id === activePlaylistId ? playlist : pl.items;
+}
+
+/** A playlist name not used yet ("Name", "Name 2", ...). */
+function uniquePlaylistName(base) {
+  const name = (base || DEFAULT_PLAYLIST_NAME).trim() || DEFAULT_PLAYLIST_NAME;
+  const taken = new Set(playlists.map(pl => pl.name));
+  if (!taken.has(name)) return name;
+  let n = 2;
+  while (taken.has(`${name} ${n}`)) n++;
+  return `${name} ${n}`;
+}
+
+/** Add a named playlist (not activated). */
+function createNamedPlaylist(name, items = []) {
+  const pl = { id: playlists.reduce((max, p) => Math.max(max, p.id), 0) + 1, name: uniquePlaylistName(name), items };
+  playlists.push(pl);
+  return pl;
+}
+
+/** Fill the playlist dropdown. */
+function renderPlaylistSelect() {
+  if (!playlistSelect) return;
+  while (playlistSelect.firstChild) playlistSelect.removeChild(playlistSelect.firstChild);
+  for (const pl of playlists) {
+    const opt = document.createElement('option');
+    opt.value = String(pl.id);
+    opt.textContent = `${pl.name} (${playlistItems(pl).length})`;
+    playlistSelect.appendChild(opt);
+  }
+  playlistSelect.value = String(activePlaylistId);
+}
+
+/** Make another named playlist active; the loaded track is stopped and unloaded. */
+async function switchPlaylist(id) {
+  const next = playlists.find(pl => pl.id === id);
+  if (!next || id === activePlaylistId) return;
+  if (currentIndex !== -1) unloadCurrentTrack();
+  const current = getActivePlaylist();
+  if (current) current.items = playlist.slice();
+  playlist.splice(0, playlist.length, ...next.items);
+  next.items = null;
+  activePlaylistId = id;
+  resetPlayOrder();
+  renderPlaylistItems();
+  renderPlaylistSelect();
+  await savePlaylists();
+  debug('Playlist switched to', next.name);
+}
+
+/** Prompt for a name and switch to a new empty playlist. */
+async function newPlaylist() {
+  const name = window.prompt('New playlist name:', uniquePlaylistName(DEFAULT_PLAYLIST_NAME));
+  if (name === null) return;
+  await switchPlaylist(createNamedPlaylist(name).id);
+}
+
+/** Prompt for a new name for the active playlist. */
+async function renamePlaylist() {
+  const pl = getActivePlaylist();
+  const name = window.prompt('Rename playlist:', pl.name);
+  if (name === null || !name.trim() || name.trim() === pl.name) return;
+  pl.name = uniquePlaylistName(name);
+  renderPlaylistSelect();
+  await savePlaylists();
+}
+
+/** Delete the active playlist and its saved tracks; the last one is replaced by an empty playlist. */
+async function deletePlaylist() {
+  const pl = getActivePlaylist();
+  if (!window.confirm(`Delete playlist "${pl.name}" and its ${playlist.length} track(s)?`)) return;
+  if (currentIndex !== -1) unloadCurrentTrack();
+  if (exportJob && playlist.includes(exportJob.item)) exportJob.cancelled = true;
+  const ids = playlist.filter(item => item.id !== undefined).map(item => item.id);
+  playlist.length = 0;
+  playlists.splice(playlists.indexOf(pl), 1);
+  if (playlists.length === 0) createNamedPlaylist(DEFAULT_PLAYLIST_NAME);
+  const next = playlists[0];
+  playlist.push(...next.items);
+  next.items = null;
+  activePlaylistId = next.id;
+  resetPlayOrder();
+  renderPlaylistItems();
+  renderPlaylistSelect();
+  try {
+    await library.deleteTracks(ids);
+  } catch (error) {
+    console.warn('[WARN] Could not delete saved tracks of playlist:', pl.name, error);
+  }
+  await savePlaylists();
+  refreshStorageUsage();
+}
+
+/** Download the active playlist as JSON or M3U (bundled files by path, user files embedded). */
+async function exportActivePlaylist(format) {
+  const pl = getActivePlaylist();
+  try {
+    const entries = [];
+    for (const item of playlist) {
+      const entry = item.path ? { name: item.name, path: item.path } : { name: item.name, bytes: await readItemBytes(item) };
+      if (item.sf2) entry.soundfont = item.sf2;
+      entries.push(entry);
+    }
+    const isJson = format === 'json';
+    const text = isJson ? exportPlaylistJson(pl.name, entries) : exportPlaylistM3u(pl.name, entries);
+    const blob = new Blob([text], { type: isJson ? 'application/json' : 'audio/x-mpegurl' });
+    downloadBlob(blob, `${pl.name}.${isJson ? 'json' : 'm3u'}`);
+    debug('Playlist exported:', pl.name, format, entries.length, 'track(s)');
+  } catch (error) {
+    console.error('[ERROR] Failed to export playlist:', error);
+    alert('Failed to export playlist' + (error && error.message ? ': ' + error.message : ''));
+  }
+}
+
+/** Import a JSON/M3U playlist file as a new named playlist and switch to it. */
+async function importPlaylistFile(file) {
+  try {
+    const { name, entries, warnings } = parsePlaylistFile(await file.text(), file.name);
+    const items = [];
+    for (const entry of entries) {
+      const ext = fileExtension(entry.name || entry.path || '');
+      if (!SUPPORTED_MIDI_EXTENSIONS.includes(ext)) {
+        warnings.push(`${entry.name}: unsupported file type`);
+        continue;
+      }
+      const item = entry.path
+        ? { name: entry.name, ext, file: null, path: entry.path }
+        : { name: entry.name, ext, file: null, arrayBuffer: entry.bytes };
+      if (entry.soundfont) item.sf2 = entry.soundfont; // a SoundFont missing here falls back to the selected one
+      items.push(item);
+    }
+    const pl = createNamedPlaylist(name, items);
+    await switchPlaylist(pl.id);
+    items.forEach(persistPlaylistItem);
+    warnings.forEach(w => console.warn('[WARN] Playlist import:', w));
+    debug('Playlist imported:', pl.name, items.length, 'track(s)');
+    if (warnings.length > 0) {
+      alert(`Imported "${pl.name}" with ${items.length} track(s); ${warnings.length} entr${warnings.length === 1 ? 'y was' : 'ies were'} skipped:\n` + warnings.join('\n'));
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to import playlist:', error);
+    alert('Failed to import playlist: ' + file.name + (error && error.message ? '\n' + error.message : ''));
+  }
+}
+
+/** SMF bytes FluidSynth can play: SMPTE divisions are converted to an equivalent PPQ file. */
+function toPlayableSmf(arrayBuffer, smf) {
+  const u8 = new Uint8Array(arrayBuffer);
+  return smf && smf.division.type === 'smpte' ? convertSmpteToPpq(u8, smf) : u8;
+}
+
+/**
+ * Plain SMF bytes of a track file: MML text and MLD melodies are converted, RIFF-MIDI (.rmi) is unwrapped,
+ * other files pass through.
+ * @param {ArrayBuffer} arrayBuffer file bytes
+ * @param {string} [ext] file extension (lowercase), selects the converter
+ * @returns {{smfBuffer: ArrayBuffer, soundfont: Uint8Array|null, bankOffset: number}} soundfont: embedded SF2 bank, if any;
+ *   bankOffset: bank number it starts at (RMI "DBNK" chunk)
+ * @throws {ConversionError} when an MML/MLD file cannot be converted
+ */
+function extractSmf(arrayBuffer, ext = '') {
+  if (MML_EXTENSIONS.includes(ext)) {
+    const smf = mmlToSmf(new TextDecoder('utf-8').decode(arrayBuffer));
+    debug('MML converted:', smf.length, 'SMF bytes');
+    return { smfBuffer: smf.buffer, soundfont: null, bankOffset: 0 };
+  }
+  if (ext === 'mld') {
+    const smf = mldToSmf(arrayBuffer);
+    debug('MLD converted:', smf.length, 'SMF bytes');
+    return { smfBuffer: smf.buffer, soundfont: null, bankOffset: 0 };
+  }
+  if (!isRiffMidi(arrayBuffer)) return { smfBuffer: arrayBuffer, soundfont: null, bankOffset: 0 };
+  const { smf, soundfont, bankOffset } = unwrapRiffMidi(arrayBuffer);
+  debug('RIFF-MIDI unwrapped:', smf.length, 'SMF bytes', soundfont ? `, embedded ${soundfont.type} (bank offset ${bankOffset})` : '');
+  if (soundfont && soundfont.type === 'dls') console.warn('[WARN] Embedded DLS banks are not supported, using the selected SoundFont');
+  const sf2 = soundfont && soundfont.type === 'sf2' ? soundfont.bytes : null;
+  return { smfBuffer: smf.buffer, soundfont: sf2, bankOffset: sf2 ? bankOffset : 0 };
+}
+
+/** Flag a playlist row whose file could not be converted (reason in its tooltip). */
+function markUnplayable(item, reason) {
+  const row = playlistEl.children[playlist.indexOf(item)];
+  if (!row) return;
+  row.classList.add('unplayable');
+  row.title = reason;
+}
+
+/** @returns {boolean} true when SoundFonts embedded in RMI files should be used */
+function useEmbeddedSf2() {
+  return !embeddedSf2Toggle || embeddedSf2Toggle.checked;
+}
+
+/**
+ * Give a track its embedded SF2 (when enabled) or its pinned SoundFont, or bring back the selected SF2 stack
+ * after a track that had one. Consecutive tracks pinned to the same SoundFont do not reload it.
+ * @param {object|null} item playlist item being loaded (null when unloading)
+ * @param {Uint8Array|null} soundfont embedded SF2 bank of the item
+ * @param {number} [bankOffset] bank number the embedded SF2 starts at
+ */
+async function applyTrackSoundfont(item, soundfont, bankOffset = 0) {
+  if (soundfont && useEmbeddedSf2()) {
+    const layers = await embeddedSoundFontStack(item, soundfont, bankOffset);
+    trackSf2 = { item, value: null };
+    await player.loadSoundFontStack(layers);
+    refreshPresetViews();
+    if (testChordBtn) testChordBtn.disabled = false;
+    debug('Embedded SF2 loaded for', item.name, `at bank offset ${layers[0].bankOffset} over ${layers.length - 1} layer(s)`);
+    return;
+  }
+  const pinned = item ? item.sf2 : null;
+  if (pinned && trackSf2 && trackSf2.value === pinned) {
+    trackSf2.item = item;
+    return;
+  }
+  if (pinned) {
+    try {
+      const { sf2FileData, displayName } = await readSelectedSf2(pinned);
+      trackSf2 = { item, value: pinned }; // the stack is replaced from here on, even if loading fails
+      await player.loadSoundFontStack([{ bytes: sf2FileData, bankOffset: 0 }]);
+      refreshPresetViews();
+      if (testChordBtn) testChordBtn.disabled = false;
+      debug('Pinned SF2 loaded for', item.name + ':', displayName);
+      return;
+    } catch (error) {
+      console.warn('[WARN] Pinned SoundFont unavailable for', item.name + ', using the selected one:', error);
+    }
+  }
+  if (!trackSf2) return;
+  trackSf2 = null;
+  if (sf2Stack.length === 0) {
+    console.warn('[WARN] No SoundFont selected to restore, keeping the track\'s one');
+    return;
+  }
+  await player.loadSoundFontStack(await readSf2Stack(sf2Stack));
+  refreshPresetViews();
+  debug('Selected SF2 stack restored:', sf2Stack.map(layer => layer.value).join(', '));
+}
+
+/**
+ * SoundFonts a track plays with when it has no embedded SF2: its pinned SoundFont, else the selected stack.
+ * @returns {Promise<{bytes: ArrayBuffer, bankOffset: number}[]>}
+ */
+async function trackSoundFontStack(item) {
+  if (item.sf2) {
+    try {
+      return [{ bytes: (await readSelectedSf2(item.sf2)).sf2FileData, bankOffset: 0 }];
+    } catch (error) {
+      console.warn('[WARN] Pinned SoundFont unavailable for', item.name + ', using the selected one:', error);
+    }
+  }
+  if (sf2Stack.length > 0) return readSf2Stack(sf2Stack);
+  return trackSf2 ? [] : player.getSoundFontStack(); // a track's own SoundFonts are not a fallback for another
+}
+
+/**
+ * SoundFonts of a track with an embedded SF2: the embedded bank at its DBNK offset, over the SoundFonts
+ * the track would play with otherwise. Alone, it starts at bank 0 so the file's programs still sound.
+ * @returns {Promise<{bytes: ArrayBuffer, bankOffset: number}[]>}
+ */
+async function embeddedSoundFontStack(item, soundfont, bankOffset) {
+  const below = await trackSoundFontStack(item);
+  return [{ bytes: soundfont.buffer, bankOffset: below.length > 0 ? bankOffset : 0 }, ...below];
+}
+
+/**
+ * Pin a SoundFont to a playlist item ('' for the selected stack); the current track switches right away.
+ * @param {object} item playlist item
+ * @param {string} value SoundFont dropdown value
+ */
+async function pinTrackSf2(item, value) {
+  if (!item) return;
+  if (value) item.sf2 = value; else delete item.sf2;
+  if (item.id !== undefined) persistPlaylistItem(item); // unsaved items get the pin with their first save
+  debug('SF2 pin of', item.name + ':', value || 'default');
+  if (playlist[currentIndex] !== item || !player) return;
+  const wasPlaying = isPlaying;
+  const resumeTick = timing.currentTick;
+  if (wasPlaying) await pauseTrack();
+  const { soundfont, bankOffset } = extractSmf(await readItemBytes(item), item.ext);
+  await applyTrackSoundfont(item, soundfont, bankOffset);
+  timing.currentTick = resumeTick;
+  if (wasPlaying) await playTrack();
+  updateChannelMeters(); // preset names come from the new SoundFont
+}
+
+/** Offer a Blob as a file download. */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Render a playlist item offline with the SoundFonts it plays with and download it as WAV.
+ * The button shows progress; clicking it again while exporting cancels.
+ * Live playback is not interrupted (rendering happens on a separate synth).
+ */
+async function exportWav(index, button) {
+  const item = playlist[index];
+  if (!item) return;
+  if (exportJob) {
+    if (exportJob.item === item) exportJob.cancelled = true;
+    else alert('A WAV export is already running: ' + exportJob.item.name);
+    return;
+  }
+  await ensurePlayer();
+  const job = { item, cancelled: false };
+  exportJob = job;
+  const label = button.textContent;
+  button.classList.add('exporting');
+  button.textContent = '0%';
+  try {
+    const { smfBuffer, soundfont, bankOffset } = extractSmf(await readItemBytes(item), item.ext);
+    // Same SoundFonts as playback: the embedded one (when enabled) over the track's pinned one or the selected stack
+    const soundFonts = soundfont && useEmbeddedSf2()
+      ? await embeddedSoundFontStack(item, soundfont, bankOffset)
+      : await trackSoundFontStack(item);
+    if (soundFonts.length === 0) throw new Error('Load an SF2 first');
+    let smf = null;
+    try { smf = parseMidiFile(smfBuffer); } catch (error) {
+      console.warn('[WARN] Could not parse SMF before export, sending it as is:', error);
+    }
+    const bitDepth = Number(wavBitDepthEl ? wavBitDepthEl.value : 16) || 16;
+    let writer = null;
+    const result = await player.renderOffline(toPlayableSmf(smfBuffer, smf), {
+      soundFonts,
+      onBlock: (channels, frames) => {
+        if (!writer) writer = new WavWriter(player._audioContext.sampleRate, bitDepth, channels.length);
+        writer.addBlock(channels, frames);
+      },
+      onProgress: (fraction) => { button.textContent = Math.floor(fraction * 100) + '%'; },
+      isCancelled: () => job.cancelled
+    });
+    if (result.cancelled) {
+      debug('WAV export cancelled:', item.name);
+      return;
+    }
+    if (!writer) throw new Error('Nothing was rendered');
+    debug('WAV export done:', item.name, writer.duration.toFixed(1) + 's', bitDepth + '-bit');
+    downloadBlob(writer.toBlob(), item.name.replace(/\.[^.]+$/, '') + '.wav');
+  } catch (error) {
+    console.error('[ERROR] WAV export failed:', error);
+    alert('WAV export failed: ' + item.name + (error && error.message ? '\n' + error.message : ''));
+  } finally {
+    exportJob = null;
+    button.classList.remove('exporting');
+    button.textContent = label;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Persistence (IndexedDB, best effort: failures are logged and the app keeps working in memory)
+// ---------------------------------------------------------------------------
+/** Save the named playlists (names and saved track ids, in order) and which one is active. */
+function savePlaylists() {
+  const saved = playlists.map(pl => ({
+    id: pl.id,
+    name: pl.name,
+    trackIds: playlistItems(pl).filter(item => item.id !== undefined).map(item => item.id)
+  }));
+  return Promise.all([library.setState(STATE_PLAYLISTS, saved), library.setState(STATE_ACTIVE_PLAYLIST, activePlaylistId)])
+    .catch(error => console.warn('[WARN] Could not save playlists:', error));
+}
+
+/** Save a playlist item (bytes, or just the path of a bundled file), then the playlists. */
+async function persistPlaylistItem(item) {
+  try {
+    const record = { name: item.name, ext: item.ext, sf2: item.sf2, id: item.id };
+    if (item.path) record.path = item.path; else record.bytes = await readItemBytes(item);
+    item.id = await library.putTrack(record);
+    if (!playlists.some(pl => playlistItems(pl).includes(item))) {
+      // Removed while saving
+      await library.deleteTrack(item.id);
+      return;
+    }
+    await savePlaylists();
+    refreshStorageUsage();
+  } catch (error) {
+    console.warn('[WARN] Could not save track:', item.name, error);
+  }
+}
+
+/** Delete a removed playlist item from storage. */
+async function forgetPlaylistItem(item) {
+  if (!item || item.id === undefined) return;
+  try {
+    await library.deleteTrack(item.id);
+    await savePlaylists();
+    refreshStorageUsage();
+  } catch (error) {
+    console.warn('[WARN] Could not delete saved track:', item.name, error);
+  }
+}
+
+/** Save the active track and playhead so the next visit resumes there. */
+function savePlaybackPosition() {
+  lastPositionSaveAt = performance.now();
+  const item = playlist[currentIndex];
+  const value = item && item.id !== undefined ? { trackId: item.id, tick: Math.floor(timing.currentTick) } : null;
+  library.setState(STATE_LAST_POSITION, value)
+    .catch(error => console.warn('[WARN] Could not save playback position:', error));
+}
+
+/** Human-readable byte size. */
+function formatBytes(bytes) {
+  if (!(bytes > 0)) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+}
+
+/** Fill the storage-usage view (only while it is open: reading sizes loads every saved file). */
+async function refreshStorageUsage() {
+  if (!storagePanelEl || !storagePanelEl.open || !storageUsageEl) return;
+  try {
+    const { tracks, soundfonts, usage, quota } = await library.getUsage();
+    let text = `${tracks.count} track(s), ${formatBytes(tracks.bytes)} · ${soundfonts.count} SoundFont(s), ${formatBytes(soundfonts.bytes)}`;
+    if (usage !== null && quota !== null) text += ` · ${formatBytes(usage)} of ${formatBytes(quota)} used by this site`;
+    storageUsageEl.textContent = text;
+  } catch (error) {
+    console.warn('[WARN] Could not read storage usage:', error);
+    storageUsageEl.textContent = 'Saved data unavailable (storage blocked or unsupported)';
+  }
+}
+
+/** Delete all saved data; the current session keeps its playlist and SoundFonts until reload. */
+async function clearSavedData() {
+  if (!window.confirm('Delete the saved playlist, custom SoundFonts and playback position from this browser?')) return;
+  try {
+    await library.clear();
+    playlists.forEach(pl => playlistItems(pl).forEach(item => { delete item.id; }));
+    debug('Saved data cleared');
+  } catch (error) {
+    console.error('[ERROR] Failed to clear saved data:', error);
+    alert('Failed to clear saved data' + (error && error.message ? ': ' + error.message : ''));
+  }
+  refreshStorageUsage();
+}
+
+/**
+ * Restore the saved session: custom SoundFonts, named playlists, SoundFont stack, last track and position.
+ * Playback is not started (browsers need a user gesture for audio anyway).
+ * @param {Promise} sf2ListReady resolves once the SoundFont dropdown is filled
+ */
+async function restoreSession(sf2ListReady) {
+  let soundfonts, tracks, savedPlaylists, savedActiveId, savedStack, lastSf2, lastPosition;
+  try {
+    [soundfonts, tracks, savedPlaylists, savedActiveId, savedStack, lastSf2, lastPosition] = await Promise.all([
+      library.getAllSoundfonts(),
+      library.getAllTracks(),
+      library.getState(STATE_PLAYLISTS),
+      library.getState(STATE_ACTIVE_PLAYLIST),
+      library.getState(STATE_SF2_STACK),
+      library.getState(STATE_LAST_SF2),
+      library.getState(STATE_LAST_POSITION)
+    ]);
+  } catch (error) {
+    console.warn('[WARN] Saved session unavailable:', error);
+    return;
+  }
+  await sf2ListReady;
+
+  for (const { name, bytes } of soundfonts) {
+    customSf2Registry.set(name, bytes);
+    addCustomSf2Option(name);
+  }
+
+  const unclaimed = new Map(tracks.map(track => [track.id, track]));
+  const toItem = (track) => {
+    unclaimed.delete(track.id);
+    const item = { name: track.name, ext: track.ext, file: null, arrayBuffer: track.bytes, path: track.path, id: track.id };
+    if (track.sf2) item.sf2 = track.sf2;
+    return item;
+  };
+  const restored = (savedPlaylists || []).map(saved => ({
+    id: saved.id,
+    name: saved.name,
+    items: saved.trackIds.filter(id => unclaimed.has(id)).map(id => toItem(unclaimed.get(id)))
+  }));
+  if (restored.length > 0) {
+    // Items added before the restore finished stay in the (restored) active playlist, after the saved ones
+    const added = playlist.splice(0, playlist.length);
+    playlists.splice(0, playlists.length, ...restored);
+    const active = playlists.find(pl => pl.id === savedActiveId) || playlists[0];
+    activePlaylistId = active.id;
+    playlist.push(...active.items, ...added);
+    if (currentIndex !== -1) currentIndex += active.items.length;
+    active.items = null;
+  }
+  // Tracks in no playlist (interrupted save) go to the active playlist, oldest first
+  [...unclaimed.values()].sort((a, b) => a.id - b.id).forEach(track => playlist.push(toItem(track)));
+  renderPlaylistItems();
+  renderPlaylistSelect();
+  debug('Restored', playlists.length, 'playlist(s),', tracks.length, 'track(s) and', soundfonts.length, 'custom SoundFont(s)');
+
+  // Layers whose SoundFont is gone (bundled file removed, saved data cleared) are dropped
+  const known = new Set(sf2Select ? [...sf2Select.options].map(opt => opt.value).filter(Boolean) : []);
+  const stack = (savedStack || (lastSf2 ? [{ value: lastSf2, bankOffset: 0 }] : [])).filter(layer => known.has(layer.value));
+  if (stack.length > 0) await applySf2Stack(stack);
+  if (lastPosition && currentIndex === -1) {
+    const index = playlist.findIndex(item => item.id === lastPosition.trackId);
+    if (index !== -1) {
+      await loadTrack(index);
+      if (lastPosition.tick > 0) await seekToTick(lastPosition.tick);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// SoundFont scanning and selection (hybrid: demo/Soundfonts/ + manifest)
+// ---------------------------------------------------------------------------
+
+/**
+ * List SF2/SF3 files using hybrid approach:
+ * 1. Try Vite dev API endpoint (dev mode with refresh support)
+ * 2. Try directory listing (Python HTTP server)
+ * 3. Fall back to static soundfonts.json manifest (GitHub Pages)
+ * @returns {Promise<string[]>}
+ */
+async function listSoundfonts() {
+  // Strategy 1: Try Vite dev API endpoint (works in dev mode, supports refresh)
+  try {
+    const res = await fetch('/api/list-soundfonts');
+    if (res.ok) {
+      const data = await res.json();
+      console.log('[DEBUG] Using Vite API soundfont listing (dev mode):', data.soundfonts?.length || 0, 'files');
+      return data.soundfonts || [];
+    }
+    // API endpoint not found (expected in production)
+    console.log('[DEBUG] Vite API not available (production mode), trying directory listing (ignore 404 above)');
+  } catch (error) {
+    // Network error
+    console.log('[DEBUG] Vite API unreachable, trying directory listing');
+  }
+
+  // Strategy 2: Try directory listing (Python HTTP server in production)
+  try {
+    const res = await fetch(SOUND_DATA_PATH + 'Soundfonts/');
+    if (res.ok) {
+      const contentType = res.headers.get('content-type') || '';
+      if (contentType.includes('text/html')) {
+        // We got HTML back - this is a directory listing!
+        const html = await res.text();
+        const tmp = document.createElement('div');
+        tmp.innerHTML = html;
+        const anchors = Array.from(tmp.querySelectorAll('a'));
+        const names = anchors.map(a => a.getAttribute('href') || '')
+          .filter(h => /\.(sf2|sf3)$/i.test(h));
+        const unique = Array.from(new Set(names)).map(n => decodeURIComponent(n));
+        if (unique.length > 0) {
+          console.log('[DEBUG] Using directory listing (HTTP server):', unique.length, 'files');
+          return unique;
+        }
+      }
+    }
+  } catch (error) {
+    console.log('[DEBUG] HTTP dynamic listing unavailable, trying static manifest');
+  }
+
+  // Strategy 3: Fall back to static manifest (GitHub Pages)
+  try {
+    const res = await fetch('./soundfonts.json');
+    if (res.ok) {
+      const manifest = await res.json();
+      console.log('[DEBUG] Using static soundfont manifest:', manifest.soundfonts?.length || 0, 'files');
+      return manifest.soundfonts || [];
+    }
+  } catch (error) {
+    console.error('[ERROR] All soundfont listing strategies failed');
+  }
+
+  return [];
+}
+
+/** Refresh SoundFonts dropdown with current directory listing. */
+async function refreshSf2List() {
+  if (!sf2Select) return;
+  const opts = await listSoundfonts();
+  sf2BytesCache.clear(); // a rescan also picks up replaced files
+  // Preserve current selection if possible
+  const current = sf2Select.value;
+  while (sf2Select.firstChild) sf2Select.removeChild(sf2Select.firstChild);
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = '— none —';
+  sf2Select.appendChild(none);
+  for (const name of customSf2Registry.keys()) addCustomSf2Option(name);
+  for (const name of opts) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    sf2Select.appendChild(opt);
+  }
+  const values = [...sf2Select.options].map(opt => opt.value);
+  sf2Select.value = values.includes(current) ? current : '';
+  renderSf2LayerOptions();
+}
+
+/** The "add layer" list and the playlist's per-track SoundFont pins offer the same SoundFonts as the dropdown. */
+function renderSf2LayerOptions() {
+  if (!sf2Select) return;
+  if (sf2LayerSelect) {
+    sf2LayerSelect.replaceChildren(new Option('＋ Add layer…', ''));
+    for (const opt of sf2Select.options) {
+      if (opt.value) sf2LayerSelect.add(new Option(opt.textContent, opt.value));
+    }
+    sf2LayerSelect.value = '';
+  }
+  playlistEl.querySelectorAll('.sf2-pin').forEach(select => fillSf2PinOptions(select, select.value));
+}
+
+/** Options of a track's SoundFont pin; a pinned SoundFont that is not listed any more stays, marked missing. */
+function fillSf2PinOptions(select, value) {
+  select.replaceChildren(new Option('Default SF2', ''));
+  for (const opt of sf2Select ? sf2Select.options : []) {
+    if (opt.value) select.add(new Option(opt.textContent, opt.value));
+  }
+  if (value && ![...select.options].some(opt => opt.value === value)) select.add(new Option(`${value.replace(/^custom::/, 'Custom: ')} (missing)`, value));
+  select.value = value || '';
+  select.classList.toggle('pinned', Boolean(value));
+}
+
+/**
+ * Register a custom SF2/SF3 file (session registry, storage and dropdown).
+ * @param {File} file
+ * @param {boolean} [apply=true] select and load it on the main synth
+ */
+async function addCustomSf2(file, apply = true) {
+  debug('Custom SF2 selected (FluidSynth)', file.name, file.size);
+
+  // Read SF2 file data as ArrayBuffer
+  const sf2FileData = await file.arrayBuffer();
+
+  // If a custom with the same name already exists, ask to replace
+  const existingValue = `custom::${file.name}`;
+  const existingOption = Array.from(sf2Select?.options || []).find(opt => opt.value === existingValue);
+  if (existingOption) {
+    const replace = window.confirm(`A custom SF2 named "${file.name}" already exists. Replace it with the new file?`);
+    if (!replace) {
+      // Keep existing; select it and load
+      if (apply) {
+        if (sf2Select) sf2Select.value = existingValue;
+        await applySelectedSf2();
+      }
+      return;
+    }
+  }
+
+  // Store/replace in registry (and in storage, so it survives a reload)
+  customSf2Registry.set(file.name, sf2FileData);
+  library.putSoundfont(file.name, sf2FileData)
+    .then(refreshStorageUsage)
+    .catch(error => console.warn('[WARN] Could not save custom SF2:', file.name, error));
+
+  // Ensure an option exists (insert or update)
+  addCustomSf2Option(file.name);
+  if (!apply) return;
+
+  // Select and load via unified path
+  if (sf2Select) sf2Select.value = existingValue;
+  await applySelectedSf2();
+
+  // Keep context suspended if idle
+  if (!isPlaying) {
+    safePlayerCall(player.setAudioState, AUDIO_STATE.stopped);
+  }
+}
+
+/** Add a "Custom: name" entry at the top of the SF2 dropdown (after the placeholder) unless present. */
+function addCustomSf2Option(name) {
+  if (!sf2Select) return null;
+  const value = `custom::${name}`;
+  let opt = [...sf2Select.options].find(o => o.value === value);
+  if (!opt) {
+    opt = document.createElement('option');
+    opt.value = value;
+    if (sf2Select.firstChild) {
+      sf2Select.insertBefore(opt, sf2Select.firstChild.nextSibling);
+    } else {
+      sf2Select.appendChild(opt);
+    }
+  }
+  opt.textContent = `Custom: ${name}`;
+  renderSf2LayerOptions();
+  return opt;
+}
+
+/**
+ * Bytes of a SoundFont dropdown entry (custom registry or bundled file).
+ * @param {string} selected dropdown value
+ * @returns {Promise<{sf2FileData: ArrayBuffer, displayName: string}>}
+ */
+async function readSelectedSf2(selected) {
+  // Custom entry path: value starts with prefix
+  if (selected.startsWith('custom::')) {
+    const name = selected.slice('custom::'.length);
+    const buf = customSf2Registry.get(name);
+    if (!buf) throw new Error('Custom SF2 not found in session registry');
+    return { sf2FileData: buf, displayName: `Custom: ${name}` };
+  }
+  // Built-in path: fetch from sound_data/Soundfonts (once, while it stays in the cache)
+  return { sf2FileData: await fetchBundledSf2(selected), displayName: selected };
+}
+
+/**
+ * Bytes of a bundled SoundFont, cached so switching tracks or layers does not fetch it again.
+ * The least recently used entries are dropped beyond SF2_CACHE_LIMIT.
+ * @param {string} name file name in sound_data/Soundfonts/
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function fetchBundledSf2(name) {
+  let pending = sf2BytesCache.get(name);
+  if (pending) {
+    sf2BytesCache.delete(name); // re-inserted below as the most recently used
+  } else {
+    pending = fetch(SOUND_DATA_PATH + 'Soundfonts/' + encodeURIComponent(name)).then(res => {
+      if (!res.ok) throw new Error('Failed to fetch ' + name);
+      return res.arrayBuffer();
+    });
+  }
+  sf2BytesCache.set(name, pending);
+  while (sf2BytesCache.size > SF2_CACHE_LIMIT) sf2BytesCache.delete(sf2BytesCache.keys().next().value);
+  try {
+    return await pending;
+  } catch (error) {
+    if (sf2BytesCache.get(name) === pending) sf2BytesCache.delete(name);
+    throw error;
+  }
+}
+
+/**
+ * Bytes of every layer of a stack, for the player.
+ * @param {{value: string, bankOffset: number}[]} stack
+ * @returns {Promise<{bytes: ArrayBuffer, bankOffset: number}[]>}
+ */
+async function readSf2Stack(stack) {
+  return Promise.all(stack.map(async ({ value, bankOffset }) => ({ bytes: (await readSelectedSf2(value)).sf2FileData, bankOffset })));
+}
+
+/** Dropdown label of a SoundFont value. */
+function sf2DisplayName(value) {
+  const opt = sf2Select ? [...sf2Select.options].find(o => o.value === value) : null;
+  return opt ? opt.textContent : value;
+}
+
+/**
+ * Load a SoundFont stack on the synths, preserving play state; the stack only changes if it loaded.
+ * @param {{value: string, bankOffset: number}[]} stack top priority first
+ */
+async function applySf2Stack(stack) {
+  await ensurePlayer();
+  try {
+    const layers = await readSf2Stack(stack);
+
+    const wasPlaying = isPlaying;
+    let resumeTick = timing.currentTick;
+    if (wasPlaying) await pauseTrack();
+    await player.loadSoundFontStack(layers);
+    sf2Stack = stack.map(({ value, bankOffset }) => ({ value, bankOffset }));
+    trackSf2 = null; // an explicit choice replaces a track's embedded or pinned SF2 until the next track
+    // Restore play state and position
+    timing.currentTick = resumeTick;
+    if (wasPlaying) await playTrack();
+    if (testChordBtn) testChordBtn.disabled = false;
+    updateChannelMeters(); // preset names come from the new SoundFonts
+    refreshPresetViews();
+    library.setState(STATE_SF2_STACK, sf2Stack)
+      .catch(error => console.warn('[WARN] Could not save SF2 selection:', error));
+    debug('SF2 stack:', sf2Stack.map(layer => `${layer.value} (+${layer.bankOffset})`).join(', '));
+  } catch (e) {
+    console.error('Failed to switch SF2', e);
+    alert('Failed to load SF2: ' + (e && e.message ? e.message : e));
+  }
+  renderSf2Stack();
+}
+
+/** Replace the bottom layer (the general bank) with the dropdown's SoundFont; layers above it stay. */
+async function applySelectedSf2() {
+  if (!sf2Select) return;
+  const selected = sf2Select.value;
+  if (!selected) return;
+  const layers = sf2Stack.slice(0, -1).filter(layer => layer.value !== selected);
+  await applySf2Stack([...layers, { value: selected, bankOffset: 0 }]);
+}
+
+/** Put a SoundFont on top of the stack (moved there if it is already a layer). */
+async function addSf2Layer(value) {
+  const existing = sf2Stack.find(layer => layer.value === value);
+  const others = sf2Stack.filter(layer => layer !== existing);
+  await applySf2Stack([existing || { value, bankOffset: 0 }, ...others]);
+}
+
+/** Move a layer up (-1, higher priority) or down (+1). */
+async function moveSf2Layer(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= sf2Stack.length) return;
+  const stack = [...sf2Stack];
+  [stack[index], stack[target]] = [stack[target], stack[index]];
+  await applySf2Stack(stack);
+}
+
+/** Remove a layer (the last one stays: the synths always need a SoundFont once one was loaded). */
+async function removeSf2Layer(index) {
+  if (sf2Stack.length <= 1) return;
+  await applySf2Stack(sf2Stack.filter((_, i) => i !== index));
+}
+
+/** Change the bank offset of a layer. */
+async function setSf2LayerOffset(index, bankOffset) {
+  const offset = Math.max(0, Math.min(16383, Math.floor(Number(bankOffset) || 0)));
+  if (!sf2Stack[index] || sf2Stack[index].bankOffset === offset) return;
+  await applySf2Stack(sf2Stack.map((layer, i) => (i === index ? { ...layer, bankOffset: offset } : layer)));
+}
+
+/** Show the stack (top layer first) with its controls; the dropdown shows the bottom layer. */
+function renderSf2Stack() {
+  if (sf2Select && sf2Stack.length > 0) sf2Select.value = sf2Stack[sf2Stack.length - 1].value;
+  if (!sf2StackEl) return;
+  sf2StackEl.replaceChildren();
+  sf2StackEl.hidden = sf2Stack.length === 0; // a single SoundFont gets its bank offset here too
+  sf2Stack.forEach((layer, index) => {
+    const row = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'sf2-layer-name';
+    name.textContent = sf2DisplayName(layer.value);
+    name.title = index === 0 ? 'Top layer: its presets win' : (index === sf2Stack.length - 1 ? 'Bottom layer (the dropdown above)' : '');
+    const offsetLabel = document.createElement('label');
+    offsetLabel.className = 'inline';
+    offsetLabel.title = 'Bank offset: added to every bank of this SoundFont (e.g. 1 puts its bank 0 at bank 1)';
+    const offset = document.createElement('input');
+    offset.type = 'number';
+    offset.min = '0';
+    offset.max = '16383';
+    offset.value = String(layer.bankOffset);
+    offset.addEventListener('change', () => setSf2LayerOffset(index, offset.value));
+    offsetLabel.append('Bank +', offset);
+    const button = (text, title, disabled, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = text;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    row.append(name, offsetLabel,
+      button('↑', 'Higher priority', index === 0, () => moveSf2Layer(index, -1)),
+      button('↓', 'Lower priority', index === sf2Stack.length - 1, () => moveSf2Layer(index, 1)),
+      button('✕', sf2Stack.length > 1 ? 'Remove this layer' : 'The only SoundFont: choose another in the dropdown to replace it',
+        sf2Stack.length <= 1, () => removeSf2Layer(index)));
+    sf2StackEl.appendChild(row);
+  });
+}
+
+/** Parse the SMF (Standard MIDI File) and update timing state (PPQ and tempo map).
+ * @param {ArrayBuffer} arrayBuffer - the SMF file data
+ * @returns {object|null} the parsed SMF (see midi-file-parser.js), or null if it could not be parsed
+*/
+function parseSmfTiming(arrayBuffer) {
+  let smf;
+  try {
+    smf = parseMidiFile(arrayBuffer);
+  } catch (error) {
+    console.error('[ERROR] Failed to parse SMF, using default PPQ:', error);
+    return null;
+  }
+  const { division } = smf;
+  if (division.type === 'ppq') {
+    // PPQ format: use the division value as PPQ
+    if (division.ppq > 0) {
+      timing.ppq = division.ppq;
+    } else {
+      console.error('[ERROR] Invalid PPQ value, using default PPQ');
+      console.warn('[WARN] MIDI playback time-related info may be erroneous');
+      timing.ppq = DEFAULT_PPQ;
+    }
+  } else if (division.framesPerSecond > 0 && division.ticksPerFrame > 0) {
+    // SMPTE format: ticks are fractions of frames, independent of tempo
+    timing.setSmpte(division.framesPerSecond, division.ticksPerFrame);
+    debug('SMPTE timing:', division.fps, 'fps,', division.ticksPerFrame, 'ticks/frame');
+  } else {
+    console.error('[ERROR] Invalid SMPTE division, using default PPQ');
+    console.warn('[WARN] MIDI playback time-related info may be erroneous');
+  }
+  smf.warnings.forEach(w => console.warn('[WARN]', w));
+  timing.setTempoEvents(smf.tempoEvents);
+  if (timing.totalTicks === 0 && smf.stats.totalTicks > 0) timing.totalTicks = smf.stats.totalTicks;
+  debug('Tempo map:', timing.tempoMap.length, 'segment(s)');
+  return smf;
+}
+
+/** Show SMF metadata (title, copyright, structure) under the track title. */
+function updateTrackInfo(smf) {
+  if (!trackInfoEl) return;
+  if (!smf) {
+    trackInfoEl.textContent = '';
+    return;
+  }
+  const { metadata, stats } = smf;
+  const parts = [];
+  if (metadata.title) parts.push(metadata.title);
+  parts.push(`Format ${smf.format}`);
+  parts.push(`${stats.trackCount} track${stats.trackCount === 1 ? '' : 's'}`);
+  parts.push(`${stats.noteCount} notes`);
+  parts.push(`${stats.channelsUsed.length} channel${stats.channelsUsed.length === 1 ? '' : 's'}`);
+  const timeSig = metadata.timeSignatures[0];
+  if (timeSig) parts.push(`${timeSig.numerator}/${timeSig.denominator}`);
+  const keySig = metadata.keySignatures[0];
+  if (keySig) parts.push(keySig.name);
+  if (smf.division.type === 'smpte') {
+    parts.push(`SMPTE ${smf.division.fps === 29 ? '29.97' : smf.division.fps} fps`);
+  } else {
+    if (smf.tempoEvents.length > 0) parts.push(`${Math.round(60e6 / smf.tempoEvents[0].usPerQuarter)} BPM`);
+    if (smf.tempoEvents.length > 1) parts.push(`${smf.tempoEvents.length} tempo changes`);
+  }
+  trackInfoEl.textContent = parts.join(' · ');
+  trackInfoEl.title = metadata.copyright ? `© ${metadata.copyright}` : '';
+}
+
+/** Set track title in the UI. */
 function updateTitle(name) {
   trackTitleEl.textContent = name || 'No track loaded';
 }
 
-/** Load track by index from playlist into the synth player. */
-function loadTrack(index) {
+/**
+ * Load track by index from playlist into the synth player.
+ * @returns {Promise<boolean|undefined>} false when the file could not be loaded
+ */
+function loadTrack(index, { recordHistory = true } = {}) {
   if (index < 0 || index >= getTrackCount()) return Promise.resolve();
   ensurePlayer();
   const item = playlist[index];
+  if (recordHistory && index !== currentIndex) pushPlayHistory(playlist[currentIndex]);
+  shuffleBag = shuffleBag.filter(other => other !== item); // played in this shuffle cycle
   currentIndex = index;
+  trackLoaded = false;
+  clearLoopRegion();
   highlightActive();
   updateTitle(item.name);
 
@@ -782,14 +2898,22 @@ function loadTrack(index) {
     try {
       debug('Loading track into player:', item.name, '(' + item.ext + ')');
       if (typeof player.pause === 'function') player.pause();
+      midiOut.stop();
       await waitForSynthReady(5000);
       
-      // Initialize timing state BEFORE parsing PPQ
+      // Initialize timing state BEFORE parsing PPQ and tempo map
       timing.reset();
-      parsePpqFromSmfHeader(arrayBuffer);
-
-      const u8 = new Uint8Array(arrayBuffer);
-      await player.loadMIDI(u8);
+      const { smfBuffer, soundfont, bankOffset } = extractSmf(arrayBuffer, item.ext);
+      currentSmf = parseSmfTiming(smfBuffer);
+      midiOut.setSong(currentSmf);
+      stuckNotes.setSong(currentSmf, item.name);
+      updateTrackInfo(currentSmf);
+      renderMissingPresets();
+
+      await applyTrackSoundfont(item, soundfont, bankOffset);
+      // FluidSynth only understands PPQ divisions: hand it an equivalent PPQ file with identical ticks
+      await player.loadMIDI(toPlayableSmf(smfBuffer, currentSmf));
+      trackLoaded = true;
       try {
         const totalTicks = player._synth ? (await player._synth.retrievePlayerTotalTicks()) || 0 : 0;
         const tempoUsPerQuarter = player._synth ? (await player._synth.retrievePlayerMIDITempo()) || DEFAULT_TEMPO_US_PER_QUARTER : DEFAULT_TEMPO_US_PER_QUARTER;
@@ -801,17 +2925,31 @@ function loadTrack(index) {
 
       // Centralized UI render
       await updateTimeline();
+      refreshMixer();
+      updateChannelMeters();
+      if (pianoRoll) pianoRoll.setNotes(currentSmf ? currentSmf.notes : [], timing);
+      renderPianoRoll();
+      savePlaybackPosition();
+      return true;
     } catch (e) {
+      if (e instanceof ConversionError) {
+        // Per-file problem (unsupported variant, syntax error): flag the row instead of a modal alert
+        console.error(`[ERROR] Cannot convert ${item.name} (${e.format}):`, e.message);
+        markUnplayable(item, `Cannot play (${e.format}): ${e.message}`);
+        updateTitle(`${item.name} (cannot play)`);
+        if (trackInfoEl) {
+          trackInfoEl.textContent = e.message;
+          trackInfoEl.title = '';
+        }
+        return false;
+      }
       console.error('[ERROR] Failed to load track into player:', e);
       alert('Failed to load: ' + item.name + (e && e.message ? '\n' + e.message : ''));
+      return false;
     }
   };
 
-  if (item.arrayBuffer) {
-    return proceed(item.arrayBuffer);
-  } else {
-    return item.file.arrayBuffer().then((buf) => { item.arrayBuffer = buf; return proceed(buf); });
-  }
+  return readItemBytes(item).then(proceed);
 }
 
 // ---------------------------------------------------------------------------
@@ -819,19 +2957,75 @@ function loadTrack(index) {
 // ---------------------------------------------------------------------------
 // File input: append selected MIDI files to playlist UI and internal list
 midiInput.addEventListener('change', () => {
-  if (midiInput.files && midiInput.files.length) addToPlaylist(midiInput.files);
+  if (!midiInput.files || midiInput.files.length === 0) return;
+  const files = [...midiInput.files];
+  midiInput.value = ''; // allow picking the same files again
+  addFiles(files).catch(error => console.error('[ERROR] Failed to add files:', error));
 });
 
+// Drop files/folders/ZIP archives anywhere on the page (row reordering is handled on the rows themselves)
+const isFileDrag = (e) => !draggedRow && e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+document.addEventListener('dragenter', (e) => {
+  if (!isFileDrag(e)) return;
+  fileDragDepth += 1;
+  document.body.classList.add('file-drag');
+});
+document.addEventListener('dragleave', (e) => {
+  if (!isFileDrag(e)) return;
+  fileDragDepth = Math.max(0, fileDragDepth - 1);
+  if (fileDragDepth === 0) document.body.classList.remove('file-drag');
+});
+document.addEventListener('dragover', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+});
+document.addEventListener('drop', (e) => {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  fileDragDepth = 0;
+  document.body.classList.remove('file-drag');
+  handleDroppedFiles(e.dataTransfer).catch(error => console.error('[ERROR] Failed to handle dropped files:', error));
+});
+
+// Named playlists
+if (playlistSelect) playlistSelect.addEventListener('change', () => switchPlaylist(Number(playlistSelect.value)));
+if (newPlaylistBtn) newPlaylistBtn.addEventListener('click', newPlaylist);
+if (renamePlaylistBtn) renamePlaylistBtn.addEventListener('click', renamePlaylist);
+if (deletePlaylistBtn) deletePlaylistBtn.addEventListener('click', deletePlaylist);
+if (exportJsonBtn) exportJsonBtn.addEventListener('click', () => exportActivePlaylist('json'));
+if (exportM3uBtn) exportM3uBtn.addEventListener('click', () => exportActivePlaylist('m3u'));
+if (playlistImportInput) {
+  playlistImportInput.addEventListener('change', async () => {
+    const file = playlistImportInput.files && playlistImportInput.files[0];
+    playlistImportInput.value = ''; // allow importing the same file again
+    if (file) await importPlaylistFile(file);
+  });
+}
+renderPlaylistSelect();
+
 // Transport buttons
 playPauseBtn.addEventListener('click', togglePlayPause);
 rewindBtn.addEventListener('click', rewindToBeginning);
 stopBtn.addEventListener('click', stopTrack);
+if (panicBtn) panicBtn.addEventListener('click', panic);
 prevBtn.addEventListener('click', prevTrack);
 nextBtn.addEventListener('click', nextTrack);
 
+// A–B loop
+if (loopABtn) loopABtn.addEventListener('click', () => setLoopMarker('a'));
+if (loopBBtn) loopBBtn.addEventListener('click', () => setLoopMarker('b'));
+if (loopClearBtn) loopClearBtn.addEventListener('click', clearLoopRegion);
+
 // Toggles
 autoplayToggle.addEventListener('change', () => { autoplay = autoplayToggle.checked; });
-if (loopToggle) loopToggle.addEventListener('change', () => { /* read in onEnded */ });
+if (repeatModeEl) repeatModeEl.addEventListener('change', () => { repeatMode = repeatModeEl.value; });
+if (shuffleToggle) {
+  shuffleToggle.addEventListener('change', () => {
+    shuffle = shuffleToggle.checked;
+    if (shuffle) refillShuffleBag();
+  });
+}
 
 // Volume slider: maps 0..100 to gain 0..1
 volumeEl.addEventListener('input', async () => {
@@ -845,19 +3039,47 @@ volumeEl.addEventListener('input', async () => {
   }
 });
 
-// Seek slider: maps 0..SEEK_SLIDER_MAX to 0..totalTicks, updates synth and UI immediately
+// Playback speed: percent slider (25..200) -> tempo multiplier; pitch is unchanged
+/** Apply a playback speed (percent) to the player and timeline. */
+async function setPlaybackSpeed(percent) {
+  try {
+    await ensurePlayer();
+    const scale = player.setTempoScale(Number(percent) / 100);
+    timing.tempoScale = scale;
+    midiOut.retime();
+    if (speedEl) speedEl.value = String(Math.round(scale * 100));
+    if (speedValueEl) speedValueEl.textContent = `${Math.round(scale * 100)}%`;
+    debug('Playback speed set', scale);
+    updateTimeline();
+  } catch (error) {
+    console.error('[ERROR] Failed to set playback speed:', error);
+  }
+}
+if (speedEl) {
+  speedEl.addEventListener('input', () => setPlaybackSpeed(speedEl.value));
+  speedEl.addEventListener('dblclick', () => setPlaybackSpeed(100));
+}
+
+// Transpose: global semitones for the main synth (per-channel overrides live in the mixer)
+if (transposeEl) {
+  transposeEl.addEventListener('change', async () => {
+    try {
+      await ensurePlayer();
+      transposeEl.value = String(player.setTranspose(Number(transposeEl.value)));
+      debug('Transpose set', transposeEl.value);
+    } catch (error) {
+      console.error('[ERROR] Failed to set transpose:', error);
+    }
+  });
+}
+
+// Seek slider: maps 0..SEEK_SLIDER_MAX to 0..total seconds (through the tempo map), updates synth and UI immediately
 seekEl.addEventListener('input', async () => {
   try {
     await ensurePlayer();
     if (timing.totalTicks > 0) {
-      const targetTicks = Math.floor((Number(seekEl.value) / SEEK_SLIDER_MAX) * timing.totalTicks);
-      timing.currentTick = targetTicks;
-      try { 
-        if (typeof player.seek === 'function') player.seek(targetTicks); 
-      } catch (error) {
-        console.error('[ERROR] Failed to seek to target ticks:', error);
-      }
-      updateTimeline();
+      const targetSeconds = (Number(seekEl.value) / SEEK_SLIDER_MAX) * timing.totalSeconds();
+      await seekToTick(timing.secondsToTicks(targetSeconds));
     }
   } catch (error) {
     console.error('[ERROR] Failed to handle seek input:', error);
@@ -866,11 +3088,18 @@ seekEl.addEventListener('input', async () => {
 
 // Keyboard shortcuts: Space play/pause, arrows prev/next
 document.addEventListener('keydown', (e) => {
+  // Leave keys to fields being edited (e.g. arrows in the transpose input)
+  if (e.target instanceof Element && e.target.closest('input[type="number"], input[type="text"], select, textarea')) return;
+  if (e.ctrlKey || e.metaKey || e.altKey) return; // browser shortcuts (select all, print, cut...)
   if (e.code === 'Space') { e.preventDefault(); togglePlayPause(); }
   else if (e.key === 's' || e.key === 'S') { stopTrack(); }
   else if (e.code === 'ArrowRight') { nextTrack(); }
   else if (e.code === 'ArrowLeft') { prevTrack(); }
   else if (e.code === 'ArrowDown') { e.preventDefault(); rewindToBeginning(); }
+  else if (e.key === 'a' || e.key === 'A') { setLoopMarker('a'); }
+  else if (e.key === 'b' || e.key === 'B') { setLoopMarker('b'); }
+  else if (e.key === 'x' || e.key === 'X') { clearLoopRegion(); }
+  else if (e.key === 'p' || e.key === 'P') { panic(); }
 });
 
 // Diagnostics
@@ -907,16 +3136,10 @@ if (testBeepBtn) {
 if (playDemoBtn) {
   playDemoBtn.addEventListener('click', async () => {
     try {
-      const response = await fetch(SOUND_DATA_PATH + 'MIDI/demo.MID');
-      if (!response.ok) throw new Error('Demo file not found');
-      
-      const blob = await response.blob();
-      const file = new File([blob], 'demo.MID', { type: 'audio/midi' });
-      
-      addToPlaylist([file]);
+      // Bundled file: referenced by path (saved and exported without its bytes)
+      appendPlaylistItem({ name: 'demo.MID', ext: 'mid', file: null, path: DEMO_MIDI_PATH });
       const newIndex = getTrackCount() - 1;
-      await loadTrack(newIndex);
-      playTrack();
+      if (await loadTrack(newIndex) !== false) playTrack();
       
       debug('Demo file loaded and playing');
     } catch (error) {
@@ -945,8 +3168,7 @@ if (testChordBtn) {
     } finally {
       // Re-enable button if any SF2 is loaded (via file input or dropdown)
       const hasSf2File = sf2Input && sf2Input.files && sf2Input.files.length > 0;
-      const hasSf2Dropdown = sf2Select && sf2Select.value && sf2Select.value !== '';
-      if (hasSf2File || hasSf2Dropdown) { testChordBtn.disabled = false; }
+      if (hasSf2File || sf2Stack.length > 0) { testChordBtn.disabled = false; }
     }
   });
 }
@@ -955,64 +3177,102 @@ if (testChordBtn) {
 if (sf2Input) {
   sf2Input.addEventListener('change', async () => {
     if (!sf2Input.files || sf2Input.files.length === 0) return;
-    const file = sf2Input.files[0];
-    debug('Custom SF2 selected (FluidSynth)', file.name, file.size);
-
-    // Read SF2 file data as ArrayBuffer
-    const sf2FileData = await file.arrayBuffer();
-
-    // If a custom with the same name already exists, ask to replace
-    const existingValue = `custom::${file.name}`;
-    const existingOption = Array.from(sf2Select?.options || []).find(opt => opt.value === existingValue);
-    if (existingOption) {
-      const replace = window.confirm(`A custom SF2 named "${file.name}" already exists. Replace it with the new file?`);
-      if (!replace) {
-        // Keep existing; select it and load
-        if (sf2Select) sf2Select.value = existingValue;
-        await applySelectedSf2();
-        return;
-      }
-    }
+    await addCustomSf2(sf2Input.files[0]);
+  });
+}
 
-    // Store/replace in registry
-    customSf2Registry.set(file.name, sf2FileData);
-
-    // Ensure an option exists (insert or update)
-    let opt = existingOption;
-    if (!opt) {
-      opt = document.createElement('option');
-      opt.value = `custom::${file.name}`;
-      opt.textContent = `Custom: ${file.name}`;
-      // Insert custom option at top of list (after placeholder if any)
-      if (sf2Select) {
-        if (sf2Select.firstChild) {
-          sf2Select.insertBefore(opt, sf2Select.firstChild.nextSibling);
-        } else {
-          sf2Select.appendChild(opt);
-        }
-      }
-    } else {
-      opt.textContent = `Custom: ${file.name}`;
-    }
+// Piano roll: click to seek; redraw on resize only (playback redraws from the UI loop)
+if (pianoRollCanvas) {
+  pianoRoll = new PianoRoll(pianoRollCanvas, { onSeek: (tick) => seekToTick(tick) });
+  if (typeof ResizeObserver === 'function') new ResizeObserver(() => renderPianoRoll()).observe(pianoRollCanvas);
+  renderPianoRoll();
+}
+
+// Virtual keyboard: plays the preset chosen in the browser on the isolated test synth
+if (virtualKeyboardEl) {
+  // Chained on ensurePlayer() so a quick release is always handled after its note-on
+  const withPlayer = (fn) => ensurePlayer().then(fn).catch(error => console.warn('[WARN] Virtual keyboard:', error.message || error));
+  virtualKeyboard = new VirtualKeyboard(virtualKeyboardEl, {
+    onNoteOn: (key, velocity) => withPlayer(() => player.keyboardNoteOn(key, velocity)),
+    onNoteOff: (key) => withPlayer(() => player.keyboardNoteOff(key)),
+    onOctaveChange: renderOctaveLabel
+  });
+  renderOctaveLabel();
+}
+if (octaveDownBtn) octaveDownBtn.addEventListener('click', () => virtualKeyboard && virtualKeyboard.shiftOctave(-1));
+if (octaveUpBtn) octaveUpBtn.addEventListener('click', () => virtualKeyboard && virtualKeyboard.shiftOctave(1));
+if (presetSelect) presetSelect.addEventListener('change', applyKeyboardPreset);
 
-    // Select and load via unified path
-    if (sf2Select) sf2Select.value = `custom::${file.name}`;
-    await applySelectedSf2();
+// SoundFont inspector: long lists are built when their panel is opened
+for (const panel of [sf2PresetsPanel, sf2InstrumentsPanel, sf2SamplesPanel]) {
+  if (panel) panel.addEventListener('toggle', () => renderInspectorList(panel));
+}
+renderSoundFontInspector();
+
+// Effects: reverb/chorus presets and sliders, saved settings restored
+if (effectsPresetEl) effectsPresetEl.addEventListener('change', () => applyEffectsPreset(effectsPresetEl.value));
+initEffects().catch(error => console.error('[ERROR] Failed to set up effects:', error));
 
-    // Keep context suspended if idle
-    if (!isPlaying) {
-      safePlayerCall(player.setAudioState, AUDIO_STATE.stopped);
+// Mixer: build strips; overrides live in the player and survive seeks and track changes
+buildMixer();
+if (mixerResetBtn) {
+  mixerResetBtn.addEventListener('click', async () => {
+    try {
+      await ensurePlayer();
+      player.resetChannelMix();
+      player.resetChannelTranspose();
+      refreshMixer();
+    } catch (error) {
+      console.error('[ERROR] Failed to reset mixer:', error);
     }
   });
 }
 
 // SoundFonts dropdown: initial fill, selection applies new SF2
+let sf2ListReady = Promise.resolve();
 if (sf2Select) {
   // Initial fill and wire events
-  refreshSf2List();
+  sf2ListReady = refreshSf2List();
   sf2Select.addEventListener('change', applySelectedSf2);
 }
+// SoundFont stack editor: add a layer on top, reorder, bank offsets, remove
+if (sf2LayerSelect) {
+  sf2LayerSelect.addEventListener('change', () => {
+    const value = sf2LayerSelect.value;
+    sf2LayerSelect.value = '';
+    if (value) addSf2Layer(value);
+  });
+}
 // Rescan demo/Soundfonts directory and repopulate dropdown
 if (refreshSf2Btn) {
   refreshSf2Btn.addEventListener('click', refreshSf2List);
 }
+
+// Saved data: usage view (computed when opened), clear action, position save when the tab is hidden
+if (storagePanelEl) storagePanelEl.addEventListener('toggle', refreshStorageUsage);
+if (clearStorageBtn) clearStorageBtn.addEventListener('click', clearSavedData);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden' && currentIndex !== -1) savePlaybackPosition();
+});
+const sessionRestored = restoreSession(sf2ListReady).catch(error => console.error('[ERROR] Failed to restore saved session:', error));
+
+// MIDI output: port selection, "MIDI out only" routing, last port reconnected
+if (midiOutputSelect) midiOutputSelect.addEventListener('change', () => selectMidiOutput(midiOutputSelect.value));
+if (midiOutOnlyToggle) {
+  midiOutOnlyToggle.addEventListener('change', () => {
+    applyMidiOutRouting();
+    saveMidiOutputChoice();
+  });
+}
+initMidiOutput().catch(error => console.error('[ERROR] Failed to set up MIDI output:', error));
+
+// MIDI keyboard: port, channel filter and live preset (the live synth needs the restored SoundFont)
+if (liveInputSelect) liveInputSelect.addEventListener('change', () => selectLiveInput(liveInputSelect.value));
+if (liveChannelEl) {
+  liveChannelEl.addEventListener('change', () => {
+    if (player) player.liveAllNotesOff(); // notes held on the old channel would never get their note-off
+    saveLiveInputChoice();
+  });
+}
+[liveBankEl, liveProgramEl].forEach(el => el && el.addEventListener('change', applyLivePresetFields));
+sessionRestored.then(initLiveInput).catch(error => console.error('[ERROR] Failed to set up MIDI keyboard:', error));
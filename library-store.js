@@ -0,0 +1,182 @@
+/* Persistent library (IndexedDB)
+   - Tracks: playlist entries with their file bytes (so a reload needs no re-upload),
+     or just a path for files bundled under sound_data/
+   - SoundFonts: custom SF2/SF3 files added by the user, keyed by file name
+   - State: small key/value records (named playlists, last SF2, last track/position)
+   - Every method rejects when IndexedDB is unavailable (private mode, blocked storage);
+     the app treats persistence as best effort and keeps working in memory
+*/
+
+// Constants
+const DB_NAME = 'cbb-midi-player';
+const DB_VERSION = 1;
+const STORE_TRACKS = 'tracks';          // { id (auto), name, ext, bytes?: ArrayBuffer, path?: string }
+const STORE_SOUNDFONTS = 'soundfonts';  // { name, bytes: ArrayBuffer }
+const STORE_STATE = 'state';            // { key, value }
+
+/** Wrap an IDBRequest in a promise. */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Resolve when a transaction commits (writes are durable only then). */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * LibraryStore
+ * Thin promise API over one IndexedDB database. The connection is opened lazily and shared.
+ */
+export class LibraryStore {
+  constructor() {
+    this._dbPromise = null;
+  }
+
+  /** Open (or create/upgrade) the database once. */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_TRACKS)) db.createObjectStore(STORE_TRACKS, { keyPath: 'id', autoIncrement: true });
+          if (!db.objectStoreNames.contains(STORE_SOUNDFONTS)) db.createObjectStore(STORE_SOUNDFONTS, { keyPath: 'name' });
+          if (!db.objectStoreNames.contains(STORE_STATE)) db.createObjectStore(STORE_STATE, { keyPath: 'key' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+      // Allow a retry after a failed open
+      this._dbPromise.catch(() => { this._dbPromise = null; });
+    }
+    return this._dbPromise;
+  }
+
+  /** Run fn(store) in a transaction on one object store; resolves with fn's request result after commit. */
+  async _run(storeName, mode, fn) {
+    const db = await this._open();
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    const [result] = await Promise.all([request ? promisify(request) : undefined, transactionDone(tx)]);
+    return result;
+  }
+
+  /**
+   * Save a track (insert when id is missing, replace otherwise).
+   * @param {{id?: number, name: string, ext: string, bytes?: ArrayBuffer, path?: string, sf2?: string}} track
+   *   sf2: SoundFont pinned to the track (SoundFont dropdown value)
+   * @returns {Promise<number>} the track id
+   */
+  putTrack(track) {
+    const record = { name: track.name, ext: track.ext };
+    if (track.path) record.path = track.path; else record.bytes = track.bytes;
+    if (track.sf2) record.sf2 = track.sf2;
+    if (track.id !== undefined) record.id = track.id;
+    return this._run(STORE_TRACKS, 'readwrite', store => store.put(record));
+  }
+
+  /** @param {number} id */
+  deleteTrack(id) {
+    return this._run(STORE_TRACKS, 'readwrite', store => store.delete(id));
+  }
+
+  /** @returns {Promise<{id: number, name: string, ext: string, bytes?: ArrayBuffer, path?: string, sf2?: string}[]>} */
+  getAllTracks() {
+    return this._run(STORE_TRACKS, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Save a custom SoundFont (replaces one with the same name).
+   * @param {string} name file name
+   * @param {ArrayBuffer} bytes
+   */
+  putSoundfont(name, bytes) {
+    return this._run(STORE_SOUNDFONTS, 'readwrite', store => store.put({ name, bytes }));
+  }
+
+  /** @param {string} name */
+  deleteSoundfont(name) {
+    return this._run(STORE_SOUNDFONTS, 'readwrite', store => store.delete(name));
+  }
+
+  /** @returns {Promise<{name: string, bytes: ArrayBuffer}[]>} */
+  getAllSoundfonts() {
+    return this._run(STORE_SOUNDFONTS, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Read a state value.
+   * @param {string} key
+   * @returns {Promise<any>} the stored value, or undefined
+   */
+  async getState(key) {
+    const record = await this._run(STORE_STATE, 'readonly', store => store.get(key));
+    return record ? record.value : undefined;
+  }
+
+  /**
+   * Write a state value (structured-cloneable).
+   * @param {string} key
+   * @param {any} value
+   */
+  setState(key, value) {
+    return this._run(STORE_STATE, 'readwrite', store => store.put({ key, value }));
+  }
+
+  /**
+   * Delete several tracks in one transaction.
+   * @param {number[]} ids
+   */
+  async deleteTracks(ids) {
+    const db = await this._open();
+    const tx = db.transaction(STORE_TRACKS, 'readwrite');
+    const store = tx.objectStore(STORE_TRACKS);
+    ids.forEach(id => store.delete(id));
+    await transactionDone(tx);
+  }
+
+  /** Delete every track, SoundFont and state record. */
+  async clear() {
+    const db = await this._open();
+    const tx = db.transaction([STORE_TRACKS, STORE_SOUNDFONTS, STORE_STATE], 'readwrite');
+    tx.objectStore(STORE_TRACKS).clear();
+    tx.objectStore(STORE_SOUNDFONTS).clear();
+    tx.objectStore(STORE_STATE).clear();
+    await transactionDone(tx);
+  }
+
+  /**
+   * Storage usage: per-store counts/bytes, plus the origin-wide estimate when the browser provides one.
+   * @returns {Promise<{tracks: {count: number, bytes: number}, soundfonts: {count: number, bytes: number}, usage: number|null, quota: number|null}>}
+   */
+  async getUsage() {
+    const sum = (records) => ({
+      count: records.length,
+      bytes: records.reduce((total, r) => total + (r.bytes ? r.bytes.byteLength : 0), 0)
+    });
+    const [tracks, soundfonts] = await Promise.all([this.getAllTracks(), this.getAllSoundfonts()]);
+    let usage = null;
+    let quota = null;
+    try {
+      if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+        ({ usage = null, quota = null } = await navigator.storage.estimate());
+      }
+    } catch (error) {
+      console.warn('[WARN] Storage estimate unavailable:', error);
+    }
+    return { tracks: sum(tracks), soundfonts: sum(soundfonts), usage, quota };
+  }
+}
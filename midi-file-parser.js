@@ -0,0 +1,470 @@
+/* Standard MIDI File (SMF) parser
+   - Pure byte parsing, no dependency on the synth or the DOM
+   - Produces tracks and events (channel, sysex and meta), merged notes, metadata and per-file stats
+   - Tolerant with truncated tracks: keeps what could be read and records a warning
+   more info here: https://web.archive.org/web/20250302231448/https://midimusic.github.io/tech/midispec.html
+   and here: https://web.archive.org/web/20250417220139/https://wiki.fourthwoods.com/standard_midi_file_format
+*/
+
+// Chunk identifiers
+const MTHD = 0x4D546864; // 'MThd'
+const MTRK = 0x4D54726B; // 'MTrk'
+
+// Meta event types -> readable subtype names
+const META_TYPES = Object.freeze({
+  0x00: 'sequenceNumber',
+  0x01: 'text',
+  0x02: 'copyright',
+  0x03: 'trackName',
+  0x04: 'instrumentName',
+  0x05: 'lyrics',
+  0x06: 'marker',
+  0x07: 'cuePoint',
+  0x08: 'programName',
+  0x09: 'deviceName',
+  0x20: 'channelPrefix',
+  0x21: 'portPrefix',
+  0x2F: 'endOfTrack',
+  0x51: 'setTempo',
+  0x54: 'smpteOffset',
+  0x58: 'timeSignature',
+  0x59: 'keySignature',
+  0x7F: 'sequencerSpecific'
+});
+
+// Channel message status nibble -> event type
+const CHANNEL_TYPES = Object.freeze({
+  0x80: 'noteOff',
+  0x90: 'noteOn',
+  0xA0: 'polyAftertouch',
+  0xB0: 'controlChange',
+  0xC0: 'programChange',
+  0xD0: 'channelAftertouch',
+  0xE0: 'pitchBend'
+});
+
+// Key signature names indexed by number of sharps (+) / flats (-), offset by 7
+const MAJOR_KEYS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_KEYS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+const latin1Decoder = new TextDecoder('windows-1252');
+
+/** Decode meta event text: UTF-8 when valid, Windows-1252 otherwise (most legacy files). */
+function decodeText(bytes) {
+  try {
+    return utf8Decoder.decode(bytes);
+  } catch {
+    return latin1Decoder.decode(bytes);
+  }
+}
+
+/** Read a variable-length quantity (SMF delta-times and lengths).
+ * @param {DataView} dv
+ * @param {number} pos offset of the first byte
+ * @returns {{ value: number, next: number }}
+ */
+function readVarLen(dv, pos) {
+  let value = 0;
+  for (let i = 0; i < 4; i++) {
+    const byte = dv.getUint8(pos++);
+    value = (value << 7) | (byte & 0x7F);
+    if ((byte & 0x80) === 0) break;
+  }
+  return { value, next: pos };
+}
+
+/** Decode the MThd division word.
+ * @param {number} div signed 16-bit division
+ * @returns {{type: 'ppq', ppq: number} | {type: 'smpte', fps: number, framesPerSecond: number, ticksPerFrame: number}}
+ */
+function parseDivision(div) {
+  if ((div & 0x8000) === 0) return { type: 'ppq', ppq: div };
+  // SMPTE: high byte is the negative frame rate (-24, -25, -29, -30), low byte the ticks per frame
+  const fps = -(div >> 8);
+  return { type: 'smpte', fps, framesPerSecond: smpteFramesPerSecond(fps), ticksPerFrame: div & 0xFF };
+}
+
+/** Real frame rate for an SMPTE format code (29 is 30 fps drop-frame, i.e. 29.97 fps). */
+export function smpteFramesPerSecond(fps) {
+  return fps === 29 ? 30000 / 1001 : fps;
+}
+
+/** Decode a meta event payload into a readable event. */
+function parseMetaEvent(event, metaType, data) {
+  event.metaType = metaType;
+  event.subtype = META_TYPES[metaType] || 'unknown';
+  if (metaType >= 0x01 && metaType <= 0x0F) {
+    event.text = decodeText(data);
+  } else if (metaType === 0x51 && data.length === 3) {
+    event.usPerQuarter = (data[0] << 16) | (data[1] << 8) | data[2];
+    event.bpm = 60e6 / event.usPerQuarter;
+  } else if (metaType === 0x58 && data.length >= 4) {
+    event.numerator = data[0];
+    event.denominator = 2 ** data[1];
+    event.clocksPerClick = data[2];
+    event.notated32ndsPerBeat = data[3];
+  } else if (metaType === 0x59 && data.length >= 2) {
+    const sharpsFlats = (data[0] << 24) >> 24; // signed byte
+    event.key = sharpsFlats;
+    event.scale = data[1] === 1 ? 'minor' : 'major';
+    const names = event.scale === 'minor' ? MINOR_KEYS : MAJOR_KEYS;
+    event.name = `${names[sharpsFlats + 7] || '?'} ${event.scale}`;
+  } else if ((metaType === 0x20 || metaType === 0x21) && data.length >= 1) {
+    event.value = data[0];
+  } else if (metaType === 0x00 && data.length >= 2) {
+    event.value = (data[0] << 8) | data[1];
+  } else {
+    event.data = data;
+  }
+  return event;
+}
+
+/** Decode a channel message into a readable event. */
+function parseChannelEvent(event, status, data1, data2) {
+  const kind = status & 0xF0;
+  event.type = CHANNEL_TYPES[kind];
+  event.channel = status & 0x0F;
+  switch (kind) {
+    case 0x80:
+    case 0x90:
+      event.key = data1;
+      event.velocity = data2;
+      // Note-on with velocity 0 is a note-off by convention
+      if (kind === 0x90 && data2 === 0) event.type = 'noteOff';
+      break;
+    case 0xA0:
+      event.key = data1;
+      event.pressure = data2;
+      break;
+    case 0xB0:
+      event.controller = data1;
+      event.value = data2;
+      break;
+    case 0xC0:
+      event.program = data1;
+      break;
+    case 0xD0:
+      event.pressure = data1;
+      break;
+    case 0xE0:
+      event.value = (data2 << 7) | data1; // 0..16383, 8192 = center
+      break;
+  }
+  return event;
+}
+
+/** Parse one MTrk chunk into an event list.
+ * @param {DataView} dv
+ * @param {number} start first byte of the track data
+ * @param {number} end one past the last byte of the track data
+ * @returns {{ events: object[], endTick: number, truncated: boolean }}
+ */
+function parseTrack(dv, start, end) {
+  const bytes = new Uint8Array(dv.buffer, dv.byteOffset, dv.byteLength);
+  const events = [];
+  let pos = start;
+  let tick = 0;
+  let runningStatus = 0;
+  let truncated = false;
+  try {
+    while (pos < end) {
+      const delta = readVarLen(dv, pos);
+      tick += delta.value;
+      pos = delta.next;
+      let status = dv.getUint8(pos);
+      if (status & 0x80) {
+        pos++;
+      } else {
+        // Running status: reuse the previous channel message status
+        if (!runningStatus) throw new Error('Running status without a previous status byte');
+        status = runningStatus;
+      }
+      const event = { tick, delta: delta.value };
+      if (status === 0xFF) {
+        event.offset = pos; // byte offset of the meta type (lets callers patch files in place)
+        const metaType = dv.getUint8(pos++);
+        const len = readVarLen(dv, pos);
+        pos = len.next;
+        if (pos + len.value > end) throw new Error('Meta event runs past the end of the track');
+        event.type = 'meta';
+        events.push(parseMetaEvent(event, metaType, bytes.slice(pos, pos + len.value)));
+        pos += len.value;
+        if (metaType === 0x2F) break; // End of Track
+      } else if (status === 0xF0 || status === 0xF7) {
+        const len = readVarLen(dv, pos);
+        pos = len.next;
+        if (pos + len.value > end) throw new Error('SysEx event runs past the end of the track');
+        event.type = 'sysex';
+        event.escape = status === 0xF7; // F7 events carry raw bytes (continuations/escapes)
+        event.data = bytes.slice(pos, pos + len.value);
+        events.push(event);
+        pos += len.value;
+      } else if (status >= 0xF1) {
+        throw new Error(`Unexpected system message 0x${status.toString(16)} in track`);
+      } else {
+        runningStatus = status;
+        const kind = status & 0xF0;
+        const oneByte = (kind === 0xC0 || kind === 0xD0);
+        const data1 = dv.getUint8(pos);
+        const data2 = oneByte ? 0 : dv.getUint8(pos + 1);
+        pos += oneByte ? 1 : 2;
+        events.push(parseChannelEvent(event, status, data1, data2));
+      }
+    }
+  } catch (error) {
+    truncated = true;
+    console.warn('[WARN] Truncated or malformed track, keeping events read so far:', error.message);
+  }
+  return { events, endTick: tick, truncated };
+}
+
+/** Pair note-on/note-off events into notes (FIFO per channel/key, so repeated notes nest correctly).
+ * Notes still sounding at the end of their track end at the track's last tick.
+ */
+function collectNotes(tracks) {
+  const notes = [];
+  tracks.forEach((track) => {
+    const open = new Map(); // (channel << 7 | key) -> queue of note-on events
+    for (const event of track.events) {
+      if (event.type !== 'noteOn' && event.type !== 'noteOff') continue;
+      const id = (event.channel << 7) | event.key;
+      if (event.type === 'noteOn') {
+        if (!open.has(id)) open.set(id, []);
+        open.get(id).push(event);
+      } else {
+        const queue = open.get(id);
+        const on = queue && queue.shift();
+        if (on) {
+          notes.push({ track: track.index, channel: on.channel, key: on.key, velocity: on.velocity, startTick: on.tick, endTick: event.tick });
+        }
+      }
+    }
+    for (const queue of open.values()) {
+      for (const on of queue) {
+        notes.push({ track: track.index, channel: on.channel, key: on.key, velocity: on.velocity, startTick: on.tick, endTick: track.endTick, unterminated: true });
+      }
+    }
+  });
+  notes.sort((a, b) => a.startTick - b.startTick || a.channel - b.channel || a.key - b.key);
+  return notes;
+}
+
+/** Gather metadata from meta events (first track name is the sequence title in format 0/1 files). */
+function collectMetadata(format, tracks) {
+  const metadata = {
+    title: '',
+    copyright: '',
+    trackNames: [],
+    instrumentNames: [],
+    texts: [],
+    lyrics: [],
+    markers: [],
+    cuePoints: [],
+    keySignatures: [],
+    timeSignatures: []
+  };
+  for (const track of tracks) {
+    for (const event of track.events) {
+      if (event.type !== 'meta') continue;
+      switch (event.subtype) {
+        case 'trackName':
+          if (!track.name) track.name = event.text;
+          metadata.trackNames.push({ track: track.index, text: event.text });
+          break;
+        case 'instrumentName':
+          metadata.instrumentNames.push({ track: track.index, text: event.text });
+          break;
+        case 'copyright':
+          if (!metadata.copyright) metadata.copyright = event.text;
+          break;
+        case 'text':
+          metadata.texts.push({ tick: event.tick, text: event.text });
+          break;
+        case 'lyrics':
+          metadata.lyrics.push({ tick: event.tick, text: event.text });
+          break;
+        case 'marker':
+          metadata.markers.push({ tick: event.tick, text: event.text });
+          break;
+        case 'cuePoint':
+          metadata.cuePoints.push({ tick: event.tick, text: event.text });
+          break;
+        case 'keySignature':
+          metadata.keySignatures.push({ tick: event.tick, key: event.key, scale: event.scale, name: event.name });
+          break;
+        case 'timeSignature':
+          metadata.timeSignatures.push({ tick: event.tick, numerator: event.numerator, denominator: event.denominator });
+          break;
+      }
+    }
+  }
+  if (format !== 2 && tracks.length > 0 && tracks[0].name) metadata.title = tracks[0].name;
+  const byTick = (a, b) => a.tick - b.tick;
+  for (const key of ['texts', 'lyrics', 'markers', 'cuePoints', 'keySignatures', 'timeSignatures']) metadata[key].sort(byTick);
+  return metadata;
+}
+
+/** Per-file statistics (counts, channels, key range, peak polyphony). */
+function collectStats(tracks, notes) {
+  const stats = {
+    trackCount: tracks.length,
+    eventCount: 0,
+    noteCount: notes.length,
+    channelsUsed: [],
+    programChanges: 0,
+    controlChanges: 0,
+    pitchBends: 0,
+    sysexCount: 0,
+    metaCount: 0,
+    minKey: null,
+    maxKey: null,
+    maxPolyphony: 0,
+    totalTicks: 0
+  };
+  const channels = new Set();
+  for (const track of tracks) {
+    stats.eventCount += track.events.length;
+    stats.totalTicks = Math.max(stats.totalTicks, track.endTick);
+    for (const event of track.events) {
+      if (event.channel !== undefined) channels.add(event.channel);
+      if (event.type === 'programChange') stats.programChanges++;
+      else if (event.type === 'controlChange') stats.controlChanges++;
+      else if (event.type === 'pitchBend') stats.pitchBends++;
+      else if (event.type === 'sysex') stats.sysexCount++;
+      else if (event.type === 'meta') stats.metaCount++;
+    }
+  }
+  stats.channelsUsed = [...channels].sort((a, b) => a - b);
+  // Peak polyphony: sweep note boundaries (offs before ons on the same tick)
+  const edges = [];
+  for (const note of notes) {
+    stats.minKey = stats.minKey === null ? note.key : Math.min(stats.minKey, note.key);
+    stats.maxKey = stats.maxKey === null ? note.key : Math.max(stats.maxKey, note.key);
+    edges.push([note.startTick, 1], [note.endTick, -1]);
+  }
+  edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  let sounding = 0;
+  for (const [, step] of edges) {
+    sounding += step;
+    if (sounding > stats.maxPolyphony) stats.maxPolyphony = sounding;
+  }
+  return stats;
+}
+
+/**
+ * Parse a Standard MIDI File.
+ * @param {ArrayBuffer|Uint8Array} input SMF bytes
+ * @returns {{
+ *   format: number,
+ *   division: object,
+ *   tracks: {index: number, name: string, events: object[], endTick: number, truncated: boolean}[],
+ *   tempoEvents: {tick: number, usPerQuarter: number}[],
+ *   notes: object[],
+ *   metadata: object,
+ *   stats: object,
+ *   warnings: string[]
+ * }}
+ * @throws {Error} when the data does not start with a valid MThd header
+ */
+export function parseMidiFile(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  if (dv.byteLength < 14 || dv.getUint32(0, false) !== MTHD) {
+    throw new Error('Not a Standard MIDI File (missing MThd header)');
+  }
+  const headerLength = dv.getUint32(4, false);
+  const format = dv.getUint16(8, false);
+  const declaredTracks = dv.getUint16(10, false);
+  const division = parseDivision(dv.getInt16(12, false));
+  const warnings = [];
+
+  const tracks = [];
+  let pos = 8 + headerLength;
+  while (pos + 8 <= dv.byteLength) {
+    const chunkId = dv.getUint32(pos, false);
+    const chunkLength = dv.getUint32(pos + 4, false);
+    const dataStart = pos + 8;
+    const dataEnd = Math.min(dataStart + chunkLength, dv.byteLength);
+    if (chunkId === MTRK) {
+      const track = parseTrack(dv, dataStart, dataEnd);
+      if (track.truncated) warnings.push(`Track ${tracks.length} is truncated or malformed`);
+      tracks.push({ index: tracks.length, name: '', ...track });
+    }
+    // Unknown chunks (e.g. vendor data) are skipped as the spec requires
+    pos = dataStart + chunkLength;
+  }
+  if (tracks.length !== declaredTracks) {
+    warnings.push(`Header declares ${declaredTracks} track(s) but ${tracks.length} were found`);
+  }
+
+  const tempoEvents = [];
+  for (const track of tracks) {
+    for (const event of track.events) {
+      if (event.subtype === 'setTempo' && event.usPerQuarter > 0) {
+        tempoEvents.push({ tick: event.tick, usPerQuarter: event.usPerQuarter });
+      }
+    }
+  }
+  tempoEvents.sort((a, b) => a.tick - b.tick);
+
+  const notes = collectNotes(tracks);
+  const metadata = collectMetadata(format, tracks);
+  const stats = collectStats(tracks, notes);
+  return { format, division, tracks, tempoEvents, notes, metadata, stats, warnings };
+}
+
+/**
+ * Rewrite an SMPTE-division SMF as an equivalent PPQ-division SMF.
+ * FluidSynth refuses SMPTE timing, so the division becomes `nominal fps × ticks per frame` PPQ with
+ * a fixed tempo making one quarter note last exactly one second of nominal frames (1.001 s at 29.97 fps).
+ * Tick values are unchanged, so positions reported by the synth map 1:1 to the original file.
+ * Set Tempo events (meaningless with SMPTE timing) are neutralized into sequencer-specific meta events.
+ * @param {Uint8Array} u8 SMF bytes with an SMPTE division
+ * @param {object} [smf] result of parseMidiFile(u8), parsed again when omitted
+ * @returns {Uint8Array} new SMF bytes with a PPQ division
+ */
+export function convertSmpteToPpq(u8, smf = parseMidiFile(u8)) {
+  const { division } = smf;
+  if (division.type !== 'smpte') return u8;
+  const nominalFps = division.fps === 29 ? 30 : division.fps;
+  const ppq = nominalFps * division.ticksPerFrame;
+  const usPerQuarter = Math.round(1e6 * nominalFps / division.framesPerSecond);
+  if (ppq <= 0 || ppq > 0x7FFF) throw new Error(`Unsupported SMPTE division (${division.fps} fps, ${division.ticksPerFrame} ticks/frame)`);
+
+  // Patch in place on a copy: neutralize existing tempo events
+  const patched = u8.slice();
+  for (const track of smf.tracks) {
+    for (const event of track.events) {
+      if (event.subtype === 'setTempo') patched[event.offset] = 0x7F;
+    }
+  }
+  const dv = new DataView(patched.buffer);
+  dv.setUint16(12, ppq, false);
+
+  // Prepend a Set Tempo event (delta 0) to every track, growing each MTrk chunk
+  const tempoEvent = [0x00, 0xFF, 0x51, 0x03, (usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF];
+  const parts = [];
+  let pos = 8 + dv.getUint32(4, false);
+  parts.push(patched.subarray(0, pos));
+  while (pos + 8 <= patched.length) {
+    const chunkId = dv.getUint32(pos, false);
+    const chunkLength = dv.getUint32(pos + 4, false);
+    const dataEnd = Math.min(pos + 8 + chunkLength, patched.length);
+    if (chunkId === MTRK) {
+      const header = patched.slice(pos, pos + 8);
+      new DataView(header.buffer).setUint32(4, (dataEnd - pos - 8) + tempoEvent.length, false);
+      parts.push(header, Uint8Array.from(tempoEvent), patched.subarray(pos + 8, dataEnd));
+    } else {
+      parts.push(patched.subarray(pos, dataEnd));
+    }
+    pos += 8 + chunkLength;
+  }
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,193 @@
+/* i-mode melody (.mld, MFi "melo") to SMF converter
+   - Header "melo", info chunks (titl, note, ...), then up to 4 "trac" chunks with 4 voices each
+   - Supported events: notes (with the optional velocity/octave byte when the "note" chunk says so),
+     tempo/timebase, program and bank, volume, pan, end of track; length-prefixed data events
+     (ADPCM, user data) are skipped
+   - Anything else is reported as ConversionError (byte offset included) rather than guessed
+*/
+
+import { ConversionError, writeSmf, meta, channelEvent } from './smf-writer.js';
+
+// Constants
+const PPQ = 480;                        // output resolution
+const FORMAT = 'MLD';
+const HEADER_SIZE = 13;                 // "melo" + length(4) + info length(2) + type(2) + track count(1)
+const INFO_LENGTH_OFFSET = 8;           // info length counts from byte 10 (type bytes + track count included)
+const TRACK_HEADER_SIZE = 8;            // "trac" + length(4)
+const MAX_TRACKS = 4;
+const VOICES_PER_TRACK = 4;
+const EXTENDED_STATUS = 0xFF;           // extended event (type byte follows)
+const KEY_MASK = 0x3F;                  // status bits 0–5: key (0x3F = extended)
+const KEY_BASE = 45;                    // MFi key 0 = A2 (MIDI 45)
+const OCTAVE_SHIFT = [0, 12, -24, -12]; // note extension byte bits 0–1
+const DEFAULT_VELOCITY = 100;
+const DEFAULT_TEMPO = 120;
+const DEFAULT_TIMEBASE = 48;
+const DRUM_CHANNEL = 9;
+const CC_VOLUME = 7;
+const CC_PAN = 10;
+// Ticks per quarter note selected by the low nibble of a tempo event (0xC0–0xCF)
+const TIMEBASES = { 0x0: 6, 0x1: 12, 0x2: 24, 0x3: 48, 0x4: 96, 0x5: 192, 0x6: 384, 0x8: 15, 0x9: 30, 0xA: 60, 0xB: 120, 0xC: 240, 0xD: 480, 0xE: 960 };
+// Extended event types
+const EXT_TEMPO_FIRST = 0xC0;
+const EXT_TEMPO_LAST = 0xCF;
+const EXT_END_OF_TRACK = 0xDF;
+const EXT_PROGRAM = 0xE0;
+const EXT_BANK = 0xE1;
+const EXT_VOLUME = 0xE2;
+const EXT_PAN = 0xE3;
+const EXT_ONE_BYTE_FIRST = 0xB0;        // 0xB0–0xEF carry one data byte
+const EXT_ONE_BYTE_LAST = 0xEF;
+const EXT_DATA_FIRST = 0xF0;            // 0xF0–0xFF carry a 16-bit length and data
+
+/** Four-character code at an offset. */
+function fourCC(u8, offset) {
+  return String.fromCharCode(u8[offset], u8[offset + 1], u8[offset + 2], u8[offset + 3]);
+}
+
+/** MIDI channel for a track/voice pair (drum channel skipped; the 16th voice shares channel 16). */
+function midiChannel(track, voice) {
+  const n = track * VOICES_PER_TRACK + voice;
+  return n < DRUM_CHANNEL ? n : Math.min(15, n + 1);
+}
+
+/** Read the info chunks: title and whether note events carry the extension byte. */
+function readInfo(u8, dv, start, end) {
+  const info = { title: '', noteExtended: false };
+  let offset = start;
+  while (offset + 6 <= end) {
+    const id = fourCC(u8, offset);
+    const length = dv.getUint16(offset + 4);
+    const data = u8.subarray(offset + 6, Math.min(end, offset + 6 + length));
+    if (id === 'titl') info.title = new TextDecoder('shift_jis').decode(data).replace(/\0+$/, '').trim();
+    else if (id === 'note' && data.length >= 2) info.noteExtended = ((data[0] << 8) | data[1]) === 1;
+    offset += 6 + length;
+  }
+  return info;
+}
+
+/**
+ * Parse one track into raw events with MFi ticks.
+ * @returns {{events: object[], tempos: {tick: number, timebase: number, bpm: number}[]}}
+ */
+function parseTrack(u8, start, end, trackIndex, noteExtended) {
+  const events = [];
+  const tempos = [];
+  const banks = [0, 0, 0, 0];
+  let offset = start;
+  let tick = 0;
+  const fail = (message) => { throw new ConversionError(`${message} (track ${trackIndex + 1}, byte ${offset})`, FORMAT); };
+  while (offset < end) {
+    if (offset + 2 > end) fail('Truncated event');
+    tick += u8[offset];
+    const status = u8[offset + 1];
+    offset += 2;
+    if ((status & KEY_MASK) !== KEY_MASK) {
+      // Note: voice in bits 6–7, key in bits 0–5, then gate time (+ velocity/octave byte)
+      const voice = status >> 6;
+      const gate = u8[offset++];
+      let velocity = DEFAULT_VELOCITY;
+      let shift = 0;
+      if (noteExtended) {
+        const ext = u8[offset++];
+        velocity = Math.max(1, (ext >> 2) * 2);
+        shift = OCTAVE_SHIFT[ext & 0x03];
+      }
+      if (offset > end) fail('Truncated note');
+      const key = KEY_BASE + (status & KEY_MASK) + shift;
+      if (key >= 0 && key <= 127) events.push({ type: 'note', tick, voice, key, velocity, gate });
+      continue;
+    }
+    if (status !== EXTENDED_STATUS) fail(`Unsupported MLD status 0x${status.toString(16).toUpperCase()}`);
+    const type = u8[offset++];
+    if (type >= EXT_DATA_FIRST) {
+      if (offset + 2 > end) fail('Truncated data event');
+      offset += 2 + ((u8[offset] << 8) | u8[offset + 1]); // ADPCM/user data: not rendered
+      continue;
+    }
+    if (type < EXT_ONE_BYTE_FIRST || type > EXT_ONE_BYTE_LAST) fail(`Unsupported MLD event 0xFF 0x${type.toString(16).toUpperCase()}`);
+    const value = u8[offset++];
+    if (offset > end) fail('Truncated event');
+    if (type >= EXT_TEMPO_FIRST && type <= EXT_TEMPO_LAST) {
+      const timebase = TIMEBASES[type & 0x0F];
+      if (!timebase) fail(`Unsupported MLD timebase 0x${(type & 0x0F).toString(16).toUpperCase()}`);
+      if (value > 0) tempos.push({ tick, timebase, bpm: value });
+    } else if (type === EXT_END_OF_TRACK) {
+      break;
+    } else if (type === EXT_BANK) {
+      banks[value >> 6] = value & 0x3F;
+    } else if (type === EXT_PROGRAM) {
+      const voice = value >> 6;
+      events.push({ type: 'program', tick, voice, program: ((banks[voice] << 6) | (value & 0x3F)) & 0x7F });
+    } else if (type === EXT_VOLUME || type === EXT_PAN) {
+      events.push({ type: 'control', tick, voice: value >> 6, controller: type === EXT_VOLUME ? CC_VOLUME : CC_PAN, value: (value & 0x3F) * 2 });
+    }
+    // Other one-byte events (master volume, cue points, pitch bend, ...) are not rendered
+  }
+  return { events, tempos };
+}
+
+/**
+ * Convert an MLD (MFi) file to an SMF.
+ * @param {ArrayBuffer|Uint8Array} input file bytes
+ * @returns {Uint8Array} SMF bytes (format 1)
+ * @throws {ConversionError} for other layouts, unsupported events, or files without notes
+ */
+export function mldToSmf(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (u8.length < HEADER_SIZE || fourCC(u8, 0) !== 'melo') throw new ConversionError('Not an MFi melody (missing "melo" header)', FORMAT);
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const end = Math.min(u8.length, 8 + dv.getUint32(4));
+  const tracksStart = 10 + dv.getUint16(INFO_LENGTH_OFFSET);
+  const trackCount = u8[12];
+  if (trackCount < 1 || trackCount > MAX_TRACKS) throw new ConversionError(`Unsupported MLD track count ${trackCount}`, FORMAT);
+  const info = readInfo(u8, dv, HEADER_SIZE, Math.min(tracksStart, end));
+
+  const parsed = [];
+  let offset = tracksStart;
+  while (parsed.length < trackCount && offset + TRACK_HEADER_SIZE <= end) {
+    if (fourCC(u8, offset) !== 'trac') throw new ConversionError(`Expected a "trac" chunk at byte ${offset}`, FORMAT);
+    const length = dv.getUint32(offset + 4);
+    const start = offset + TRACK_HEADER_SIZE;
+    parsed.push(parseTrack(u8, start, Math.min(end, start + length), parsed.length, info.noteExtended));
+    offset = start + length;
+  }
+  if (!parsed.some(track => track.events.some(e => e.type === 'note'))) throw new ConversionError('No notes found', FORMAT);
+
+  // Global tempo map: MFi ticks scale with the current timebase, SMF ticks are fixed at PPQ
+  const tempos = parsed.flatMap(track => track.tempos).sort((a, b) => a.tick - b.tick);
+  if (tempos.length === 0 || tempos[0].tick > 0) tempos.unshift({ tick: 0, timebase: DEFAULT_TIMEBASE, bpm: DEFAULT_TEMPO });
+  const segments = [];
+  let smfTick = 0;
+  tempos.forEach((tempo, i) => {
+    if (i > 0) smfTick += ((tempo.tick - tempos[i - 1].tick) * PPQ) / tempos[i - 1].timebase;
+    segments.push({ mfiTick: tempo.tick, smfTick, timebase: tempo.timebase, bpm: tempo.bpm });
+  });
+  const toSmfTick = (mfiTick) => {
+    let segment = segments[0];
+    for (const s of segments) { if (s.mfiTick <= mfiTick) segment = s; else break; }
+    return segment.smfTick + ((mfiTick - segment.mfiTick) * PPQ) / segment.timebase;
+  };
+
+  const conductor = [];
+  if (info.title) conductor.push(meta.trackName(0, info.title));
+  segments.forEach(s => conductor.push(meta.tempo(s.smfTick, Math.round(60000000 / s.bpm))));
+  const smfTracks = [conductor];
+  parsed.forEach(({ events }, trackIndex) => {
+    const out = [];
+    for (const event of events) {
+      const channel = midiChannel(trackIndex, event.voice);
+      const at = toSmfTick(event.tick);
+      if (event.type === 'note') {
+        out.push(channelEvent.noteOn(at, channel, event.key, event.velocity));
+        out.push(channelEvent.noteOff(toSmfTick(event.tick + event.gate), channel, event.key));
+      } else if (event.type === 'program') {
+        out.push(channelEvent.programChange(at, channel, event.program));
+      } else {
+        out.push(channelEvent.controlChange(at, channel, event.controller, event.value));
+      }
+    }
+    smfTracks.push(out);
+  });
+  return writeSmf(PPQ, smfTracks);
+}
@@ -0,0 +1,223 @@
+/* MML (Music Macro Language) to SMF converter
+   - Containers: Mabinogi "MML@track1,track2,...;" text (.mml/.mmi/.mms), 3MLE-style INI with
+     [ChannelN] sections, MapleStory 2 XML (.ms2mml: <melody>/<chord>), or bare MML text
+   - Dialect: notes a–g with +/#/- and lengths/dots, r, n (note number), o, < >, l, t, v (0–15), & (tie)
+   - Each MML track gets its own MIDI channel (drum channel skipped), piano program;
+     tempo changes are global, as in the games these files come from
+   - Problems are reported as ConversionError with the track and character position
+*/
+
+import { ConversionError, writeSmf, meta, channelEvent } from './smf-writer.js';
+
+// Constants
+const PPQ = 480;                      // output resolution (fine enough for l5/l7/triplets)
+const WHOLE_NOTE_TICKS = PPQ * 4;
+const DEFAULT_TEMPO = 120;
+const DEFAULT_OCTAVE = 4;             // o4c = middle C (MIDI 60)
+const DEFAULT_LENGTH = 4;
+const DEFAULT_VOLUME = 8;
+const MAX_VOLUME = 15;
+const MAX_LENGTH = 192;
+const MIN_TEMPO = 1;
+const MAX_TEMPO = 960;
+const NOTE_NUMBER_OFFSET = 12;        // n0 = C0 = MIDI 12
+const DRUM_CHANNEL = 9;
+const MAX_TRACKS = 15;                // 16 channels minus drums
+const FORMAT = 'MML';
+const SEMITONES = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+/** Ticks of a note length (1 = whole, 4 = quarter, ...) with dots. */
+function lengthTicks(length, dots) {
+  let ticks = WHOLE_NOTE_TICKS / length;
+  let add = ticks;
+  for (let i = 0; i < dots; i++) { add /= 2; ticks += add; }
+  return ticks;
+}
+
+/**
+ * Parse one MML track.
+ * @param {string} text MML commands
+ * @param {number} trackNumber 1-based, for error messages
+ * @returns {{notes: {tick: number, key: number, velocity: number, duration: number}[], tempos: {tick: number, bpm: number}[], endTick: number}}
+ */
+function parseTrack(text, trackNumber) {
+  const src = text.toLowerCase();
+  const notes = [];
+  const tempos = [];
+  let i = 0;
+  let tick = 0;
+  let octave = DEFAULT_OCTAVE;
+  let defaultLength = DEFAULT_LENGTH;
+  let defaultDots = 0;
+  let volume = DEFAULT_VOLUME;
+  let tiePending = false;
+
+  const fail = (message) => { throw new ConversionError(`${message} (track ${trackNumber}, character ${i + 1})`, FORMAT); };
+  const readNumber = () => {
+    const start = i;
+    while (i < src.length && src[i] >= '0' && src[i] <= '9') i++;
+    return i > start ? Number(src.slice(start, i)) : null;
+  };
+  const readDots = () => {
+    let dots = 0;
+    while (src[i] === '.') { dots++; i++; }
+    return dots;
+  };
+  const readLength = () => {
+    const length = readNumber();
+    const dots = readDots();
+    if (length === null) return lengthTicks(defaultLength, defaultDots + dots);
+    if (length < 1 || length > MAX_LENGTH) fail(`Invalid length ${length}`);
+    return lengthTicks(length, dots);
+  };
+  const skipSpace = () => { while (i < src.length && /\s/.test(src[i])) i++; };
+  const addNote = (key, duration) => {
+    if (key < 0 || key > 127) fail(`Note out of range (MIDI ${key})`);
+    const last = notes[notes.length - 1];
+    if (tiePending && last && last.key === key && Math.abs(last.tick + last.duration - tick) < 1e-6) {
+      last.duration += duration; // tie: extend the previous note
+    } else if (volume > 0) {
+      notes.push({ tick, key, velocity: Math.max(1, Math.round((volume * 127) / MAX_VOLUME)), duration });
+    }
+    tick += duration;
+    skipSpace();
+    tiePending = src[i] === '&';
+    if (tiePending) i++;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (SEMITONES[ch] !== undefined) {
+      i++;
+      let semitone = SEMITONES[ch];
+      while (src[i] === '+' || src[i] === '#' || src[i] === '-') { semitone += src[i] === '-' ? -1 : 1; i++; }
+      addNote((octave + 1) * 12 + semitone, readLength());
+      continue;
+    }
+    i++;
+    switch (ch) {
+      case 'n': {
+        const number = readNumber();
+        if (number === null) fail('Missing note number after "n"');
+        addNote(number + NOTE_NUMBER_OFFSET, lengthTicks(defaultLength, defaultDots));
+        break;
+      }
+      case 'r':
+        tick += readLength();
+        tiePending = false;
+        break;
+      case 'o': {
+        const value = readNumber();
+        if (value === null || value > 9) fail('Invalid octave');
+        octave = value;
+        break;
+      }
+      case '<': octave -= 1; break;
+      case '>': octave += 1; break;
+      case 'l': {
+        const length = readNumber();
+        if (length === null || length < 1 || length > MAX_LENGTH) fail('Invalid default length');
+        defaultLength = length;
+        defaultDots = readDots();
+        break;
+      }
+      case 't': {
+        const bpm = readNumber();
+        if (bpm === null || bpm < MIN_TEMPO || bpm > MAX_TEMPO) fail('Invalid tempo');
+        tempos.push({ tick, bpm });
+        break;
+      }
+      case 'v': {
+        const value = readNumber();
+        if (value === null || value > MAX_VOLUME) fail('Invalid volume (expected 0–15)');
+        volume = value;
+        break;
+      }
+      case '&': break; // stray tie
+      default:
+        i--;
+        fail(`Unexpected "${ch}"`);
+    }
+  }
+  return { notes, tempos, endTick: tick };
+}
+
+/** Text content of an XML element, with or without CDATA. */
+function xmlText(content) {
+  const cdata = content.match(/<!\[CDATA\[([\s\S]*?)\]\]>/);
+  return cdata ? cdata[1] : content;
+}
+
+/**
+ * Find the MML tracks in a file, whatever the container.
+ * @returns {{title: string, tracks: string[]}}
+ */
+function extractTracks(text) {
+  // MapleStory 2: <ms2><melody>…</melody><chord index="1">…</chord>…</ms2>
+  if (/<ms2[\s>]/i.test(text)) {
+    const tracks = [];
+    for (const match of text.matchAll(/<(melody|chord)\b[^>]*>([\s\S]*?)<\/\1>/gi)) tracks.push(xmlText(match[2]));
+    return { title: '', tracks };
+  }
+  // Mabinogi: one or more "MML@melody,chord1,chord2;" blocks (possibly inside an INI file)
+  if (/MML@/i.test(text)) {
+    const tracks = [];
+    for (const match of text.matchAll(/MML@([^;]*);?/gi)) tracks.push(...match[1].split(','));
+    const title = (text.match(/^\s*title\s*=\s*(.*)$/im) || [])[1] || '';
+    return { title: title.trim(), tracks };
+  }
+  // INI sections: [Settings] Title=…, [Channel1] … [ChannelN]
+  if (/^\s*\[[^\]]+\]\s*$/m.test(text)) {
+    const tracks = [];
+    let title = '';
+    let section = '';
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      const header = line.match(/^\[([^\]]+)\]$/);
+      if (header) {
+        section = header[1].toLowerCase();
+        if (/^channel\d+$/.test(section)) tracks.push('');
+        continue;
+      }
+      if (!line || line.startsWith('//') || line.startsWith(';')) continue;
+      if (/^channel\d+$/.test(section)) tracks[tracks.length - 1] += line + '\n';
+      else if (/^title\s*=/i.test(line)) title = line.slice(line.indexOf('=') + 1).trim();
+    }
+    if (tracks.length === 0) throw new ConversionError('Unrecognized MML file layout (no MML@ data, [ChannelN] sections or <ms2> tracks)', FORMAT);
+    return { title, tracks };
+  }
+  // Bare MML: tracks separated by commas
+  return { title: '', tracks: text.replace(/;\s*$/, '').split(',') };
+}
+
+/**
+ * Convert MML text to an SMF.
+ * @param {string} text file contents
+ * @returns {Uint8Array} SMF bytes (format 1)
+ * @throws {ConversionError} for unsupported layouts, syntax errors, or files without notes
+ */
+export function mmlToSmf(text) {
+  const { title, tracks: sources } = extractTracks(text.replace(/^\uFEFF/, ''));
+  const parsed = sources.map(src => src.trim()).filter(Boolean).map((src, index) => parseTrack(src, index + 1));
+  if (parsed.length > MAX_TRACKS) throw new ConversionError(`Too many tracks (${parsed.length}, at most ${MAX_TRACKS})`, FORMAT);
+  if (!parsed.some(track => track.notes.length > 0)) throw new ConversionError('No notes found', FORMAT);
+
+  const conductor = [];
+  if (title) conductor.push(meta.trackName(0, title));
+  const tempos = parsed.flatMap(track => track.tempos).sort((a, b) => a.tick - b.tick);
+  if (tempos.length === 0 || tempos[0].tick > 0) tempos.unshift({ tick: 0, bpm: DEFAULT_TEMPO });
+  tempos.forEach(({ tick, bpm }) => conductor.push(meta.tempo(tick, Math.round(60000000 / bpm))));
+
+  const smfTracks = [conductor];
+  parsed.forEach((track, index) => {
+    const channel = index < DRUM_CHANNEL ? index : index + 1;
+    const events = [meta.trackName(0, `Track ${index + 1}`), channelEvent.programChange(0, channel, 0)];
+    for (const note of track.notes) {
+      events.push(channelEvent.noteOn(note.tick, channel, note.key, note.velocity));
+      events.push(channelEvent.noteOff(note.tick + note.duration, channel, note.key));
+    }
+    smfTracks.push(events);
+  });
+  return writeSmf(PPQ, smfTracks);
+}
@@ -0,0 +1,126 @@
+/* Stuck-note watchdog for the built-in player
+   - Compares the notes the synth is holding (player note-state tracker) with the parsed SMF:
+     a note still held well past its note-off in the file is released and logged
+   - Notes the file never terminates are released after a long maximum hold
+   - After pause/seek, voices still sounding once release tails had time to fade are cut and logged
+   - Log lines name the file, channel and note, to tell file problems from synth problems
+*/
+
+import { noteName } from './virtual-keyboard.js';
+
+// Constants
+const GRACE_SECONDS = 2;                  // song seconds a note may outlive its note-off (timing jitter, tick reads)
+const MIN_HELD_MS = 1000;                 // never release a note younger than this (its tick may not be read yet)
+const UNTERMINATED_MAX_SECONDS = 30;      // hold limit for notes without a note-off in the file
+const SETTLE_MS = 4000;                   // release tails allowed after pause/seek before cutting voices
+
+/** Checks the player's sounding notes against the note-offs of the current song. */
+export class StuckNoteWatchdog {
+  /**
+   * @param {{ticksToSeconds: (ticks: number) => number}} timing the app's timing state (tempo map)
+   */
+  constructor(timing) {
+    this.timing = timing;
+    this.fileName = '';
+    this.notesByKey = new Map();  // "channel:key" -> SMF notes sorted by startTick
+    this.settleTimer = 0;
+  }
+
+  /**
+   * Use a parsed SMF (null to clear).
+   * @param {object|null} smf result of parseMidiFile()
+   * @param {string} fileName shown in the log
+   */
+  setSong(smf, fileName = '') {
+    this.cancelSettle();
+    this.fileName = fileName;
+    this.notesByKey = new Map();
+    for (const note of (smf ? smf.notes : [])) {
+      const id = `${note.channel}:${note.key}`;
+      if (!this.notesByKey.has(id)) this.notesByKey.set(id, []);
+      this.notesByKey.get(id).push(note); // parser output is sorted by startTick
+    }
+  }
+
+  /**
+   * While playing: release notes the file should no longer be holding at a tick.
+   * @param {{getSoundingNotes: Function, releaseNote: Function}} player
+   * @param {number} tick current player tick
+   * @returns {number} notes released
+   */
+  check(player, tick) {
+    const nowSeconds = this.timing.ticksToSeconds(tick);
+    const now = performance.now();
+    const held = new Map(); // "channel:key" -> sounding instances, oldest first
+    for (const note of player.getSoundingNotes()) {
+      const id = `${note.channel}:${note.key}`;
+      if (!held.has(id)) held.set(id, []);
+      held.get(id).push(note);
+    }
+    let released = 0;
+    for (const [id, instances] of held) {
+      const notes = this.notesByKey.get(id) || [];
+      let expected = 0;  // file notes that may legitimately sound now
+      let latest = null; // last file note started by now (for the log)
+      for (const note of notes) {
+        if (note.startTick > tick) break;
+        latest = note;
+        const endSeconds = note.unterminated
+          ? this.timing.ticksToSeconds(note.startTick) + UNTERMINATED_MAX_SECONDS
+          : this.timing.ticksToSeconds(note.endTick);
+        if (nowSeconds <= endSeconds + GRACE_SECONDS) expected++;
+      }
+      const excess = instances.length - expected;
+      for (const instance of instances.slice(0, Math.max(0, excess))) {
+        if (now - instance.startedAt < MIN_HELD_MS) continue;
+        if (!player.releaseNote(instance.channel, instance.key)) continue;
+        released++;
+        console.warn(`[WARN] Stuck note released: ${this.describe(instance.channel, instance.key)}, ${this.reason(latest, nowSeconds)}`);
+      }
+    }
+    return released;
+  }
+
+  /**
+   * After pause/seek: once release tails had time to fade, cut whatever the synth still plays.
+   * The notes held when the transport stopped are logged as the likely culprits.
+   * @param {{getSoundingNotes: Function, hasSoundingVoices: Function, silenceSong: Function}} player
+   * @param {string} reason 'pause' or 'seek' (for the log)
+   * @param {() => boolean} isPlaying the check is dropped if playback resumed meanwhile
+   */
+  settleAfter(player, reason, isPlaying) {
+    this.cancelSettle();
+    const heldBefore = player.getSoundingNotes();
+    this.settleTimer = setTimeout(() => {
+      this.settleTimer = 0;
+      if (isPlaying() || !player.hasSoundingVoices()) return;
+      const notes = heldBefore.length > 0
+        ? heldBefore.map(note => this.describe(note.channel, note.key, false)).join('; ')
+        : 'no note was held (pedal-sustained or unreleased voices)';
+      console.warn(`[WARN] Voices still sounding ${SETTLE_MS / 1000} s after ${reason} in "${this.fileName}", cut: ${notes}`);
+      player.silenceSong();
+    }, SETTLE_MS);
+  }
+
+  /** Drop a pending after-pause check (play, stop, track change). */
+  cancelSettle() {
+    if (this.settleTimer) clearTimeout(this.settleTimer);
+    this.settleTimer = 0;
+  }
+
+  // Internals ---------------------------------------------------------------
+
+  /** "file", channel N, note (key K) */
+  describe(channel, key, withFile = true) {
+    const where = `channel ${channel + 1}, ${noteName(key)} (key ${key})`;
+    return withFile ? `"${this.fileName}", ${where}` : where;
+  }
+
+  /** Why a note counts as stuck, relative to the file's last note on that key. */
+  reason(latest, nowSeconds) {
+    if (!latest) return 'no matching note-on in the file';
+    if (latest.unterminated) return `no note-off in the file, held over ${UNTERMINATED_MAX_SECONDS} s`;
+    const late = nowSeconds - this.timing.ticksToSeconds(latest.endTick);
+    return `${late.toFixed(1)} s past its note-off`;
+  }
+}
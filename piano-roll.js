@@ -0,0 +1,147 @@
+/* Piano-roll canvas renderer
+   - Draws the parsed notes of the current track (see midi-file-parser.js), one color per channel
+   - Scrolls with the playhead; rendering happens only when render() is called (no own animation loop),
+     so the app decides when it is worth spending CPU (playing vs. paused/stopped)
+   - Click-to-seek is reported through a callback; the app owns the seek path
+*/
+
+// Constants
+const VISIBLE_SECONDS = 8;          // Time span shown across the canvas width
+const PLAYHEAD_POSITION = 0.25;     // Playhead x position as a fraction of the width
+const KEY_PADDING = 2;              // Extra keys shown above/below the used key range
+const MIN_NOTE_WIDTH_PX = 2;        // Keep very short notes (drums) visible
+const BACKGROUND = '#101014';
+const ROW_C_COLOR = '#1c1c22';      // Row shading for C keys (octave landmarks)
+const PLAYHEAD_COLOR = '#7cc4ff';
+
+/** Channel color (16 evenly spaced hues). */
+function channelColor(channel, alpha = 1) {
+  return `hsla(${Math.round((channel * 360) / 16)}, 70%, 60%, ${alpha})`;
+}
+
+/**
+ * PianoRoll
+ * Stateless about transport: the caller passes the current tick to render().
+ */
+export class PianoRoll {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ onSeek?: (tick: number) => void }} [options]
+   */
+  constructor(canvas, options = {}) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext('2d');
+    this._onSeek = typeof options.onSeek === 'function' ? options.onSeek : null;
+    this._notes = [];           // { channel, key, velocity, start, end } in seconds, sorted by start
+    this._maxDuration = 0;      // longest note (bounds the backwards search for sounding notes)
+    this._minKey = 48;
+    this._maxKey = 84;
+    this._timing = null;        // object with ticksToSeconds/secondsToTicks (the app's TimingState)
+    this._lastTick = 0;
+
+    this._canvas.addEventListener('click', (e) => this._handleClick(e));
+  }
+
+  /**
+   * Replace the notes to display.
+   * @param {{channel: number, key: number, velocity: number, startTick: number, endTick: number}[]} notes
+   * @param {{ticksToSeconds: Function, secondsToTicks: Function}} timing tick/seconds converter
+   */
+  setNotes(notes, timing) {
+    this._timing = timing;
+    this._notes = (notes || []).map(n => ({
+      channel: n.channel,
+      key: n.key,
+      velocity: n.velocity,
+      start: timing.ticksToSeconds(n.startTick),
+      end: timing.ticksToSeconds(n.endTick)
+    })).sort((a, b) => a.start - b.start);
+    this._maxDuration = this._notes.reduce((max, n) => Math.max(max, n.end - n.start), 0);
+    if (this._notes.length > 0) {
+      // reduce (not Math.min(...spread)): large files would overflow the call stack
+      this._minKey = Math.max(0, this._notes.reduce((min, n) => Math.min(min, n.key), 127) - KEY_PADDING);
+      this._maxKey = Math.min(127, this._notes.reduce((max, n) => Math.max(max, n.key), 0) + KEY_PADDING);
+    } else {
+      this._minKey = 48;
+      this._maxKey = 84;
+    }
+  }
+
+  /** Match the canvas backing store to its CSS size (crisp on HiDPI screens). */
+  _resize() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(this._canvas.clientWidth * dpr));
+    const height = Math.max(1, Math.round(this._canvas.clientHeight * dpr));
+    if (this._canvas.width !== width || this._canvas.height !== height) {
+      this._canvas.width = width;
+      this._canvas.height = height;
+    }
+    return { width, height };
+  }
+
+  /** First note index whose start is >= seconds (binary search). */
+  _firstNoteAtOrAfter(seconds) {
+    let lo = 0;
+    let hi = this._notes.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this._notes[mid].start < seconds) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Draw the visible window around a tick.
+   * @param {number} currentTick playhead position
+   */
+  render(currentTick) {
+    this._lastTick = currentTick;
+    const { width, height } = this._resize();
+    const ctx = this._ctx;
+    ctx.fillStyle = BACKGROUND;
+    ctx.fillRect(0, 0, width, height);
+
+    const keyCount = this._maxKey - this._minKey + 1;
+    const rowHeight = height / keyCount;
+    // Octave landmarks
+    ctx.fillStyle = ROW_C_COLOR;
+    for (let key = this._minKey; key <= this._maxKey; key++) {
+      if (key % 12 === 0) ctx.fillRect(0, height - (key - this._minKey + 1) * rowHeight, width, rowHeight);
+    }
+
+    const playheadX = width * PLAYHEAD_POSITION;
+    const pxPerSecond = width / VISIBLE_SECONDS;
+    if (this._timing && this._notes.length > 0) {
+      const now = this._timing.ticksToSeconds(currentTick);
+      const windowStart = now - playheadX / pxPerSecond;
+      const windowEnd = windowStart + VISIBLE_SECONDS;
+      const from = this._firstNoteAtOrAfter(windowStart - this._maxDuration);
+      for (let i = from; i < this._notes.length; i++) {
+        const note = this._notes[i];
+        if (note.start > windowEnd) break;
+        if (note.end < windowStart) continue;
+        const x = playheadX + (note.start - now) * pxPerSecond;
+        const w = Math.max(MIN_NOTE_WIDTH_PX, (note.end - note.start) * pxPerSecond);
+        const y = height - (note.key - this._minKey + 1) * rowHeight;
+        const sounding = note.start <= now && note.end > now;
+        ctx.fillStyle = channelColor(note.channel, sounding ? 1 : 0.35 + 0.5 * (note.velocity / 127));
+        ctx.fillRect(x, y, w, Math.max(1, rowHeight - 1));
+      }
+    }
+
+    ctx.fillStyle = PLAYHEAD_COLOR;
+    ctx.fillRect(Math.round(playheadX), 0, Math.max(1, Math.round(window.devicePixelRatio || 1)), height);
+  }
+
+  /** Convert a click position to a tick and report it. */
+  _handleClick(e) {
+    if (!this._onSeek || !this._timing) return;
+    const rect = this._canvas.getBoundingClientRect();
+    if (rect.width <= 0) return;
+    const playheadX = rect.width * PLAYHEAD_POSITION;
+    const pxPerSecond = rect.width / VISIBLE_SECONDS;
+    const now = this._timing.ticksToSeconds(this._lastTick);
+    const seconds = Math.max(0, now + (e.clientX - rect.left - playheadX) / pxPerSecond);
+    this._onSeek(Math.floor(this._timing.secondsToTicks(seconds)));
+  }
+}
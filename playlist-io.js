@@ -0,0 +1,156 @@
+/* Playlist import/export (JSON and M3U)
+   - Bundled files (served under sound_data/) are referenced by path
+   - User files are embedded as base64 (JSON "data" field, M3U data: URI) so a shared playlist is self-contained
+   - A SoundFont pinned to a track travels as its name (JSON "soundfont" field); M3U has no place for it
+   - Parsing never throws for individual bad entries: they are skipped and reported in `warnings`
+*/
+
+// Constants
+const JSON_FORMAT_ID = 'cbb-midi-playlist';
+const JSON_FORMAT_VERSION = 1;
+const BUNDLED_PATH_PREFIX = 'sound_data/';   // only paths inside the bundled data folder are accepted
+const DATA_URI_PREFIX = 'data:audio/midi;base64,';
+const BASE64_CHUNK = 0x8000;                 // bytes per String.fromCharCode call (stays below argument limits)
+
+/**
+ * A playlist entry as exchanged with the app.
+ * @typedef {{name: string, path?: string, bytes?: ArrayBuffer, soundfont?: string}} PlaylistEntry
+ */
+
+/** ArrayBuffer -> base64 string. */
+function toBase64(buffer) {
+  const u8 = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < u8.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode.apply(null, u8.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+/** base64 string -> ArrayBuffer (throws on invalid input). */
+function fromBase64(text) {
+  const binary = atob(text.replace(/\s+/g, ''));
+  const u8 = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) u8[i] = binary.charCodeAt(i);
+  return u8.buffer;
+}
+
+/** Normalize a bundled path ("./sound_data/MIDI/a.mid" -> "sound_data/MIDI/a.mid"); null when outside sound_data/. */
+export function normalizeBundledPath(path) {
+  const clean = String(path || '').trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  if (!clean.startsWith(BUNDLED_PATH_PREFIX) || clean.split('/').includes('..')) return null;
+  return clean;
+}
+
+/** File name part of a path. */
+function baseName(path) {
+  return path.split('/').pop() || path;
+}
+
+/**
+ * Serialize a playlist as JSON.
+ * @param {string} name playlist name
+ * @param {PlaylistEntry[]} entries entries with either a bundled path or bytes
+ * @returns {string}
+ */
+export function exportPlaylistJson(name, entries) {
+  const tracks = entries.map(entry => {
+    const track = entry.path ? { name: entry.name, path: entry.path } : { name: entry.name, data: toBase64(entry.bytes) };
+    if (entry.soundfont) track.soundfont = entry.soundfont;
+    return track;
+  });
+  return JSON.stringify({ format: JSON_FORMAT_ID, version: JSON_FORMAT_VERSION, name, tracks }, null, 2);
+}
+
+/**
+ * Serialize a playlist as extended M3U (#EXTM3U, #PLAYLIST, #EXTINF).
+ * @param {string} name playlist name
+ * @param {PlaylistEntry[]} entries entries with either a bundled path or bytes
+ * @returns {string}
+ */
+export function exportPlaylistM3u(name, entries) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  for (const entry of entries) {
+    lines.push(`#EXTINF:-1,${entry.name}`);
+    lines.push(entry.path ? encodeURI(entry.path) : DATA_URI_PREFIX + toBase64(entry.bytes));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/** Build an entry from a path or data reference; returns null (with a warning) when unusable. */
+function toEntry(name, { path, data }, warnings) {
+  if (data) {
+    try {
+      return { name, bytes: fromBase64(data) };
+    } catch (error) {
+      warnings.push(`${name}: invalid embedded data`);
+      return null;
+    }
+  }
+  const bundled = normalizeBundledPath(path);
+  if (!bundled) {
+    warnings.push(`${name || path}: only files under ${BUNDLED_PATH_PREFIX} or embedded files can be imported`);
+    return null;
+  }
+  return { name: name || baseName(bundled), path: bundled };
+}
+
+/** Parse the JSON format written by exportPlaylistJson. */
+function parseJson(text, fallbackName) {
+  const warnings = [];
+  const doc = JSON.parse(text);
+  if (!doc || doc.format !== JSON_FORMAT_ID || !Array.isArray(doc.tracks)) {
+    throw new Error('Not a playlist file (missing format or tracks)');
+  }
+  if (doc.version > JSON_FORMAT_VERSION) warnings.push(`Playlist format version ${doc.version} is newer than supported (${JSON_FORMAT_VERSION})`);
+  const entries = [];
+  for (const track of doc.tracks) {
+    if (!track || typeof track !== 'object') continue;
+    const entry = toEntry(typeof track.name === 'string' ? track.name : '', track, warnings);
+    if (!entry) continue;
+    if (typeof track.soundfont === 'string' && track.soundfont) entry.soundfont = track.soundfont;
+    entries.push(entry);
+  }
+  return { name: typeof doc.name === 'string' && doc.name.trim() ? doc.name.trim() : fallbackName, entries, warnings };
+}
+
+/** Parse (extended) M3U: #EXTINF titles are optional, other comment lines are ignored. */
+function parseM3u(text, fallbackName) {
+  const warnings = [];
+  const entries = [];
+  let name = fallbackName;
+  let title = '';
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    if (line.startsWith('#')) {
+      if (line.startsWith('#PLAYLIST:')) name = line.slice('#PLAYLIST:'.length).trim() || name;
+      else if (line.startsWith('#EXTINF:')) title = line.slice(line.indexOf(',') + 1).trim();
+      continue;
+    }
+    const isData = line.startsWith(DATA_URI_PREFIX);
+    let path = line;
+    if (!isData) {
+      try { path = decodeURI(line); } catch (error) { /* keep the raw line */ }
+    }
+    const entry = toEntry(title || (isData ? 'Untitled.mid' : ''), isData ? { data: line.slice(DATA_URI_PREFIX.length) } : { path }, warnings);
+    if (entry) entries.push(entry);
+    title = '';
+  }
+  return { name, entries, warnings };
+}
+
+/**
+ * Parse an imported playlist file (format detected from content, then extension).
+ * @param {string} text file contents
+ * @param {string} fileName used for the default playlist name
+ * @returns {{name: string, entries: PlaylistEntry[], warnings: string[]}}
+ * @throws {Error} when the file is not a playlist at all
+ */
+export function parsePlaylistFile(text, fileName) {
+  const fallbackName = fileName.replace(/\.[^.]+$/, '') || 'Imported playlist';
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (trimmed.startsWith('{')) return parseJson(trimmed, fallbackName);
+  if (trimmed.startsWith('#EXTM3U') || /\.m3u8?$/i.test(fileName)) return parseM3u(trimmed, fallbackName);
+  throw new Error('Unsupported playlist file (expected JSON or M3U)');
+}
@@ -0,0 +1,80 @@
+/* RIFF-MIDI (.rmi) container
+   - An RMID file wraps a plain SMF in a "data" chunk
+   - It may embed a sound bank as a nested RIFF chunk (form "sfbk" = SF2/SF3, "DLS " = DLS),
+     plus an optional "DBNK" bank offset and "LIST INFO" text (title, copyright, ...)
+*/
+
+// Constants
+const RIFF_HEADER_SIZE = 12;     // "RIFF" + size + form type
+const CHUNK_HEADER_SIZE = 8;     // id + size
+const DEFAULT_BANK_OFFSET = 1;   // RMID default when a bank is embedded without DBNK
+
+/** Four-character code at an offset. */
+function fourCC(u8, offset) {
+  return String.fromCharCode(u8[offset], u8[offset + 1], u8[offset + 2], u8[offset + 3]);
+}
+
+/** Trimmed text of a zero-terminated INFO string. */
+function infoText(bytes) {
+  const end = bytes.indexOf(0);
+  return new TextDecoder('utf-8').decode(end === -1 ? bytes : bytes.subarray(0, end)).trim();
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} input file bytes
+ * @returns {boolean} true when the bytes are a RIFF-MIDI (RMID) file
+ */
+export function isRiffMidi(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  return u8.length >= RIFF_HEADER_SIZE && fourCC(u8, 0) === 'RIFF' && fourCC(u8, 8) === 'RMID';
+}
+
+/**
+ * Unwrap an RMID file.
+ * @param {ArrayBuffer|Uint8Array} input file bytes
+ * @returns {{smf: Uint8Array, soundfont: {type: 'sf2'|'dls', bytes: Uint8Array}|null, bankOffset: number, info: Object<string, string>}}
+ *   smf: the embedded SMF; soundfont: the embedded bank as a standalone RIFF file;
+ *   bankOffset: bank number the embedded bank starts at; info: LIST INFO fields by id (INAM, ICOP, ...)
+ * @throws {Error} when there is no RMID header or no "data" chunk
+ */
+export function unwrapRiffMidi(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (!isRiffMidi(u8)) throw new Error('Not a RIFF-MIDI file (missing RIFF/RMID header)');
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  // Tolerate a RIFF size larger than the file (truncated or sloppy writers)
+  const end = Math.min(u8.length, CHUNK_HEADER_SIZE + dv.getUint32(4, true));
+
+  let smf = null;
+  let soundfont = null;
+  let bankOffset = null;
+  const info = {};
+  let offset = RIFF_HEADER_SIZE;
+  while (offset + CHUNK_HEADER_SIZE <= end) {
+    const id = fourCC(u8, offset);
+    const size = dv.getUint32(offset + 4, true);
+    const body = offset + CHUNK_HEADER_SIZE;
+    const bodyEnd = Math.min(end, body + size);
+    if (id === 'data') {
+      smf = u8.slice(body, bodyEnd);
+    } else if (id === 'RIFF' && size >= 4) {
+      // Embedded bank: keep the whole chunk so it is a loadable RIFF file on its own
+      const form = fourCC(u8, body);
+      if (form === 'sfbk') soundfont = { type: 'sf2', bytes: u8.slice(offset, bodyEnd) };
+      else if (form === 'DLS ') soundfont = { type: 'dls', bytes: u8.slice(offset, bodyEnd) };
+    } else if (id === 'DBNK' && size >= 2) {
+      bankOffset = dv.getUint16(body, true);
+    } else if (id === 'LIST' && size >= 4 && fourCC(u8, body) === 'INFO') {
+      let sub = body + 4;
+      while (sub + CHUNK_HEADER_SIZE <= bodyEnd) {
+        const subSize = dv.getUint32(sub + 4, true);
+        const text = infoText(u8.subarray(sub + CHUNK_HEADER_SIZE, Math.min(bodyEnd, sub + CHUNK_HEADER_SIZE + subSize)));
+        if (text) info[fourCC(u8, sub)] = text;
+        sub += CHUNK_HEADER_SIZE + subSize + (subSize & 1);
+      }
+    }
+    offset = body + size + (size & 1); // chunks are word aligned
+  }
+  if (!smf) throw new Error('RIFF-MIDI file has no "data" chunk');
+  if (bankOffset === null) bankOffset = soundfont ? DEFAULT_BANK_OFFSET : 0;
+  return { smf, soundfont, bankOffset, info };
+}
@@ -0,0 +1,232 @@
+/* SoundFont (SF2/SF3) structure parser for the inspector
+   - Reads the RIFF "sfbk" layout: LIST INFO (name, version, copyright, ...), LIST sdta (sizes only,
+     sample data is never decoded) and LIST pdta (preset, instrument and sample headers)
+   - Presets list the instruments their zones use, instruments the samples theirs use
+   - SF3 (Ogg-compressed samples) is recognised: sizes are then compressed byte counts
+   - Also finds the presets a parsed SMF plays that the SoundFont lacks, with FluidSynth's fallback
+*/
+
+// Constants
+const RIFF_HEADER_SIZE = 12;     // "RIFF" + size + form type
+const CHUNK_HEADER_SIZE = 8;     // id + size
+const PHDR_SIZE = 38;            // preset header record
+const INST_SIZE = 22;            // instrument header record
+const SHDR_SIZE = 46;            // sample header record
+const BAG_SIZE = 4;              // pbag/ibag record
+const GEN_SIZE = 4;              // pgen/igen record
+const NAME_SIZE = 20;            // zero-padded names in pdta records
+const GEN_INSTRUMENT = 41;       // pgen operator: instrument index
+const GEN_SAMPLE_ID = 53;        // igen operator: sample index
+const SAMPLE_TYPE_LINK_MASK = 0x000F; // 1 mono, 2 right, 4 left, 8 linked
+const SAMPLE_TYPE_COMPRESSED = 0x0010; // SF3: Ogg Vorbis data
+const SAMPLE_TYPE_ROM = 0x8000;
+const SAMPLE_LINKS = { 1: 'mono', 2: 'right', 4: 'left', 8: 'linked' };
+const DRUM_CHANNEL = 9;          // GM percussion channel (bank select ignored, like the player)
+const DRUM_BANK = 128;
+const CC_BANK_SELECT = 0;
+// INFO sub-chunk ids -> field names
+const INFO_FIELDS = {
+  INAM: 'name', isng: 'engine', irom: 'rom', ICRD: 'date', IENG: 'engineers',
+  IPRD: 'product', ICOP: 'copyright', ICMT: 'comment', ISFT: 'tools'
+};
+
+const latin1Decoder = new TextDecoder('latin1');
+
+/** Four-character code at an offset. */
+function fourCC(u8, offset) {
+  return String.fromCharCode(u8[offset], u8[offset + 1], u8[offset + 2], u8[offset + 3]);
+}
+
+/** Zero-terminated ASCII/Latin-1 text, trimmed. */
+function text(bytes) {
+  const end = bytes.indexOf(0);
+  return latin1Decoder.decode(end === -1 ? bytes : bytes.subarray(0, end)).trim();
+}
+
+/** Sub-chunks of a LIST body as id -> { offset, size } (body offset). */
+function listChunks(u8, dv, start, end) {
+  const chunks = {};
+  let offset = start;
+  while (offset + CHUNK_HEADER_SIZE <= end) {
+    const size = dv.getUint32(offset + 4, true);
+    chunks[fourCC(u8, offset)] = { offset: offset + CHUNK_HEADER_SIZE, size: Math.min(size, end - offset - CHUNK_HEADER_SIZE) };
+    offset += CHUNK_HEADER_SIZE + size + (size & 1);
+  }
+  return chunks;
+}
+
+/** Record count of a pdta sub-chunk, the terminal record (EOP/EOI/EOS) excluded. */
+function recordCount(chunk, recordSize) {
+  return chunk ? Math.max(0, Math.floor(chunk.size / recordSize) - 1) : 0;
+}
+
+/**
+ * Indices referenced by a generator across the zones of a header (preset -> instruments, instrument -> samples).
+ * @returns {{zoneCount: number, targets: number[]}}
+ */
+function zoneTargets(dv, bags, gens, firstBag, endBag, operator) {
+  const targets = new Set();
+  const bagTotal = bags ? Math.floor(bags.size / BAG_SIZE) : 0;
+  const genTotal = gens ? Math.floor(gens.size / GEN_SIZE) : 0;
+  for (let bag = firstBag; bag < endBag && bag + 1 < bagTotal; bag++) {
+    const firstGen = dv.getUint16(bags.offset + bag * BAG_SIZE, true);
+    const endGen = Math.min(genTotal, dv.getUint16(bags.offset + (bag + 1) * BAG_SIZE, true));
+    for (let gen = firstGen; gen < endGen; gen++) {
+      const at = gens.offset + gen * GEN_SIZE;
+      if (dv.getUint16(at, true) === operator) targets.add(dv.getUint16(at + 2, true));
+    }
+  }
+  return { zoneCount: Math.max(0, endBag - firstBag), targets: [...targets] };
+}
+
+/**
+ * Parse the structure of an SF2/SF3 file.
+ * @param {ArrayBuffer|Uint8Array} input file bytes
+ * @returns {{
+ *   format: 'SF2'|'SF3', version: string, info: Object<string, string>,
+ *   presets: {name: string, bank: number, program: number, zoneCount: number, instruments: number[]}[],
+ *   instruments: {name: string, zoneCount: number, samples: number[]}[],
+ *   samples: {name: string, sampleRate: number, originalPitch: number, link: string, rom: boolean, compressed: boolean, frames: number|null, bytes: number}[],
+ *   sampleDataBytes: number
+ * }} presets sorted by bank/program; instruments/samples in file order (indices used by presets/instruments)
+ * @throws {Error} when the bytes are not a SoundFont or have no preset headers
+ */
+export function parseSoundFont(input) {
+  const u8 = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (u8.length < RIFF_HEADER_SIZE || fourCC(u8, 0) !== 'RIFF' || fourCC(u8, 8) !== 'sfbk') {
+    throw new Error('Not a SoundFont (missing RIFF/sfbk header)');
+  }
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  const end = Math.min(u8.length, CHUNK_HEADER_SIZE + dv.getUint32(4, true));
+
+  const info = {};
+  let version = '';
+  let sdta = {};
+  let pdta = {};
+  let offset = RIFF_HEADER_SIZE;
+  while (offset + CHUNK_HEADER_SIZE <= end) {
+    const size = dv.getUint32(offset + 4, true);
+    const body = offset + CHUNK_HEADER_SIZE;
+    const bodyEnd = Math.min(end, body + size);
+    if (fourCC(u8, offset) === 'LIST' && size >= 4) {
+      const form = fourCC(u8, body);
+      const chunks = listChunks(u8, dv, body + 4, bodyEnd);
+      if (form === 'INFO') {
+        for (const [id, chunk] of Object.entries(chunks)) {
+          if (id === 'ifil' && chunk.size >= 4) {
+            version = `${dv.getUint16(chunk.offset, true)}.${String(dv.getUint16(chunk.offset + 2, true)).padStart(2, '0')}`;
+          } else if (INFO_FIELDS[id]) {
+            const value = text(u8.subarray(chunk.offset, chunk.offset + chunk.size));
+            if (value) info[INFO_FIELDS[id]] = value;
+          }
+        }
+      } else if (form === 'sdta') {
+        sdta = chunks;
+      } else if (form === 'pdta') {
+        pdta = chunks;
+      }
+    }
+    offset = body + size + (size & 1); // chunks are word aligned
+  }
+  if (!pdta.phdr) throw new Error('SoundFont has no preset headers (pdta/phdr)');
+
+  const presetCount = recordCount(pdta.phdr, PHDR_SIZE);
+  const presets = [];
+  for (let i = 0; i < presetCount; i++) {
+    const at = pdta.phdr.offset + i * PHDR_SIZE;
+    const firstBag = dv.getUint16(at + 24, true);
+    const endBag = dv.getUint16(at + PHDR_SIZE + 24, true); // next header (the terminal one for the last preset)
+    const { zoneCount, targets } = zoneTargets(dv, pdta.pbag, pdta.pgen, firstBag, endBag, GEN_INSTRUMENT);
+    presets.push({
+      name: text(u8.subarray(at, at + NAME_SIZE)),
+      program: dv.getUint16(at + 20, true),
+      bank: dv.getUint16(at + 22, true),
+      zoneCount,
+      instruments: targets
+    });
+  }
+  presets.sort((a, b) => a.bank - b.bank || a.program - b.program);
+
+  const instrumentCount = recordCount(pdta.inst, INST_SIZE);
+  const instruments = [];
+  for (let i = 0; i < instrumentCount; i++) {
+    const at = pdta.inst.offset + i * INST_SIZE;
+    const firstBag = dv.getUint16(at + NAME_SIZE, true);
+    const endBag = dv.getUint16(at + INST_SIZE + NAME_SIZE, true);
+    const { zoneCount, targets } = zoneTargets(dv, pdta.ibag, pdta.igen, firstBag, endBag, GEN_SAMPLE_ID);
+    instruments.push({ name: text(u8.subarray(at, at + NAME_SIZE)), zoneCount, samples: targets });
+  }
+
+  const has24Bit = !!(sdta.sm24 && sdta.sm24.size > 0);
+  const sampleCount = recordCount(pdta.shdr, SHDR_SIZE);
+  const samples = [];
+  for (let i = 0; i < sampleCount; i++) {
+    const at = pdta.shdr.offset + i * SHDR_SIZE;
+    const start = dv.getUint32(at + 20, true);
+    const stop = dv.getUint32(at + 24, true);
+    const type = dv.getUint16(at + 44, true);
+    const compressed = (type & SAMPLE_TYPE_COMPRESSED) !== 0;
+    // SF2: offsets in 16-bit frames (plus one byte per frame in sm24); SF3: byte offsets of the Ogg data
+    const length = Math.max(0, stop - start);
+    samples.push({
+      name: text(u8.subarray(at, at + NAME_SIZE)),
+      sampleRate: dv.getUint32(at + 36, true),
+      originalPitch: u8[at + 40],
+      link: SAMPLE_LINKS[type & SAMPLE_TYPE_LINK_MASK] || 'unknown',
+      rom: (type & SAMPLE_TYPE_ROM) !== 0,
+      compressed,
+      frames: compressed ? null : length,
+      bytes: compressed ? length : length * (has24Bit ? 3 : 2)
+    });
+  }
+
+  const sampleDataBytes = (sdta.smpl ? sdta.smpl.size : 0) + (has24Bit ? sdta.sm24.size : 0);
+  const format = samples.some(sample => sample.compressed) || version.startsWith('3.') ? 'SF3' : 'SF2';
+  return { format, version, info, presets, instruments, samples, sampleDataBytes };
+}
+
+/**
+ * Presets a song plays (bank/program of the channel at each note-on) that the SoundFont lacks.
+ * FluidSynth then falls back to bank 0 (drum kits: bank 128 program 0), or stays silent without that either.
+ * @param {{presets: {bank: number, program: number, name: string}[]}} soundFont result of parseSoundFont()
+ * @param {object} smf result of parseMidiFile()
+ * @returns {{requested: number, missing: {bank: number, program: number, channels: number[], notes: number,
+ *   fallback: {bank: number, program: number, name: string}|null}[]}} requested: distinct presets the song plays
+ */
+export function findMissingPresets(soundFont, smf) {
+  const available = new Map(soundFont.presets.map(preset => [`${preset.bank}:${preset.program}`, preset]));
+  // Channel events of every track in time order (stable: same-tick events keep track order)
+  const events = smf.tracks.flatMap(track => track.events.filter(event => event.channel !== undefined))
+    .sort((a, b) => a.tick - b.tick);
+  const banks = Array.from({ length: 16 }, (_, chan) => (chan === DRUM_CHANNEL ? DRUM_BANK : 0));
+  const programs = new Array(16).fill(0);
+  const used = new Map(); // "bank:program" -> { bank, program, channels, notes }
+  for (const event of events) {
+    const chan = event.channel;
+    if (event.type === 'controlChange' && event.controller === CC_BANK_SELECT && chan !== DRUM_CHANNEL) {
+      banks[chan] = event.value;
+    } else if (event.type === 'programChange') {
+      programs[chan] = event.program;
+    } else if (event.type === 'noteOn') {
+      const id = `${banks[chan]}:${programs[chan]}`;
+      if (!used.has(id)) used.set(id, { bank: banks[chan], program: programs[chan], channels: new Set(), notes: 0 });
+      const entry = used.get(id);
+      entry.channels.add(chan);
+      entry.notes++;
+    }
+  }
+  const missing = [];
+  for (const [id, entry] of used) {
+    if (available.has(id)) continue;
+    const fallback = entry.bank === DRUM_BANK ? available.get(`${DRUM_BANK}:0`) : available.get(`0:${entry.program}`);
+    missing.push({
+      bank: entry.bank,
+      program: entry.program,
+      channels: [...entry.channels].sort((a, b) => a - b),
+      notes: entry.notes,
+      fallback: fallback ? { bank: fallback.bank, program: fallback.program, name: fallback.name } : null
+    });
+  }
+  missing.sort((a, b) => a.bank - b.bank || a.program - b.program);
+  return { requested: used.size, missing };
+}
@@ -0,0 +1,81 @@
+/* Standard MIDI File writer (used by the MML/MLD converters)
+   - Format 1, PPQ division, one MTrk per track
+   - Events are given with absolute ticks; the writer sorts them (stable) and encodes delta times
+*/
+
+/**
+ * Error for files that cannot be converted to SMF (unsupported variant, syntax error, ...).
+ * The message is meant for the user, e.g. "Unsupported MLD event 0xF1 at byte 120".
+ */
+export class ConversionError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [format] source format ("MML", "MLD", ...)
+   */
+  constructor(message, format = '') {
+    super(message);
+    this.name = 'ConversionError';
+    this.format = format;
+  }
+}
+
+/** Variable-length quantity bytes. */
+function varLen(value) {
+  const bytes = [value & 0x7F];
+  for (value >>>= 7; value > 0; value >>>= 7) bytes.unshift((value & 0x7F) | 0x80);
+  return bytes;
+}
+
+/** 32-bit big-endian bytes. */
+function uint32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+/** ASCII/UTF-8 bytes of a text meta event payload. */
+function textBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+/** Meta event helpers (absolute tick + raw bytes). */
+export const meta = {
+  trackName: (tick, name) => ({ tick, bytes: [0xFF, 0x03, ...varLen(textBytes(name).length), ...textBytes(name)] }),
+  tempo: (tick, usPerQuarter) => ({ tick, bytes: [0xFF, 0x51, 0x03, (usPerQuarter >> 16) & 0xFF, (usPerQuarter >> 8) & 0xFF, usPerQuarter & 0xFF] })
+};
+
+/** Channel event helpers (absolute tick + raw bytes). */
+export const channelEvent = {
+  noteOn: (tick, channel, key, velocity) => ({ tick, bytes: [0x90 | channel, key, velocity] }),
+  noteOff: (tick, channel, key) => ({ tick, bytes: [0x80 | channel, key, 0] }),
+  programChange: (tick, channel, program) => ({ tick, bytes: [0xC0 | channel, program] }),
+  controlChange: (tick, channel, controller, value) => ({ tick, bytes: [0xB0 | channel, controller, value] })
+};
+
+/**
+ * Encode an SMF.
+ * @param {number} ppq ticks per quarter note
+ * @param {{tick: number, bytes: number[]}[][]} tracks events per track (absolute ticks, any order)
+ * @returns {Uint8Array}
+ */
+export function writeSmf(ppq, tracks) {
+  const out = [0x4D, 0x54, 0x68, 0x64, ...uint32(6), 0x00, 0x01, (tracks.length >> 8) & 0xFF, tracks.length & 0xFF, (ppq >> 8) & 0xFF, ppq & 0xFF];
+  for (const events of tracks) {
+    // Stable sort; at equal ticks note-offs go first so a repeated key is not cut by its own release
+    const sorted = events
+      .map((event, order) => ({ event, order }))
+      .sort((a, b) => (a.event.tick - b.event.tick)
+        || (((a.event.bytes[0] & 0xF0) === 0x80 ? 0 : 1) - ((b.event.bytes[0] & 0xF0) === 0x80 ? 0 : 1))
+        || (a.order - b.order))
+      .map(({ event }) => event);
+    const body = [];
+    let lastTick = 0;
+    for (const { tick, bytes } of sorted) {
+      const at = Math.max(lastTick, Math.round(tick));
+      body.push(...varLen(at - lastTick), ...bytes);
+      lastTick = at;
+    }
+    body.push(0x00, 0xFF, 0x2F, 0x00); // end of track
+    out.push(0x4D, 0x54, 0x72, 0x6B, ...uint32(body.length));
+    for (const byte of body) out.push(byte); // no spread: long tracks would exceed the argument limit
+  }
+  return new Uint8Array(out);
+}
@@ -1,7 +1,18 @@
 /* js-synthesizer adapter for this app
    - Wraps FluidSynth (WASM) via js-synthesizer
    - Stable API used by app.js: loadSF2, loadMIDI, play, pause, seek
-   - Internal: isolated test synth for MIDI Test (so it never affects the main song)
+   - SoundFont stack: several SF2/SF3 layered (first = highest priority), each with a bank offset,
+     loaded the same way into every synth; presets are looked up through the whole stack like FluidSynth does
+   - Channel mixer (mute/solo/volume/pan) applied through a hook on the player's MIDI events
+   - Channel activity (program/bank, sounding notes, velocity peaks) tracked by the same hook
+   - Note-state tracker (which notes sound since when) for the stuck-note watchdog, plus a panic reset
+   - Playback speed (tempo multiplier, pitch unchanged) kept across player resets
+   - Transpose (global + per-channel overrides, drums excluded by default) applied to note events
+   - Offline rendering on a throwaway synth (WAV export), never touching the main synth
+   - Reverb and chorus settings shared by every synth (main, test, live, offline), kept across SF2 and track loads
+   - Internal: isolated test synth for MIDI Test and the virtual keyboard/preset audition (so it never affects the main song)
+   - Live synth for MIDI keyboard input: its own FluidSynth instance with the current SoundFont,
+     playing along with the song without touching its channels
 */
 (function(){
   'use strict';
@@ -12,6 +23,41 @@
   const WAIT_FOR_READY_TIMEOUT_MS = 50;     // Timeout for waiting for the synthesizer to be ready
   const AUDIO_BUFFER_SIZE = 2048;           // Buffer size for synth audio node
   const TEST_CHORD_NOTE_DURATION_MS = 160;  // Duration per note in test chord
+  const MIDI_CHANNEL_COUNT = 16;            // Channels handled by the mixer
+  const CC_VOLUME = 7;                      // MIDI CC: channel volume
+  const CC_PAN = 10;                        // MIDI CC: pan
+  const GM_DEFAULT_VOLUME = 100;            // GM default channel volume (CC7)
+  const GM_DEFAULT_PAN = 64;                // GM default pan (CC10, center)
+  const CC_BANK_SELECT = 0;                 // MIDI CC: bank select (MSB)
+  const CC_SUSTAIN = 64;                    // MIDI CC: sustain pedal
+  const DRUM_CHANNEL = 9;                   // GM percussion channel (channel 10)
+  const DRUM_BANK = 128;                    // FluidSynth bank used for percussion presets
+  const MIDI_EVENT_NOTE_OFF = 0x80;         // Player hook event types
+  const MIDI_EVENT_NOTE_ON = 0x90;
+  const MIDI_EVENT_KEY_PRESSURE = 0xA0;
+  const MIDI_EVENT_CONTROL_CHANGE = 0xB0;
+  const MIDI_EVENT_PROGRAM_CHANGE = 0xC0;
+  const MIDI_EVENT_CHANNEL_PRESSURE = 0xD0;
+  const MIDI_EVENT_PITCH_BEND = 0xE0;
+  const PLAYER_TEMPO_INTERNAL = 0;          // setPlayerTempo type: multiplier on the file's own tempo
+  const MIN_TEMPO_SCALE = 0.25;             // Slowest playback speed (25%)
+  const MAX_TEMPO_SCALE = 2;                // Fastest playback speed (200%)
+  const MAX_TRANSPOSE = 24;                 // Transpose range in semitones (±2 octaves)
+  const OFFLINE_BLOCK_FRAMES = 4096;        // Frames rendered per block when exporting
+  const OFFLINE_BLOCKS_PER_YIELD = 16;      // Blocks rendered before yielding to the UI
+  const OFFLINE_EFFECTS_TAIL_SECONDS = 1;   // Extra render after voices stop (reverb/chorus decay)
+  const OFFLINE_MAX_TAIL_SECONDS = 10;      // Upper bound for the release tail (hanging notes)
+  const LIVE_CHANNEL = 0;                   // Live synth channel (every input channel is played here)
+  const KEYBOARD_CHANNEL = 1;               // Test synth channel of the virtual keyboard (MIDI Test uses 0)
+  // Reverb/chorus parameters: FluidSynth defaults and accepted ranges
+  const DEFAULT_EFFECTS = Object.freeze({
+    reverb: Object.freeze({ on: true, roomsize: 0.2, damping: 0, width: 0.5, level: 0.9 }),
+    chorus: Object.freeze({ on: true, voices: 3, level: 2, speed: 0.3, depth: 8 })
+  });
+  const EFFECT_RANGES = Object.freeze({
+    reverb: Object.freeze({ roomsize: [0, 1], damping: [0, 1], width: [0, 100], level: [0, 1] }),
+    chorus: Object.freeze({ voices: [0, 99], level: [0, 10], speed: [0.1, 5], depth: [0, 256] }) // speed in Hz, depth in ms
+  });
 
   /**
    * JSSynthPlayer
@@ -79,30 +125,49 @@
       }
     }
 
-    /** Load soundfont into both main and test synths. */
-    async _loadSF2IntoBothSynths(sf2FileData, unloadPrevious = false) {
-      try {
-        // Load into main synth
-        if (unloadPrevious && this._sfontId != null) {
-          await this._safeSynthCall(this._synth?.unloadSFont, this._sfontId);
-        }
+    /**
+     * Replace the SoundFonts of a synth with the current stack.
+     * FluidSynth searches the most recently loaded font first, so layers are loaded bottom-up.
+     * @param {object} synth js-synthesizer Synthesizer
+     * @param {number[]} previousIds SoundFont ids to unload first
+     * @returns {Promise<number[]>} new SoundFont ids, in stack order (top first)
+     * @private
+     */
+    async _loadStackInto(synth, previousIds){
+      for (const id of previousIds) synth.unloadSFont(id);
+      const ids = [];
+      // js-synthesizer's loadSFont() method can handle ArrayBuffer directly
+      // See: https://github.com/jet2jet/js-synthesizer
+      for (const { bytes, bankOffset } of [...this._sfontStack].reverse()) {
+        const id = await synth.loadSFont(bytes);
+        if (bankOffset) synth.setSFontBankOffset(id, bankOffset);
+        ids.unshift(id);
+      }
+      return ids;
+    }
 
-        // js-synthesizer's loadSFont() method can handle ArrayBuffer directly
-        // See: https://github.com/jet2jet/js-synthesizer
-        this._sfontId = await this._synth.loadSFont(sf2FileData);
-        
-        // Load into test synth (same soundfont, different synth instance)
-        await this._ensureTestSynth();
-        if (unloadPrevious && this._sfontId != null) {
-          await this._safeSynthCall(this._testSynth?.unloadSFont, 'test', this._sfontId);
+    /** Load the SoundFont stack into the main and test synths. */
+    async _loadStackIntoBothSynths() {
+      try {
+        this._sfontIds = await this._loadStackInto(this._synth, this._sfontIds);
+        // Test synth: same stack, different synth instance (its own SoundFont ids)
+        const hadTestSynth = !!this._testSynth;
+        await this._ensureTestSynth(); // a new test synth loads the current stack itself
+        if (hadTestSynth) {
+          this._testSfontIds = await this._loadStackInto(this._testSynth, this._testSfontIds);
+          this._applyKeyboardProgram();
         }
-        // Test synth gets the same soundfont ID as main synth
-        await this._testSynth.loadSFont(sf2FileData);
       } catch (error) {
         console.error('[ERROR] Failed to load SF2 into both synths:', error);
         throw error; // Re-throw to propagate the error
       }
     }
+
+    /** Select a bank/program through the whole stack (FluidSynth falls back to bank 0 when no layer has it). */
+    _selectProgram(synth, chan, bank, program){
+      synth.midiBankSelect(chan, bank);
+      synth.midiProgramChange(chan, program);
+    }
     constructor() {
       // WebAudio pipeline ------------------------------------------------------
       this._audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -112,8 +177,8 @@
 
       // Synth state ------------------------------------------------------------
       this._synth = null;           // main synthesizer (FluidSynth)
-      this._sfontId = null;         // current SFont id
-      this._sfontBytes = null;      // raw SF2 bytes for reuse (test synth)
+      this._sfontStack = [];        // SoundFont stack, top priority first: { bytes, bankOffset } (reused by the other synths)
+      this._sfontIds = [];          // main synth SoundFont ids, in stack order
       this._node = null;            // main audio node
       this._tickNode = null;        // background heartbeat node
       this._tickGain = null;        // silent gain for heartbeat
@@ -124,6 +189,42 @@
       // Isolated test synth (for MIDI Test) -----------------------------------
       this._testSynth = null;
       this._testNode = null;
+      this._testSfontIds = [];
+      this._testProgram = { bank: 0, program: 0 }; // virtual keyboard preset
+      this._keyboardHeld = new Set();               // virtual keyboard keys down (a note-on may still be pending)
+
+      // Channel mixer: user overrides (null = follow the file) and last values sent by the file
+      this._channelMix = Array.from({ length: MIDI_CHANNEL_COUNT }, () => ({
+        mute: false, solo: false, volume: null, pan: null,
+        fileVolume: GM_DEFAULT_VOLUME, filePan: GM_DEFAULT_PAN
+      }));
+
+      // Channel activity seen in the song: program/bank, sounding notes and last velocity peak
+      this._channelActivity = Array.from({ length: MIDI_CHANNEL_COUNT }, (_, chan) => this._initialActivity(chan));
+      this._presetNameCache = new Map(); // "bank:program" -> preset name (cleared on SF2 load)
+
+      // Transpose: global semitones, per-channel overrides (null = follow global; drums fixed at 0)
+      this._transpose = 0;
+      this._channelTranspose = Array.from({ length: MIDI_CHANNEL_COUNT }, (_, chan) => chan === DRUM_CHANNEL ? 0 : null);
+      // Sounding notes per channel: original key -> { key: transposed key played, startedAt } (FIFO),
+      // so note-offs always release what was played even if the transpose changed meanwhile
+      this._soundingNotes = Array.from({ length: MIDI_CHANNEL_COUNT }, () => new Map());
+
+      // Playback speed multiplier (1 = file tempo); survives track loads and reloads
+      this._tempoScale = 1;
+      // Loop end watched from the player event hook: { tick, onReached }, null when off
+      this._loopEnd = null;
+      this._seekCount = 0;          // bumped on every seek, so ticks read before a seek are ignored
+      this._mainSynthMuted = false; // main synth silenced (MIDI out only)
+      // Reverb/chorus settings, applied to every synth when created and when changed
+      this._effects = { reverb: { ...DEFAULT_EFFECTS.reverb }, chorus: { ...DEFAULT_EFFECTS.chorus } };
+
+      // Live synth (MIDI keyboard input): created on first use, keeps the audio context awake while enabled
+      this._liveSynth = null;
+      this._liveNode = null;
+      this._liveSfontIds = [];
+      this._liveEnabled = false;
+      this._liveProgram = { bank: 0, program: 0 };
 
       // Transport mirrors (not strictly required, but kept for compatibility)
       this._currentTime = 0;
@@ -154,8 +255,9 @@
       this._synth.init(this._audioContext.sampleRate);
       // Set FluidSynth internal gain for proper volume levels
       if (typeof this._synth.setGain === 'function') {
-        this._synth.setGain(FLUIDSYNTH_GAIN);
+        this._synth.setGain(this._mainSynthMuted ? 0 : FLUIDSYNTH_GAIN);
       }
+      this._applyEffects(this._synth);
       this._node = this._synth.createAudioNode(this._audioContext, AUDIO_BUFFER_SIZE);
       this._node.connect(this._gain);
       this._nodeConnected = true;
@@ -179,24 +281,58 @@
     /**
      * Load an SF2 soundfont into both main and test synthesizers.
      * @param {ArrayBuffer|Uint8Array} sf2FileData SF2 file data from user input
-     * @param {boolean} unloadPrevious whether to unload existing soundfont first
+     * @param {boolean} unloadPrevious true to replace the whole stack, false to layer it on top
      */
     async loadSF2(sf2FileData, unloadPrevious = false){
+      const layer = { bytes: sf2FileData, bankOffset: 0 };
+      await this.loadSoundFontStack(unloadPrevious ? [layer] : [layer, ...this._sfontStack]);
+    }
+
+    /**
+     * Replace the SoundFont stack on every synth (main, test, live).
+     * A preset is taken from the first layer that has it; a bank offset moves all banks of a layer up
+     * (e.g. a drum-only SF2 at offset 1 answers bank selects 1+ without hiding the GM bank below).
+     * @param {{bytes: ArrayBuffer|Uint8Array, bankOffset?: number}[]} layers top priority first; the bytes are kept
+     *   as given (not copied, callers must not modify them) so a cached SoundFont keeps a single copy and its identity
+     */
+    async loadSoundFontStack(layers){
       try {
         await this._waitForReady();
+        // Keep the data for reuse (test/live synths, WAV export)
+        this._sfontStack = layers.map(({ bytes, bankOffset }) => ({ bytes, bankOffset: Math.max(0, Math.floor(Number(bankOffset) || 0)) }));
+        await this._loadStackIntoBothSynths();
+        this._presetNameCache.clear();
+        if (this._liveSynth) await this._loadLiveSFont();
         
-        // Cache the data for potential reuse (e.g., when switching soundfonts)
-        this._sfontBytes = sf2FileData.slice();
-        
-        await this._loadSF2IntoBothSynths(sf2FileData, unloadPrevious);
-        
-        console.log('[DEBUG] js-synthesizer: SF2 loaded');
+        console.log(`[DEBUG] js-synthesizer: ${layers.length} SF2 layer(s) loaded`);
       } catch (error) {
         console.error('[ERROR] Failed to load SF2:', error);
         throw error; // Re-throw to propagate the error
       }
     }
 
+    /** @returns {{bytes: ArrayBuffer|Uint8Array, bankOffset: number}[]} the loaded stack, top priority first */
+    getSoundFontStack(){
+      return this._sfontStack.map(layer => ({ ...layer }));
+    }
+
+    /**
+     * Find a preset through the main synth's stack (bank offsets applied), without fallback.
+     * @returns {object|null} js-synthesizer preset
+     * @private
+     */
+    _findPreset(bank, program){
+      if (!this._synth) return null;
+      for (let i = 0; i < this._sfontIds.length; i++) {
+        const fontBank = bank - this._sfontStack[i].bankOffset;
+        if (fontBank < 0) continue;
+        const sfont = this._synth.getSFontObject(this._sfontIds[i]);
+        const preset = sfont ? sfont.getPreset(fontBank, program) : null;
+        if (preset) return preset;
+      }
+      return null;
+    }
+
     /**
      * Load a Standard MIDI File (SMF) into the built-in player.
      * Resets the internal player first to avoid multiple queued songs.
@@ -207,10 +343,10 @@
         await this._waitForReady();
         // Cache the bytes for potential restart after track ends
         this._lastSmfBytes = SMFbytes.slice();
-        // Reset internal player to ensure only the new track is queued
-        await this._safeSynthCall(this._synth?.stopPlayer);
-        await this._safeSynthCall(this._synth?.resetPlayer);
-        await this._synth.addSMFDataToPlayer(SMFbytes);
+        // A new file starts from GM defaults until it sends its own volume/pan
+        this._channelMix.forEach((mix) => { mix.fileVolume = GM_DEFAULT_VOLUME; mix.filePan = GM_DEFAULT_PAN; });
+        this._channelActivity = this._channelActivity.map((_, chan) => this._initialActivity(chan));
+        await this._resetPlayerWith(SMFbytes);
         this._currentTime = 0;
         console.log('[DEBUG] js-synthesizer: MIDI loaded');
       } catch (error) {
@@ -219,10 +355,525 @@
       }
     }
 
+    /**
+     * Reload the last loaded SMF into a fresh player, positioned at tick 0.
+     * Used to leave FluidSynth's "ended" state, where seeking alone does not work.
+     * @returns {Promise<boolean>} false if no SMF was loaded yet
+     */
+    async reloadMIDI(){
+      if (!this._synth || !this._lastSmfBytes) return false;
+      await this._resetPlayerWith(this._lastSmfBytes);
+      this._synth.seekPlayer(0);
+      this._seekCount++;
+      this._currentTime = 0;
+      return true;
+    }
+
+    /**
+     * Reset the internal player (so only one song is queued), re-install the event hook
+     * (resetPlayer creates a new FluidSynth player, dropping any hook) and queue the SMF.
+     * @param {Uint8Array} SMFbytes SMF contents
+     * @private
+     */
+    async _resetPlayerWith(SMFbytes){
+      await this._safeSynthCall(this._synth?.stopPlayer);
+      await this._safeSynthCall(this._synth?.resetPlayer);
+      this._synth.hookPlayerMIDIEvents((synth, type, event) => this._onPlayerMidiEvent(type, event));
+      this._applyTempoScale();
+      await this._synth.addSMFDataToPlayer(SMFbytes);
+      this._applyChannelMix();
+    }
+
+    /**
+     * Player MIDI event hook: lets the mixer rewrite events before FluidSynth handles them.
+     * @returns {boolean} true if the event was fully handled here (FluidSynth must skip it)
+     * @private
+     */
+    _onPlayerMidiEvent(type, event){
+      try {
+        if (this._loopEnd) this._checkLoopEnd();
+        const kind = type & 0xF0;
+        if (kind < MIDI_EVENT_NOTE_OFF || kind > 0xE0) return false; // meta events (e.g. tempo) pass through
+        const chan = event.getChannel();
+        const activity = this._channelActivity[chan];
+        if (!activity) return false;
+        activity.used = true;
+        if (kind === MIDI_EVENT_NOTE_ON && event.getVelocity() > 0) {
+          activity.activeNotes++;
+          activity.peak = event.getVelocity() / 127;
+          activity.peakTime = performance.now();
+          const key = this._startNote(chan, event.getKey());
+          if (key === null) return true; // transposed out of MIDI range: drop
+          event.setKey(key);
+        } else if (kind === MIDI_EVENT_NOTE_OFF || kind === MIDI_EVENT_NOTE_ON) {
+          activity.activeNotes = Math.max(0, activity.activeNotes - 1);
+          const key = this._endNote(chan, event.getKey());
+          if (key === null) return true;
+          event.setKey(key);
+        } else if (kind === MIDI_EVENT_KEY_PRESSURE) {
+          const started = this._soundingNotes[chan].get(event.getKey());
+          const key = started ? started[0].key : this._transposeKey(chan, event.getKey());
+          if (key === null) return true;
+          event.setKey(key);
+        } else if (kind === MIDI_EVENT_PROGRAM_CHANGE) {
+          activity.program = event.getProgram();
+        } else if (kind === MIDI_EVENT_CONTROL_CHANGE) {
+          const ctrl = event.getControl();
+          const mix = this._channelMix[chan];
+          if (ctrl === CC_VOLUME) {
+            mix.fileVolume = event.getValue();
+            event.setValue(this._effectiveVolume(chan));
+          } else if (ctrl === CC_PAN) {
+            mix.filePan = event.getValue();
+            event.setValue(this._effectivePan(chan));
+          } else if (ctrl === CC_BANK_SELECT && chan !== DRUM_CHANNEL) {
+            activity.bank = event.getValue();
+          }
+        }
+      } catch (error) {
+        console.error('[ERROR] Player MIDI event hook failed:', error);
+      }
+      return false;
+    }
+
+    // Transpose -----------------------------------------------------------------
+    /** @returns {number} semitones applied to a channel */
+    _effectiveTranspose(chan){
+      const override = this._channelTranspose[chan];
+      return override != null ? override : this._transpose;
+    }
+
+    /** @returns {number|null} transposed key, or null when it falls outside 0..127 */
+    _transposeKey(chan, key){
+      const transposed = key + this._effectiveTranspose(chan);
+      return (transposed >= 0 && transposed <= 127) ? transposed : null;
+    }
+
+    /** Record a note-on and return the key to play (null to drop it). */
+    _startNote(chan, key){
+      const transposed = this._transposeKey(chan, key);
+      if (transposed === null) return null;
+      const notes = this._soundingNotes[chan];
+      if (!notes.has(key)) notes.set(key, []);
+      notes.get(key).push({ key: transposed, startedAt: performance.now() });
+      return transposed;
+    }
+
+    /** Match a note-off with its note-on and return the key to release (null to drop it). */
+    _endNote(chan, key){
+      const notes = this._soundingNotes[chan];
+      const started = notes.get(key);
+      if (started && started.length > 0) {
+        const { key: transposed } = started.shift();
+        if (started.length === 0) notes.delete(key);
+        return transposed;
+      }
+      // Note-on not seen (e.g. started before a seek): release with the current transpose
+      return this._transposeKey(chan, key);
+    }
+
+    /** Clamp a transpose amount in semitones. */
+    _toSemitones(value){
+      const n = Math.round(Number(value) || 0);
+      return Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, n));
+    }
+
+    /**
+     * Transpose every channel that follows the global setting (drums excluded by default).
+     * Notes already sounding keep their pitch until released.
+     * @param {number} semitones -24..24
+     * @returns {number} the applied value
+     */
+    setTranspose(semitones){
+      this._transpose = this._toSemitones(semitones);
+      return this._transpose;
+    }
+
+    /** @returns {number} global transpose in semitones */
+    getTranspose(){ return this._transpose; }
+
+    /**
+     * Override the transpose of one channel.
+     * @param {number} chan MIDI channel (0..15)
+     * @param {number|null} semitones -24..24 (0 excludes the channel), or null to follow the global transpose
+     */
+    setChannelTranspose(chan, semitones){
+      this._checkChannel(chan);
+      this._channelTranspose[chan] = semitones == null ? null : this._toSemitones(semitones);
+    }
+
+    /**
+     * @param {number} chan MIDI channel (0..15)
+     * @returns {{override: number|null, effective: number}}
+     */
+    getChannelTranspose(chan){
+      this._checkChannel(chan);
+      return { override: this._channelTranspose[chan], effective: this._effectiveTranspose(chan) };
+    }
+
+    /** Restore default per-channel transposes (all follow the global value, drums excluded). */
+    resetChannelTranspose(){
+      this._channelTranspose = this._channelTranspose.map((_, chan) => chan === DRUM_CHANNEL ? 0 : null);
+    }
+
+    // Playback speed ------------------------------------------------------------
+    /** Push the tempo multiplier to the FluidSynth player (pitch is not affected). */
+    _applyTempoScale(){
+      try {
+        if (this._synth && typeof this._synth.setPlayerTempo === 'function') {
+          this._synth.setPlayerTempo(PLAYER_TEMPO_INTERNAL, this._tempoScale);
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to set player tempo:', error);
+      }
+    }
+
+    /**
+     * Set the playback speed as a multiplier of the file's tempo.
+     * @param {number} scale 0.25 (25%) .. 2 (200%); out-of-range values are clamped
+     * @returns {number} the applied multiplier
+     */
+    setTempoScale(scale){
+      const value = Number(scale);
+      this._tempoScale = Number.isFinite(value) ? Math.max(MIN_TEMPO_SCALE, Math.min(MAX_TEMPO_SCALE, value)) : 1;
+      // The FluidSynth player only exists once a file was loaded; otherwise applied on next load
+      if (this._lastSmfBytes) this._applyTempoScale();
+      return this._tempoScale;
+    }
+
+    /** @returns {number} current playback speed multiplier */
+    getTempoScale(){ return this._tempoScale; }
+
+    // Loop end -------------------------------------------------------------------
+    /**
+     * Report when playback reaches a tick (A–B loop end). Checked on every player event with the tick
+     * being played, so the callback runs right after the audio block that crosses it (no polling delay).
+     * Stretches without events are not seen here: callers keep a coarser check as a fallback.
+     * @param {number|null} tick loop end in ticks, null to stop watching
+     * @param {function(number): void} [onReached] called with the tick reached; expected to seek
+     */
+    setLoopEnd(tick, onReached){
+      this._loopEnd = (tick != null && typeof onReached === 'function') ? { tick, onReached } : null;
+    }
+
+    /**
+     * Read the player tick during the event hook (the value is taken now, delivered once the block is rendered).
+     * @private
+     */
+    _checkLoopEnd(){
+      const loopEnd = this._loopEnd;
+      const seekCount = this._seekCount;
+      this._synth.retrievePlayerCurrentTick().then(tick => {
+        // Stale: the loop changed or a seek happened since (e.g. several events crossed the end in one block)
+        if (this._loopEnd !== loopEnd || this._seekCount !== seekCount || tick < loopEnd.tick) return;
+        loopEnd.onReached(tick);
+      }).catch(error => console.error('[ERROR] Loop end check failed:', error));
+    }
+
+    // Main synth output ---------------------------------------------------------
+    /**
+     * Silence the main synth while it keeps running (e.g. when only an external MIDI port should sound).
+     * The test synth and test tone are not affected.
+     * @param {boolean} muted
+     */
+    setMainSynthMuted(muted){
+      this._mainSynthMuted = !!muted;
+      try {
+        if (this._synth && typeof this._synth.setGain === 'function') {
+          this._synth.setGain(this._mainSynthMuted ? 0 : FLUIDSYNTH_GAIN);
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to set main synth gain:', error);
+      }
+    }
+
+    // Reverb / chorus ----------------------------------------------------------
+    /**
+     * Push the reverb/chorus settings to one synth.
+     * @private
+     */
+    _applyEffects(synth){
+      if (!synth) return;
+      const { reverb, chorus } = this._effects;
+      try {
+        synth.setReverb(reverb.roomsize, reverb.damping, reverb.width, reverb.level);
+        synth.setReverbOn(reverb.on);
+        synth.setChorusVoiceCount(chorus.voices);
+        synth.setChorusLevel(chorus.level);
+        synth.setChorusSpeed(chorus.speed);
+        synth.setChorusDepth(chorus.depth);
+        synth.setChorusOn(chorus.on);
+      } catch (error) {
+        console.error('[ERROR] Failed to set reverb/chorus:', error);
+      }
+    }
+
+    /**
+     * Change reverb and/or chorus parameters on the main, test and live synths (and later WAV exports).
+     * Omitted parameters keep their value; out-of-range values are clamped.
+     * @param {{reverb?: {on?: boolean, roomsize?: number, damping?: number, width?: number, level?: number},
+     *          chorus?: {on?: boolean, voices?: number, level?: number, speed?: number, depth?: number}}} effects
+     * @returns {object} the applied settings (see getEffects)
+     */
+    setEffects(effects = {}){
+      for (const effect of ['reverb', 'chorus']) {
+        const changes = effects[effect];
+        if (!changes) continue;
+        const current = this._effects[effect];
+        if (typeof changes.on === 'boolean') current.on = changes.on;
+        for (const [param, [min, max]] of Object.entries(EFFECT_RANGES[effect])) {
+          const value = Number(changes[param]);
+          if (changes[param] == null || !Number.isFinite(value)) continue;
+          current[param] = Math.max(min, Math.min(max, param === 'voices' ? Math.round(value) : value));
+        }
+      }
+      [this._synth, this._testSynth, this._liveSynth].forEach(synth => this._applyEffects(synth));
+      return this.getEffects();
+    }
+
+    /** @returns {{reverb: object, chorus: object}} current reverb/chorus settings (copies) */
+    getEffects(){
+      return { reverb: { ...this._effects.reverb }, chorus: { ...this._effects.chorus } };
+    }
+
+    // Channel mixer -----------------------------------------------------------
+    /** @returns {boolean} whether a channel is heard, given mute and solo states */
+    _isChannelAudible(chan){
+      const mix = this._channelMix[chan];
+      if (mix.mute) return false;
+      const anySolo = this._channelMix.some(m => m.solo);
+      return !anySolo || mix.solo;
+    }
+
+    /** @returns {number} CC7 value actually sent to FluidSynth for a channel */
+    _effectiveVolume(chan){
+      if (!this._isChannelAudible(chan)) return 0;
+      const mix = this._channelMix[chan];
+      return mix.volume != null ? mix.volume : mix.fileVolume;
+    }
+
+    /** @returns {number} CC10 value actually sent to FluidSynth for a channel */
+    _effectivePan(chan){
+      const mix = this._channelMix[chan];
+      return mix.pan != null ? mix.pan : mix.filePan;
+    }
+
+    /** Send the effective volume/pan of a channel to the main synth. */
+    _applyChannel(chan){
+      if (!this._synth) return;
+      try {
+        this._synth.midiControl(chan, CC_VOLUME, this._effectiveVolume(chan));
+        this._synth.midiControl(chan, CC_PAN, this._effectivePan(chan));
+      } catch (error) {
+        console.error('[ERROR] Failed to apply channel mix:', error);
+      }
+    }
+
+    /** Re-send mixer state for channels the user touched (after seeks, reloads and solo changes). */
+    _applyChannelMix(){
+      const anySolo = this._channelMix.some(m => m.solo);
+      this._channelMix.forEach((mix, chan) => {
+        if (anySolo || mix.mute || mix.volume != null || mix.pan != null) this._applyChannel(chan);
+      });
+    }
+
+    /** Validate a channel index. */
+    _checkChannel(chan){
+      if (!Number.isInteger(chan) || chan < 0 || chan >= MIDI_CHANNEL_COUNT) {
+        throw new RangeError(`Invalid MIDI channel: ${chan}`);
+      }
+    }
+
+    /** Clamp a 7-bit controller value, or null to follow the file. */
+    _toControllerValue(value){
+      if (value == null) return null;
+      return Math.max(0, Math.min(127, Math.round(Number(value) || 0)));
+    }
+
+    /**
+     * Mute or unmute a channel (0-based) of the main synth.
+     * @param {number} chan MIDI channel (0..15)
+     * @param {boolean} muted
+     */
+    setChannelMute(chan, muted){
+      this._checkChannel(chan);
+      this._channelMix[chan].mute = !!muted;
+      this._applyChannel(chan);
+    }
+
+    /**
+     * Solo or unsolo a channel; while any channel is soloed, only soloed channels are heard.
+     * @param {number} chan MIDI channel (0..15)
+     * @param {boolean} soloed
+     */
+    setChannelSolo(chan, soloed){
+      this._checkChannel(chan);
+      this._channelMix[chan].solo = !!soloed;
+      // Solo affects every channel's audibility
+      for (let c = 0; c < MIDI_CHANNEL_COUNT; c++) this._applyChannel(c);
+    }
+
+    /**
+     * Override a channel's volume (CC7); the file's own CC7 messages are ignored while set.
+     * @param {number} chan MIDI channel (0..15)
+     * @param {number|null} value 0..127, or null to follow the file again
+     */
+    setChannelVolume(chan, value){
+      this._checkChannel(chan);
+      this._channelMix[chan].volume = this._toControllerValue(value);
+      this._applyChannel(chan);
+    }
+
+    /**
+     * Override a channel's pan (CC10); the file's own CC10 messages are ignored while set.
+     * @param {number} chan MIDI channel (0..15)
+     * @param {number|null} value 0 (left)..64 (center)..127 (right), or null to follow the file again
+     */
+    setChannelPan(chan, value){
+      this._checkChannel(chan);
+      this._channelMix[chan].pan = this._toControllerValue(value);
+      this._applyChannel(chan);
+    }
+
+    /**
+     * @param {number} chan MIDI channel (0..15)
+     * @returns {{mute: boolean, solo: boolean, volume: number|null, pan: number|null, fileVolume: number, filePan: number}}
+     */
+    getChannelMix(chan){
+      this._checkChannel(chan);
+      const { mute, solo, volume, pan, fileVolume, filePan } = this._channelMix[chan];
+      return { mute, solo, volume, pan, fileVolume, filePan };
+    }
+
+    /** Clear every mute/solo/volume/pan override, handing control back to the file. */
+    resetChannelMix(){
+      this._channelMix.forEach((mix) => {
+        mix.mute = false; mix.solo = false; mix.volume = null; mix.pan = null;
+      });
+      for (let c = 0; c < MIDI_CHANNEL_COUNT; c++) this._applyChannel(c);
+    }
+
+    // Channel activity --------------------------------------------------------
+    /** Activity state of a channel before the song sends anything (GM defaults). */
+    _initialActivity(chan){
+      return { program: 0, bank: chan === DRUM_CHANNEL ? DRUM_BANK : 0, activeNotes: 0, peak: 0, peakTime: 0, used: false };
+    }
+
+    /**
+     * @param {number} chan MIDI channel (0..15)
+     * @returns {{program: number, bank: number, activeNotes: number, peak: number, peakTime: number, used: boolean}}
+     *   peak is the last note-on velocity (0..1) at performance.now() time peakTime
+     */
+    getChannelActivity(chan){
+      this._checkChannel(chan);
+      return { ...this._channelActivity[chan] };
+    }
+
+    /** Forget sounding notes (after pause/seek/stop, FluidSynth silences them without note-offs). */
+    clearChannelNotes(){
+      this._channelActivity.forEach((activity) => { activity.activeNotes = 0; activity.peak = 0; });
+      this._soundingNotes.forEach((notes) => notes.clear());
+    }
+
+    // Note state and panic ------------------------------------------------------
+    /**
+     * Notes the song is holding (note-on seen, note-off not yet), oldest first per key.
+     * @returns {{channel: number, key: number, playedKey: number, startedAt: number}[]}
+     *   key as written in the file, playedKey after transpose, startedAt in performance.now() time
+     */
+    getSoundingNotes(){
+      const sounding = [];
+      this._soundingNotes.forEach((notes, channel) => {
+        for (const [key, started] of notes) {
+          for (const note of started) sounding.push({ channel, key, playedKey: note.key, startedAt: note.startedAt });
+        }
+      });
+      return sounding;
+    }
+
+    /**
+     * Release the oldest sounding instance of a file key on the main synth (watchdog).
+     * @returns {boolean} false if the note was not sounding
+     */
+    releaseNote(chan, key){
+      const notes = this._soundingNotes[chan];
+      const started = notes ? notes.get(key) : null;
+      if (!this._synth || !started || started.length === 0) return false;
+      const { key: played } = started.shift();
+      if (started.length === 0) notes.delete(key);
+      const activity = this._channelActivity[chan];
+      activity.activeNotes = Math.max(0, activity.activeNotes - 1);
+      this._synth.midiNoteOff(chan, played);
+      return true;
+    }
+
+    /** @returns {boolean} true while the main synth still renders voices (release tails included) */
+    hasSoundingVoices(){
+      try {
+        return !!this._synth && typeof this._synth.isPlaying === 'function' && this._synth.isPlaying();
+      } catch (error) {
+        console.error('[ERROR] Failed to read the synth voice state:', error);
+        return false;
+      }
+    }
+
+    /** Cut every voice of the song immediately (controllers untouched, so a resume sounds the same). */
+    silenceSong(){
+      if (!this._synth) return;
+      for (let chan = 0; chan < MIDI_CHANNEL_COUNT; chan++) this._synth.midiAllSoundsOff(chan);
+      this.clearChannelNotes();
+    }
+
+    /**
+     * Panic: sustain off, All Notes Off and All Sound Off on every channel of every synth
+     * (song, live keyboard, virtual keyboard). The song's next pedal/controller events apply again.
+     */
+    panic(){
+      const reset = (synth, channels) => {
+        if (!synth) return;
+        for (const chan of channels) {
+          try {
+            synth.midiControl(chan, CC_SUSTAIN, 0);
+            synth.midiAllNotesOff(chan);
+            synth.midiAllSoundsOff(chan);
+          } catch (error) {
+            console.error(`[ERROR] Panic failed on channel ${chan + 1}:`, error);
+          }
+        }
+      };
+      const allChannels = Array.from({ length: MIDI_CHANNEL_COUNT }, (_, chan) => chan);
+      reset(this._synth, allChannels);
+      reset(this._liveSynth, [LIVE_CHANNEL]);
+      reset(this._testSynth, [0, KEYBOARD_CHANNEL]);
+      this._keyboardHeld.clear();
+      this.clearChannelNotes();
+    }
+
+    /**
+     * Resolve a preset name from the SoundFont stack, falling back to bank 0 like FluidSynth does.
+     * @param {number} bank
+     * @param {number} program
+     * @returns {string|null} preset name, or null if no SoundFont or preset is available
+     */
+    getPresetName(bank, program){
+      const key = `${bank}:${program}`;
+      if (this._presetNameCache.has(key)) return this._presetNameCache.get(key);
+      let name = null;
+      try {
+        const preset = this._findPreset(bank, program)
+          || (bank === DRUM_BANK ? this._findPreset(DRUM_BANK, 0) : this._findPreset(0, program));
+        if (preset) name = preset.name.trim();
+      } catch (error) {
+        console.error('[ERROR] Failed to resolve preset name:', error);
+      }
+      this._presetNameCache.set(key, name);
+      return name;
+    }
+
     /** Start playback (resumes AudioContext if needed). */
     play(){ this._audioContext.resume(); this._synth.playPlayer(); this._playing = true; }
     /** Pause/stop playback immediately. */
-    pause(){ this._synth.stopPlayer(); this._playing = false; }
+    pause(){ this._synth.stopPlayer(); this._playing = false; this.clearChannelNotes(); }
 
     /**
      * Seek the internal player to a given tick position.
@@ -232,7 +883,11 @@
       if (!this._synth) return;
       const t = Math.max(0, Math.floor(Number(ticks) || 0));
       this._synth.seekPlayer(t);
+      this._seekCount++;
       if (t === 0) this._currentTime = 0;
+      this.clearChannelNotes();
+      // Seeking replays the file's controllers: make sure mixer overrides win
+      this._applyChannelMix();
     }
 
     /**
@@ -244,7 +899,7 @@
     async _ensureTestSynth(){
       try {
         if (this._testSynth) return;
-        if (!this._sfontBytes) throw new Error('Load an SF2 first');
+        if (this._sfontStack.length === 0) throw new Error('Load an SF2 first');
         const JSSynth = window.JSSynth;
         await JSSynth.waitForReady();
         this._testSynth = new JSSynth.Synthesizer();
@@ -253,15 +908,83 @@
         if (typeof this._testSynth.setGain === 'function') {
           this._testSynth.setGain(FLUIDSYNTH_GAIN);
         }
+        this._applyEffects(this._testSynth);
         this._testNode = this._testSynth.createAudioNode(this._audioContext, AUDIO_BUFFER_SIZE);
         this._testNode.connect(this._gain);
-        await this._testSynth.loadSFont(this._sfontBytes);
+        this._testSfontIds = await this._loadStackInto(this._testSynth, []);
+        this._applyKeyboardProgram();
       } catch (error) {
         console.error('[ERROR] Failed to ensure test synth:', error);
         throw error; // Re-throw to propagate the error
       }
     }
 
+    /**
+     * Render an SMF faster than real time on a separate synth with the current SoundFont stack and effects.
+     * The main synth, its player and the audio graph are left untouched.
+     * After the last event, rendering continues until every voice has stopped (release tail)
+     * plus a short effects tail, capped at OFFLINE_MAX_TAIL_SECONDS.
+     * @param {Uint8Array} SMFbytes SMF contents (PPQ division)
+     * @param {object} [options]
+     * @param {{bytes: ArrayBuffer, bankOffset?: number}[]} [options.soundFonts] stack to render with, top first (defaults to the loaded one)
+     * @param {(channels: Float32Array[], frames: number) => void} options.onBlock receives each rendered stereo block
+     * @param {(fraction: number) => void} [options.onProgress] 0..1 progress through the song
+     * @param {() => boolean} [options.isCancelled] polled between blocks; rendering stops when it returns true
+     * @returns {Promise<{sampleRate: number, cancelled: boolean}>}
+     */
+    async renderOffline(SMFbytes, { soundFonts = this._sfontStack, onBlock, onProgress, isCancelled } = {}){
+      await this._waitForReady();
+      if (!soundFonts || soundFonts.length === 0) throw new Error('Load an SF2 first');
+      const JSSynth = window.JSSynth;
+      const sampleRate = this._audioContext.sampleRate;
+      const synth = new JSSynth.Synthesizer();
+      try {
+        synth.init(sampleRate);
+        if (typeof synth.setGain === 'function') synth.setGain(FLUIDSYNTH_GAIN);
+        this._applyEffects(synth); // the export sounds like playback
+        for (const { bytes, bankOffset } of [...soundFonts].reverse()) {
+          const id = await synth.loadSFont(bytes);
+          if (bankOffset) synth.setSFontBankOffset(id, bankOffset);
+        }
+        await synth.resetPlayer();
+        await synth.addSMFDataToPlayer(SMFbytes);
+        const totalTicks = (await synth.retrievePlayerTotalTicks()) || 0;
+        await synth.playPlayer();
+
+        const left = new Float32Array(OFFLINE_BLOCK_FRAMES);
+        const right = new Float32Array(OFFLINE_BLOCK_FRAMES);
+        const blockSeconds = OFFLINE_BLOCK_FRAMES / sampleRate;
+        let blocks = 0;
+        let tailSeconds = 0;
+        let silentSeconds = 0;
+        while (true) {
+          const songPlaying = synth.isPlayerPlaying();
+          if (!songPlaying) {
+            // Release tail: wait for voices to stop, then let effects decay
+            if (!synth.isPlaying()) silentSeconds += blockSeconds;
+            if (silentSeconds >= OFFLINE_EFFECTS_TAIL_SECONDS || tailSeconds >= OFFLINE_MAX_TAIL_SECONDS) break;
+            tailSeconds += blockSeconds;
+          }
+          synth.render([left, right]);
+          if (typeof onBlock === 'function') onBlock([left, right], OFFLINE_BLOCK_FRAMES);
+          if (++blocks % OFFLINE_BLOCKS_PER_YIELD === 0) {
+            if (typeof isCancelled === 'function' && isCancelled()) return { sampleRate, cancelled: true };
+            if (typeof onProgress === 'function') {
+              const tick = songPlaying ? (await synth.retrievePlayerCurrentTick()) : totalTicks;
+              onProgress(totalTicks > 0 ? Math.min(1, tick / totalTicks) : 0);
+            }
+            await new Promise(r => setTimeout(r, 0)); // keep the page (and live playback) responsive
+          }
+        }
+        if (typeof onProgress === 'function') onProgress(1);
+        return { sampleRate, cancelled: false };
+      } finally {
+        try { synth.close(); } catch (error) {
+          console.error('[ERROR] Failed to close offline synth:', error);
+        }
+      }
+    }
+
     /**
      * Play a short C–E–G arpeggio on the isolated test synth (channel 0).
      * Returns after the last note is released.
@@ -276,8 +999,7 @@
       const noteDuration = TEST_CHORD_NOTE_DURATION_MS; // ms per note
       
       try {
-        if (this._sfontId != null) this._testSynth.midiProgramSelect(chan, this._sfontId, 0, 0);
-        else this._testSynth.midiProgramChange(chan, 0);
+        this._selectProgram(this._testSynth, chan, 0, 0);
         
         // Play first note immediately
         this._testSynth.midiNoteOn(chan, notes[0], 100);
@@ -304,6 +1026,174 @@
       });
     }
 
+    // Virtual keyboard and preset browser (test synth) -----------------------------
+    /**
+     * Every preset the SoundFont stack offers (a preset hidden by a higher layer is listed once, from that layer).
+     * @returns {{bank: number, program: number, name: string}[]} sorted by bank, then program
+     */
+    listPresets(){
+      try {
+        if (!this._synth) return [];
+        const presets = new Map(); // "bank:program" -> preset, first layer wins
+        this._sfontIds.forEach((id, i) => {
+          const sfont = this._synth.getSFontObject(id);
+          if (!sfont) return;
+          for (const preset of sfont.getPresetIterable()) {
+            const bank = preset.bankNum + this._sfontStack[i].bankOffset;
+            const key = `${bank}:${preset.num}`;
+            if (!presets.has(key)) presets.set(key, { bank, program: preset.num, name: preset.name.trim() });
+          }
+        });
+        return [...presets.values()].sort((a, b) => (a.bank - b.bank) || (a.program - b.program));
+      } catch (error) {
+        console.error('[ERROR] Failed to list presets:', error);
+        return [];
+      }
+    }
+
+    /** Select the virtual keyboard preset on the test synth (after its creation and SoundFont changes). */
+    _applyKeyboardProgram(){
+      if (!this._testSynth || this._testSfontIds.length === 0) return;
+      const { bank, program } = this._testProgram;
+      this._selectProgram(this._testSynth, KEYBOARD_CHANNEL, bank, program);
+    }
+
+    /**
+     * Choose the preset played by the virtual keyboard.
+     * @param {number} bank
+     * @param {number} program
+     */
+    async setKeyboardProgram(bank, program){
+      this._testProgram = { bank, program };
+      await this._ensureTestSynth();
+      this._testSynth.midiAllNotesOff(KEYBOARD_CHANNEL);
+      this._applyKeyboardProgram();
+    }
+
+    /** Start a virtual keyboard note on the test synth (the song keeps its channels). */
+    async keyboardNoteOn(key, velocity){
+      this._keyboardHeld.add(key);
+      await this._ensureTestSynth();
+      if (!this._keyboardHeld.has(key)) return; // released while the test synth was being created
+      if (this._audioContext.state === 'suspended') this._audioContext.resume();
+      this._testSynth.midiNoteOn(KEYBOARD_CHANNEL, key, velocity);
+    }
+
+    /** Release a virtual keyboard note. */
+    keyboardNoteOff(key){
+      this._keyboardHeld.delete(key);
+      if (this._testSynth) this._testSynth.midiNoteOff(KEYBOARD_CHANNEL, key);
+    }
+
+    // Live synth (MIDI keyboard input) ---------------------------------------------
+    /**
+     * Ensure the live synth exists: a separate synth with the current SoundFont stack,
+     * so notes and controllers played live never change the song's channel state.
+     * @private
+     */
+    async _ensureLiveSynth(){
+      if (this._liveSynth) return;
+      if (this._sfontStack.length === 0) throw new Error('Load an SF2 first');
+      const JSSynth = window.JSSynth;
+      await JSSynth.waitForReady();
+      const synth = new JSSynth.Synthesizer();
+      synth.init(this._audioContext.sampleRate);
+      if (typeof synth.setGain === 'function') synth.setGain(FLUIDSYNTH_GAIN);
+      this._applyEffects(synth);
+      this._liveNode = synth.createAudioNode(this._audioContext, AUDIO_BUFFER_SIZE);
+      this._liveNode.connect(this._gain);
+      this._liveSynth = synth;
+      await this._loadLiveSFont();
+    }
+
+    /** Give the live synth the current SoundFont stack (after an SF2 change) and re-select its preset. */
+    async _loadLiveSFont(){
+      try {
+        this._liveSynth.midiAllNotesOff(LIVE_CHANNEL);
+        this._liveSfontIds = await this._loadStackInto(this._liveSynth, this._liveSfontIds);
+        this._applyLiveProgram();
+      } catch (error) {
+        console.error('[ERROR] Failed to load SF2 into live synth:', error);
+        throw error;
+      }
+    }
+
+    /** Select the live preset (FluidSynth falls back to bank 0 when the bank lacks it). */
+    _applyLiveProgram(){
+      if (!this._liveSynth || this._liveSfontIds.length === 0) return;
+      const { bank, program } = this._liveProgram;
+      this._selectProgram(this._liveSynth, LIVE_CHANNEL, bank, program);
+    }
+
+    /**
+     * Turn the live synth on or off. While on, the audio context is not suspended when the song stops.
+     * @param {boolean} enabled
+     */
+    async setLiveEnabled(enabled){
+      await this._waitForReady();
+      this._liveEnabled = !!enabled;
+      if (this._liveEnabled) {
+        await this._ensureLiveSynth();
+        // Not awaited: without a user gesture yet, resume() only settles after the first click
+        this._audioContext.resume().catch((error) => console.error('[ERROR] Failed to resume audio context:', error));
+      } else if (this._liveSynth) {
+        this._liveSynth.midiAllNotesOff(LIVE_CHANNEL);
+      }
+    }
+
+    /** @returns {boolean} whether the live synth is on */
+    isLiveEnabled(){ return this._liveEnabled; }
+
+    /**
+     * Choose the live preset.
+     * @param {number} bank 0..16383 (128 = percussion in GM SoundFonts)
+     * @param {number} program 0..127
+     */
+    setLiveProgram(bank, program){
+      this._liveProgram = {
+        bank: Math.max(0, Math.min(16383, Math.floor(Number(bank) || 0))),
+        program: Math.max(0, Math.min(127, Math.floor(Number(program) || 0)))
+      };
+      this._applyLiveProgram();
+    }
+
+    /** @returns {{bank: number, program: number}} live preset */
+    getLiveProgram(){ return { ...this._liveProgram }; }
+
+    /**
+     * Play a raw channel message on the live synth (its channel nibble is ignored).
+     * Sustain (CC64) and the other controllers go straight to FluidSynth; program changes select the live preset.
+     * @param {Uint8Array|number[]} data MIDI message bytes
+     */
+    sendLiveMidi(data){
+      const synth = this._liveSynth;
+      if (!synth || !this._liveEnabled || !data || data.length === 0) return;
+      if (this._audioContext.state === 'suspended') this._audioContext.resume();
+      try {
+        switch (data[0] & 0xF0) {
+          case MIDI_EVENT_NOTE_ON:
+            if (data[2] > 0) synth.midiNoteOn(LIVE_CHANNEL, data[1], data[2]);
+            else synth.midiNoteOff(LIVE_CHANNEL, data[1]);
+            break;
+          case MIDI_EVENT_NOTE_OFF: synth.midiNoteOff(LIVE_CHANNEL, data[1]); break;
+          case MIDI_EVENT_KEY_PRESSURE: synth.midiKeyPressure(LIVE_CHANNEL, data[1], data[2]); break;
+          case MIDI_EVENT_CONTROL_CHANGE: synth.midiControl(LIVE_CHANNEL, data[1], data[2]); break;
+          case MIDI_EVENT_PROGRAM_CHANGE: this.setLiveProgram(this._liveProgram.bank, data[1]); break;
+          case MIDI_EVENT_CHANNEL_PRESSURE: synth.midiChannelPressure(LIVE_CHANNEL, data[1]); break;
+          case MIDI_EVENT_PITCH_BEND: synth.midiPitchBend(LIVE_CHANNEL, data[1] | (data[2] << 7)); break;
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to play live MIDI message:', error);
+      }
+    }
+
+    /** Release every live note (sustain pedal included). */
+    liveAllNotesOff(){
+      if (!this._liveSynth) return;
+      this._liveSynth.midiControl(LIVE_CHANNEL, CC_SUSTAIN, 0);
+      this._liveSynth.midiAllNotesOff(LIVE_CHANNEL);
+    }
+
     // Optional helpers ---------------------------------------------------------
     /** @returns {Promise<number>} total ticks, or 0 on failure */
     async getTotalTicks(){ 
@@ -384,6 +1274,8 @@
           const drainDelayMs = Math.ceil(bufferDurationMs * 2);  // 2x buffer duration ensures complete drain
           
           setTimeout(async () => {
+            // The live synth must stay audible while a keyboard may be played
+            if (this._liveEnabled) return;
             try {
               await this._audioContext.suspend(); 
             } catch (error) {
@@ -399,6 +1291,10 @@
     }
   }
 
+  // Shared with the UI so its controls offer exactly what setEffects() accepts
+  JSSynthPlayer.DEFAULT_EFFECTS = DEFAULT_EFFECTS;
+  JSSynthPlayer.EFFECT_RANGES = EFFECT_RANGES;
+
   window.JSSynthPlayer = JSSynthPlayer;
 })();
 
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidiFile } from '../midi-file-parser.js';
+
+/** SMF bytes from raw track data (format 1 unless a single track, 96 PPQ). */
+function smf(tracks, { format = tracks.length > 1 ? 1 : 0, ppq = 96, declaredTracks = tracks.length } = {}) {
+  const bytes = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, format, 0, declaredTracks, ppq >> 8, ppq & 0xFF];
+  for (const data of tracks) {
+    const n = data.length;
+    bytes.push(0x4D, 0x54, 0x72, 0x6B, n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF, ...data);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/** Meta event bytes (delta, FF, type, length, data). */
+function meta(delta, type, data) {
+  return [delta, 0xFF, type, data.length, ...data];
+}
+
+const text = (s) => [...new TextEncoder().encode(s)];
+const END = meta(0, 0x2F, []);
+
+test('header, division and channel events', () => {
+  const parsed = parseMidiFile(smf([[
+    0x00, 0xC3, 0x05,             // program change, channel 3
+    0x00, 0xB3, 0x07, 0x64,       // volume 100
+    0x10, 0xE3, 0x00, 0x40,       // pitch bend center
+    0x10, 0x93, 0x3C, 0x50,       // note on C4
+    0x60, 0x83, 0x3C, 0x00,       // note off
+    ...END
+  ]]));
+  assert.equal(parsed.format, 0);
+  assert.deepEqual(parsed.division, { type: 'ppq', ppq: 96 });
+  assert.deepEqual(parsed.warnings, []);
+  const [track] = parsed.tracks;
+  assert.deepEqual(track.events.map(e => [e.tick, e.type]), [
+    [0, 'programChange'], [0, 'controlChange'], [16, 'pitchBend'], [32, 'noteOn'], [128, 'noteOff'], [128, 'meta']
+  ]);
+  assert.equal(track.events[0].program, 5);
+  assert.deepEqual([track.events[1].controller, track.events[1].value], [7, 100]);
+  assert.equal(track.events[2].value, 8192);
+  assert.equal(track.endTick, 128);
+  assert.deepEqual(parsed.notes, [{ track: 0, channel: 3, key: 60, velocity: 80, startTick: 32, endTick: 128 }]);
+  assert.equal(parsed.stats.totalTicks, 128);
+  assert.deepEqual(parsed.stats.channelsUsed, [3]);
+});
+
+test('running status continues the previous channel message', () => {
+  const parsed = parseMidiFile(smf([[
+    0x00, 0x90, 0x3C, 0x40,
+    0x00, 0x40, 0x40,             // running status: note on E4
+    0x00, 0x43, 0x40,             // note on G4
+    0x30, 0x3C, 0x00,             // velocity 0 = note off
+    0x00, 0x40, 0x00,
+    0x00, 0x43, 0x00,
+    0x00, 0xC1, 0x10,             // program change (one data byte)
+    0x00, 0x11,                   // running status with one data byte
+    ...END
+  ]]));
+  const events = parsed.tracks[0].events;
+  assert.deepEqual(events.slice(0, 6).map(e => [e.type, e.key, e.velocity]), [
+    ['noteOn', 60, 64], ['noteOn', 64, 64], ['noteOn', 67, 64],
+    ['noteOff', 60, 0], ['noteOff', 64, 0], ['noteOff', 67, 0]
+  ]);
+  assert.deepEqual(events.slice(6, 8).map(e => [e.type, e.channel, e.program]), [['programChange', 1, 16], ['programChange', 1, 17]]);
+  assert.deepEqual(parsed.notes.map(n => [n.key, n.startTick, n.endTick]), [[60, 0, 48], [64, 0, 48], [67, 0, 48]]);
+  assert.equal(parsed.stats.maxPolyphony, 3);
+});
+
+test('note-on velocity 0 ends the oldest note on the same key (FIFO)', () => {
+  const parsed = parseMidiFile(smf([[
+    0x00, 0x90, 0x3C, 0x64,
+    0x10, 0x90, 0x3C, 0x32,       // same key again while sounding
+    0x10, 0x90, 0x3C, 0x00,
+    0x10, 0x90, 0x3C, 0x00,
+    ...END
+  ]]));
+  assert.deepEqual(parsed.notes.map(n => [n.velocity, n.startTick, n.endTick]), [[100, 0, 32], [50, 16, 48]]);
+});
+
+test('notes still sounding end at the track end and are flagged unterminated', () => {
+  const parsed = parseMidiFile(smf([[
+    0x00, 0x90, 0x3C, 0x64,
+    0x00, 0x91, 0x40, 0x64,
+    0x20, 0x80, 0x3C, 0x00,
+    0x40, 0xB0, 0x40, 0x00,       // last event at tick 96
+    ...END
+  ]]));
+  assert.deepEqual(parsed.notes, [
+    { track: 0, channel: 0, key: 60, velocity: 100, startTick: 0, endTick: 32 },
+    { track: 0, channel: 1, key: 64, velocity: 100, startTick: 0, endTick: 96, unterminated: true }
+  ]);
+});
+
+test('meta events feed the metadata and the tempo list', () => {
+  const parsed = parseMidiFile(smf([
+    [
+      ...meta(0, 0x03, text('Song title')),
+      ...meta(0, 0x02, text('(c) Someone')),
+      ...meta(0, 0x58, [3, 2, 24, 8]),      // 3/4
+      ...meta(0, 0x59, [0xFE, 1]),          // 2 flats, minor
+      ...meta(0, 0x51, [0x07, 0xA1, 0x20]), // 120 BPM
+      ...meta(0x60, 0x51, [0x0F, 0x42, 0x40]), // 60 BPM at tick 96
+      ...meta(0, 0x06, text('Chorus')),
+      ...END
+    ],
+    [...meta(0, 0x03, text('Piano')), ...meta(0, 0x05, text('la')), ...END]
+  ]));
+  assert.equal(parsed.format, 1);
+  assert.equal(parsed.metadata.title, 'Song title');
+  assert.equal(parsed.metadata.copyright, '(c) Someone');
+  assert.deepEqual(parsed.metadata.trackNames, [{ track: 0, text: 'Song title' }, { track: 1, text: 'Piano' }]);
+  assert.deepEqual(parsed.metadata.timeSignatures, [{ tick: 0, numerator: 3, denominator: 4 }]);
+  assert.deepEqual(parsed.metadata.keySignatures, [{ tick: 0, key: -2, scale: 'minor', name: 'G minor' }]);
+  assert.deepEqual(parsed.metadata.markers, [{ tick: 96, text: 'Chorus' }]);
+  assert.deepEqual(parsed.metadata.lyrics, [{ tick: 0, text: 'la' }]);
+  assert.deepEqual(parsed.tempoEvents, [{ tick: 0, usPerQuarter: 500000 }, { tick: 96, usPerQuarter: 1000000 }]);
+  assert.equal(parsed.tracks[1].name, 'Piano');
+});
+
+test('Windows-1252 text is decoded when it is not UTF-8', () => {
+  const parsed = parseMidiFile(smf([[...meta(0, 0x03, [0x43, 0x61, 0x66, 0xE9]), ...END]]));
+  assert.equal(parsed.metadata.title, 'Café');
+});
+
+test('truncated tracks keep the events read so far', () => {
+  const parsed = parseMidiFile(smf([[0x00, 0x90, 0x3C, 0x64, 0x10, 0x80, 0x3C]], { declaredTracks: 2 }));
+  assert.equal(parsed.tracks[0].truncated, true);
+  assert.deepEqual(parsed.tracks[0].events.map(e => e.type), ['noteOn']);
+  assert.deepEqual(parsed.notes.map(n => n.unterminated), [true]);
+  assert.equal(parsed.warnings.length, 2); // truncated track, track count mismatch
+});
+
+test('unknown chunks are skipped and a missing header is rejected', () => {
+  const bytes = smf([[...END]]);
+  const withVendorChunk = Uint8Array.from([...bytes.subarray(0, 14), 0x58, 0x46, 0x49, 0x48, 0, 0, 0, 2, 1, 2, ...bytes.subarray(14)]);
+  assert.equal(parseMidiFile(withVendorChunk).tracks.length, 1);
+  assert.throws(() => parseMidiFile(new Uint8Array(20)), /MThd/);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mldToSmf } from '../mld-converter.js';
+import { parseMidiFile } from '../midi-file-parser.js';
+
+const HEADER_SIZE = 13;
+const TRACK_HEADER_SIZE = 8;
+
+/** 16/32-bit big-endian bytes. */
+const u16 = (n) => [(n >> 8) & 0xFF, n & 0xFF];
+const u32 = (n) => [n >>> 24, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+
+/**
+ * MFi file bytes.
+ * @param {number[][]} tracks raw event bytes per "trac" chunk
+ * @param {{info?: [string, number[]][], trackCount?: number}} [options] info chunks (id, data)
+ */
+function mld(tracks, { info = [], trackCount = tracks.length } = {}) {
+  const infoBytes = info.flatMap(([id, data]) => [...ascii(id), ...u16(data.length), ...data]);
+  const body = [...u16(3 + infoBytes.length), 0x01, 0x00, trackCount, ...infoBytes];
+  for (const events of tracks) body.push(...ascii('trac'), ...u32(events.length), ...events);
+  return Uint8Array.from([...ascii('melo'), ...u32(body.length), ...body]);
+}
+
+/** Note event: delta, voice/key status, gate time (+ extension byte). */
+const note = (delta, voice, key, gate, ext) => [delta, (voice << 6) | key, gate, ...(ext === undefined ? [] : [ext])];
+/** Extended event with one data byte. */
+const ext = (delta, type, value) => [delta, 0xFF, type, value];
+const END = ext(0, 0xDF, 0x00);
+
+/** Assert a ConversionError for the MLD format with a matching message. */
+function assertFails(bytes, message) {
+  assert.throws(() => mldToSmf(bytes), { name: 'ConversionError', format: 'MLD', message });
+}
+
+test('notes, tempo and voices become an SMF (timebase 48: 48 MFi ticks per quarter)', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[
+    ...ext(0, 0xC3, 100),            // timebase 48, 100 BPM
+    ...note(0, 0, 15, 48),        // A2 + 15 = C4, one quarter
+    ...note(48, 1, 19, 24),       // voice 1: E4, an eighth
+    ...END
+  ]])));
+  assert.equal(smf.format, 1);
+  assert.deepEqual(smf.division, { type: 'ppq', ppq: 480 });
+  assert.deepEqual(smf.warnings, []);
+  assert.deepEqual(smf.tempoEvents, [{ tick: 0, usPerQuarter: 600000 }]);
+  assert.deepEqual(smf.notes.map(n => [n.channel, n.key, n.velocity, n.startTick, n.endTick]), [
+    [0, 60, 100, 0, 480], [1, 64, 100, 480, 720]
+  ]);
+});
+
+test('without a tempo event the file plays at 120 BPM, timebase 48', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[...note(0, 0, 15, 96), ...note(96, 0, 16, 48), ...END]])));
+  assert.deepEqual(smf.tempoEvents, [{ tick: 0, usPerQuarter: 500000 }]);
+  assert.deepEqual(smf.notes.map(n => [n.startTick, n.endTick]), [[0, 960], [960, 1440]]);
+});
+
+test('timebase changes rescale the following ticks', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[
+    ...ext(0, 0xC3, 120),            // 48 ticks per quarter
+    ...note(0, 0, 15, 48),
+    ...ext(48, 0xC4, 60),            // from MFi tick 48: 96 ticks per quarter, 60 BPM
+    ...note(96, 0, 15, 48),       // one quarter later, an eighth long
+    ...ext(96, 0xCA, 60),            // one quarter later: timebase 0xA = 60
+    ...note(60, 0, 15, 30),       // one quarter later, an eighth long
+    ...END
+  ]])));
+  assert.deepEqual(smf.tempoEvents, [
+    { tick: 0, usPerQuarter: 500000 }, { tick: 480, usPerQuarter: 1000000 }, { tick: 1440, usPerQuarter: 1000000 }
+  ]);
+  assert.deepEqual(smf.notes.map(n => [n.startTick, n.endTick]), [[0, 480], [960, 1200], [1920, 2160]]);
+});
+
+test('the "note" info chunk enables the velocity/octave byte; the title comes from "titl"', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[
+    ...note(0, 0, 15, 48, (40 << 2) | 1),   // velocity 80, one octave up
+    ...note(0, 1, 15, 48, (63 << 2) | 2),   // velocity 126, two octaves down
+    ...note(0, 2, 15, 48, (0 << 2) | 3),    // velocity floor 1, one octave down
+    ...END
+  ]], { info: [['titl', ascii('Tune\0\0')], ['note', [0x00, 0x01]]] })));
+  assert.equal(smf.metadata.title, 'Tune');
+  assert.deepEqual(smf.notes.map(n => [n.channel, n.key, n.velocity]), [[0, 72, 80], [1, 36, 126], [2, 48, 1]]);
+});
+
+test('program with bank, volume and pan; data events are skipped', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[
+    ...ext(0, 0xE1, 0x01),           // voice 0: bank 1
+    ...ext(0, 0xE0, 0x05),           // voice 0: program 5 -> (1 << 6 | 5)
+    ...ext(0, 0xE0, (1 << 6) | 0x07),// voice 1: program 7 (bank 0)
+    ...ext(0, 0xE2, 0x20),           // voice 0 volume -> 64
+    ...ext(0, 0xE3, (2 << 6) | 0x3F),// voice 2 pan -> 126
+    0x00, 0xFF, 0xF1, ...u16(3), 1, 2, 3, // user data
+    ...ext(0, 0xB0, 0x10),           // other one-byte event: ignored
+    ...note(0, 0, 15, 48),
+    ...END
+  ]])));
+  const events = smf.tracks[1].events.filter(e => e.type !== 'meta');
+  assert.deepEqual(events.filter(e => e.type === 'programChange').map(e => [e.channel, e.program]), [[0, 69], [1, 7]]);
+  assert.deepEqual(events.filter(e => e.type === 'controlChange').map(e => [e.channel, e.controller, e.value]), [[0, 7, 64], [2, 10, 126]]);
+  assert.equal(smf.notes.length, 1);
+});
+
+test('voices of later tracks skip the drum channel', () => {
+  const tracks = [0, 1, 2, 3].map(() => [...note(0, 1, 15, 48), ...note(0, 3, 15, 48), ...END]);
+  const smf = parseMidiFile(mldToSmf(mld(tracks)));
+  assert.deepEqual(smf.tracks.slice(1).map(t => [...new Set(t.events.filter(e => e.channel !== undefined).map(e => e.channel))]), [
+    [1, 3], [5, 7], [10, 12], [14, 15]
+  ]);
+});
+
+test('events after the end of track are ignored', () => {
+  const smf = parseMidiFile(mldToSmf(mld([[...note(0, 0, 15, 48), ...END, ...note(0, 0, 16, 48)]])));
+  assert.equal(smf.notes.length, 1);
+});
+
+test('other layouts and unsupported or truncated events are reported with their position', () => {
+  const trackStart = HEADER_SIZE + TRACK_HEADER_SIZE;
+  assertFails(Uint8Array.from(ascii('MThd\0\0\0\x06\0\0\0\x01\0')), 'Not an MFi melody (missing "melo" header)');
+  assertFails(mld([[...END]], { trackCount: 5 }), 'Unsupported MLD track count 5');
+  assertFails(mld([[...note(0, 0, 15, 48), 0x00, 0x3F]]), `Unsupported MLD status 0x3F (track 1, byte ${trackStart + 5})`);
+  assertFails(mld([[...ext(0, 0x80, 0x00)]]), `Unsupported MLD event 0xFF 0x80 (track 1, byte ${trackStart + 3})`);
+  assertFails(mld([[...ext(0, 0xC7, 120)]]), /^Unsupported MLD timebase 0x7 \(track 1/);
+  assertFails(mld([[...note(0, 0, 15, 48), 0x00, 0x0F]]), /^Truncated note \(track 1/);
+  assertFails(mld([[...note(0, 0, 15, 48), 0x00]]), /^Truncated event \(track 1/);
+  assertFails(mld([[...note(0, 0, 15, 48), 0x00, 0xFF, 0xC3]]), /^Truncated event \(track 1/);
+  assertFails(mld([[...note(0, 0, 15, 48), 0x00, 0xFF, 0xF0, 0x00]]), /^Truncated data event \(track 1/);
+  const wrongChunk = mld([[...note(0, 0, 15, 48), ...END]]);
+  wrongChunk.set(ascii('xxxx'), HEADER_SIZE);
+  assertFails(wrongChunk, `Expected a "trac" chunk at byte ${HEADER_SIZE}`);
+  assertFails(mld([[...ext(0, 0xC3, 120), ...END]]), 'No notes found');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mmlToSmf } from '../mml-converter.js';
+import { parseMidiFile } from '../midi-file-parser.js';
+
+const QUARTER = 480; // converter output PPQ
+
+/** Convert and parse back: [key, startTick, duration] per note of the first MML track (channel 0). */
+function notesOf(text, channel = 0) {
+  return parseMidiFile(mmlToSmf(text)).notes
+    .filter(n => n.channel === channel)
+    .map(n => [n.key, n.startTick, n.endTick - n.startTick]);
+}
+
+/** Assert a ConversionError for the MML format with a matching message. */
+function assertFails(text, message) {
+  assert.throws(() => mmlToSmf(text), { name: 'ConversionError', format: 'MML', message });
+}
+
+test('Mabinogi MML@ text becomes a format 1 SMF with a conductor track', () => {
+  const smf = parseMidiFile(mmlToSmf('MML@t150l8cde,o3c2;'));
+  assert.equal(smf.format, 1);
+  assert.deepEqual(smf.division, { type: 'ppq', ppq: QUARTER });
+  assert.equal(smf.tracks.length, 3);
+  assert.deepEqual(smf.warnings, []);
+  assert.deepEqual(smf.tempoEvents, [{ tick: 0, usPerQuarter: 400000 }]);
+  assert.deepEqual(smf.notes.map(n => [n.channel, n.key, n.startTick, n.endTick]), [
+    [0, 60, 0, 240], [1, 48, 0, 960], [0, 62, 240, 480], [0, 64, 480, 720]
+  ]);
+});
+
+test('without t the tempo is 120 BPM', () => {
+  assert.deepEqual(parseMidiFile(mmlToSmf('c')).tempoEvents, [{ tick: 0, usPerQuarter: 500000 }]);
+});
+
+test('lengths, dots and default length', () => {
+  assert.deepEqual(notesOf('c4.d8..e16'), [[60, 0, 720], [62, 720, 420], [64, 1140, 120]]);
+  assert.deepEqual(notesOf('l8. c d4'), [[60, 0, 360], [62, 360, 480]]);
+  assert.deepEqual(notesOf('c1r2d'), [[60, 0, 1920], [62, 2880, 480]]);
+});
+
+test('ties extend the previous note of the same key only', () => {
+  assert.deepEqual(notesOf('c4&c8'), [[60, 0, 720]]);
+  assert.deepEqual(notesOf('c4 & c8'), [[60, 0, 720]]);
+  assert.deepEqual(notesOf('c4&d4'), [[60, 0, 480], [62, 480, 480]]);
+  assert.deepEqual(notesOf('c4&r4c4'), [[60, 0, 480], [60, 960, 480]]); // a rest breaks the tie
+});
+
+test('accidentals, octaves and note numbers', () => {
+  assert.deepEqual(notesOf('c+d-e#f++b-').map(n => n[0]), [61, 61, 65, 67, 70]);
+  assert.deepEqual(notesOf('o4c>c<<c o0c o9g').map(n => n[0]), [60, 72, 48, 12, 127]);
+  assert.deepEqual(notesOf('l2 n48 n0'), [[60, 0, 960], [12, 960, 960]]);
+});
+
+test('volume maps 0–15 to velocity, v0 notes are silent', () => {
+  const smf = parseMidiFile(mmlToSmf('c v15 d v0 e v1 f'));
+  assert.deepEqual(smf.notes.map(n => [n.key, n.velocity]), [[60, 68], [62, 127], [65, 8]]);
+});
+
+test('tempo changes from every track are merged in the conductor track', () => {
+  const smf = parseMidiFile(mmlToSmf('MML@c t60 c,r2 t240 c;'));
+  assert.deepEqual(smf.tempoEvents, [
+    { tick: 0, usPerQuarter: 500000 }, { tick: 480, usPerQuarter: 1000000 }, { tick: 960, usPerQuarter: 250000 }
+  ]);
+});
+
+test('tracks get their own channel, skipping the drum channel', () => {
+  const smf = parseMidiFile(mmlToSmf(Array.from({ length: 11 }, () => 'c').join(',')));
+  assert.deepEqual([...new Set(smf.notes.map(n => n.channel))].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11]);
+});
+
+test('INI [ChannelN] sections with a title', () => {
+  const smf = parseMidiFile(mmlToSmf('[Settings]\nTitle=My song\n[Channel1]\n// comment\nl4 c\nd\n[Channel2]\ne\n'));
+  assert.equal(smf.metadata.title, 'My song');
+  assert.deepEqual(smf.notes.map(n => [n.channel, n.key, n.startTick]), [[0, 60, 0], [1, 64, 0], [0, 62, 480]]);
+});
+
+test('MapleStory 2 XML with CDATA', () => {
+  const text = '<?xml version="1.0"?><ms2><melody><![CDATA[t90 c]]></melody><chord index="1"><![CDATA[e]]></chord></ms2>';
+  const smf = parseMidiFile(mmlToSmf(text));
+  assert.deepEqual(smf.notes.map(n => [n.channel, n.key]), [[0, 60], [1, 64]]);
+  assert.equal(smf.tempoEvents[0].usPerQuarter, Math.round(60000000 / 90));
+});
+
+test('syntax errors name the track and character', () => {
+  assertFails('cdx', 'Unexpected "x" (track 1, character 3)');
+  assertFails('c,d t0', 'Invalid tempo (track 2, character 5)');
+  assertFails('c0', 'Invalid length 0 (track 1, character 3)');
+  assertFails('c193', /^Invalid length 193 /);
+  assertFails('l', /^Invalid default length /);
+  assertFails('o10c', /^Invalid octave /);
+  assertFails('v16c', /^Invalid volume \(expected 0–15\) /);
+  assertFails('n', /^Missing note number after "n" /);
+});
+
+test('the octave range is checked on every note', () => {
+  assertFails('o9b', 'Note out of range (MIDI 131) (track 1, character 4)');
+  assert.deepEqual(notesOf('o0<c').map(n => n[0]), [0]); // lowest MIDI note, below o0
+  assertFails('o0<<c', /^Note out of range \(MIDI -12\)/);
+  assertFails('n120', /^Note out of range \(MIDI 132\)/);
+});
+
+test('files without notes or with too many tracks are rejected', () => {
+  assertFails('r4 t120', 'No notes found');
+  assertFails('', 'No notes found');
+  assertFails(Array.from({ length: 16 }, () => 'c').join(','), 'Too many tracks (16, at most 15)');
+  assertFails('[Settings]\nTitle=x\n', /^Unrecognized MML file layout/);
+});
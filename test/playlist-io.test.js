@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportPlaylistJson, exportPlaylistM3u, normalizeBundledPath, parsePlaylistFile } from '../playlist-io.js';
+
+const bytesOf = (buffer) => [...new Uint8Array(buffer)];
+
+const USER_FILE = Uint8Array.from({ length: 300 }, (_, i) => (i * 7) & 0xFF).buffer;
+const ENTRIES = [
+  { name: 'Bundled song', path: 'sound_data/MIDI/my song.mid' },
+  { name: 'Own file.mid', bytes: USER_FILE }
+];
+
+/** Entries with the bytes as plain arrays, for deep comparison. */
+const comparable = (entries) => entries.map(({ bytes, ...rest }) => (bytes ? { ...rest, bytes: bytesOf(bytes) } : rest));
+
+test('JSON export round-trips bundled paths and embedded files', () => {
+  const text = exportPlaylistJson('Evening', ENTRIES);
+  assert.equal(JSON.parse(text).format, 'cbb-midi-playlist');
+  const { name, entries, warnings } = parsePlaylistFile(text, 'shared.json');
+  assert.equal(name, 'Evening');
+  assert.deepEqual(comparable(entries), comparable(ENTRIES));
+  assert.deepEqual(warnings, []);
+});
+
+test('M3U export round-trips bundled paths and embedded files', () => {
+  const text = exportPlaylistM3u('Evening', ENTRIES);
+  assert.match(text, /^#EXTM3U\n#PLAYLIST:Evening\n#EXTINF:-1,Bundled song\nsound_data\/MIDI\/my%20song\.mid\n/);
+  const { name, entries, warnings } = parsePlaylistFile(text, 'shared.m3u');
+  assert.equal(name, 'Evening');
+  assert.deepEqual(comparable(entries), comparable(ENTRIES));
+  assert.deepEqual(warnings, []);
+});
+
+test('plain M3U lines without titles take the file name; the playlist name falls back to the file name', () => {
+  const { name, entries } = parsePlaylistFile('./sound_data/MIDI/a.mid\r\n\r\n# comment\r\nsound_data\\MIDI\\b.mid\r\n', 'My list.m3u8');
+  assert.equal(name, 'My list');
+  assert.deepEqual(entries, [
+    { name: 'a.mid', path: 'sound_data/MIDI/a.mid' },
+    { name: 'b.mid', path: 'sound_data/MIDI/b.mid' }
+  ]);
+});
+
+test('paths outside sound_data/ are rejected, also through ".."', () => {
+  assert.equal(normalizeBundledPath('sound_data/MIDI/a.mid'), 'sound_data/MIDI/a.mid');
+  assert.equal(normalizeBundledPath('sound_data/../secret.mid'), null);
+  assert.equal(normalizeBundledPath('sound_data/MIDI/../../a.mid'), null);
+  assert.equal(normalizeBundledPath('/etc/passwd'), null);
+  assert.equal(normalizeBundledPath('https://example.com/a.mid'), null);
+
+  const { entries, warnings } = parsePlaylistFile(JSON.stringify({
+    format: 'cbb-midi-playlist', version: 1, name: 'x',
+    tracks: [{ name: 'Up', path: 'sound_data/../../a.mid' }, { name: 'Ok', path: 'sound_data/a.mid' }]
+  }), 'x.json');
+  assert.deepEqual(entries, [{ name: 'Ok', path: 'sound_data/a.mid' }]);
+  assert.deepEqual(warnings, ['Up: only files under sound_data/ or embedded files can be imported']);
+});
+
+test('bad entries are skipped with warnings; files that are not playlists throw', () => {
+  const { entries, warnings } = parsePlaylistFile(JSON.stringify({
+    format: 'cbb-midi-playlist', version: 2, tracks: [null, { name: 'Broken', data: '%%%' }]
+  }), 'list.json');
+  assert.deepEqual(entries, []);
+  assert.deepEqual(warnings, ['Playlist format version 2 is newer than supported (1)', 'Broken: invalid embedded data']);
+  assert.throws(() => parsePlaylistFile('{"tracks": []}', 'list.json'), { message: 'Not a playlist file (missing format or tracks)' });
+  assert.throws(() => parsePlaylistFile('MThd', 'song.mid'), { message: 'Unsupported playlist file (expected JSON or M3U)' });
+});
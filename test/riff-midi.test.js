@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRiffMidi, unwrapRiffMidi } from '../riff-midi.js';
+
+const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+const u16 = (n) => [n & 0xFF, n >> 8];
+const u32 = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, n >>> 24];
+
+/** RIFF chunk bytes, padded to an even length. */
+const chunk = (id, data) => [...ascii(id), ...u32(data.length), ...data, ...(data.length & 1 ? [0] : [])];
+/** RIFF file (or nested RIFF chunk) of a form type. */
+const riff = (form, chunks) => chunk('RIFF', [...ascii(form), ...chunks.flat()]);
+
+const SMF = [...ascii('MThd'), 0, 0, 0, 6, 0, 0, 0, 1, 0, 96, ...ascii('MTrk'), 0, 0, 0, 4, 0, 0xFF, 0x2F, 0];
+const SF2 = riff('sfbk', [chunk('LIST', ascii('INFOifil'))]);
+
+test('RMID detection looks at the RIFF form type', () => {
+  assert.equal(isRiffMidi(Uint8Array.from(riff('RMID', [chunk('data', SMF)]))), true);
+  assert.equal(isRiffMidi(Uint8Array.from(riff('WAVE', [chunk('data', SMF)]))), false);
+  assert.equal(isRiffMidi(Uint8Array.from(SMF)), false);
+});
+
+test('a plain RMID yields its SMF, no bank and INFO text', () => {
+  const file = riff('RMID', [
+    chunk('LIST', [...ascii('INFO'), ...chunk('INAM', ascii('Song\0')), ...chunk('ICOP', ascii(' (c) 1999 \0\0')), ...chunk('ICMT', [0])]),
+    chunk('data', SMF)
+  ]);
+  const { smf, soundfont, bankOffset, info } = unwrapRiffMidi(Uint8Array.from(file).buffer);
+  assert.deepEqual([...smf], SMF);
+  assert.equal(soundfont, null);
+  assert.equal(bankOffset, 0);
+  assert.deepEqual(info, { INAM: 'Song', ICOP: '(c) 1999' });
+});
+
+test('an embedded SF2 is returned as a standalone RIFF file, at the DBNK bank offset', () => {
+  const { smf, soundfont, bankOffset } = unwrapRiffMidi(Uint8Array.from(riff('RMID', [
+    chunk('data', [...SMF, 0]),   // odd length: padded
+    chunk('DBNK', u16(3)),
+    SF2
+  ])));
+  assert.deepEqual([...smf], [...SMF, 0]);
+  assert.equal(soundfont.type, 'sf2');
+  assert.deepEqual([...soundfont.bytes], SF2);
+  assert.equal(bankOffset, 3);
+});
+
+test('an embedded bank without DBNK starts at bank 1; DLS banks are recognized', () => {
+  const dls = riff('DLS ', [chunk('colh', u32(0))]);
+  const { soundfont, bankOffset } = unwrapRiffMidi(Uint8Array.from(riff('RMID', [chunk('data', SMF), dls])));
+  assert.deepEqual({ type: soundfont.type, bytes: [...soundfont.bytes] }, { type: 'dls', bytes: dls });
+  assert.equal(bankOffset, 1);
+});
+
+test('a RIFF size past the end of the file is tolerated', () => {
+  const file = riff('RMID', [chunk('data', SMF)]);
+  file.splice(4, 4, ...u32(0xFFFF));
+  assert.deepEqual([...unwrapRiffMidi(Uint8Array.from(file)).smf], SMF);
+});
+
+test('files without an RMID header or a data chunk are rejected', () => {
+  assert.throws(() => unwrapRiffMidi(Uint8Array.from(SMF)), { message: 'Not a RIFF-MIDI file (missing RIFF/RMID header)' });
+  assert.throws(() => unwrapRiffMidi(Uint8Array.from(riff('RMID', [SF2]))), { message: 'RIFF-MIDI file has no "data" chunk' });
+});
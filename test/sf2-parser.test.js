@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSoundFont, findMissingPresets } from '../sf2-parser.js';
+import { parseMidiFile } from '../midi-file-parser.js';
+import { writeSmf, channelEvent } from '../smf-writer.js';
+
+const ascii = (s) => [...s].map(c => c.charCodeAt(0));
+const u16 = (n) => [n & 0xFF, n >> 8];
+const u32 = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, n >>> 24];
+/** Zero-padded 20-byte record name. */
+const name20 = (s) => [...ascii(s), ...new Array(20 - s.length).fill(0)];
+
+/** RIFF chunk bytes, padded to an even length. */
+const chunk = (id, data) => [...ascii(id), ...u32(data.length), ...data, ...(data.length & 1 ? [0] : [])];
+const list = (form, chunks) => chunk('LIST', [...ascii(form), ...chunks.flat()]);
+
+const phdr = (name, program, bank, bag) => [...name20(name), ...u16(program), ...u16(bank), ...u16(bag), ...u32(0), ...u32(0), ...u32(0)];
+const inst = (name, bag) => [...name20(name), ...u16(bag)];
+const shdr = (name, start, end, rate, pitch, type) => [
+  ...name20(name), ...u32(start), ...u32(end), ...u32(start), ...u32(end), ...u32(rate), pitch, 0, ...u16(0), ...u16(type)
+];
+/** pbag/ibag record: first generator index (modulators unused). */
+const bag = (gen) => [...u16(gen), ...u16(0)];
+const gen = (operator, amount) => [...u16(operator), ...u16(amount)];
+
+/**
+ * A small SF2: presets 0:5 (two zones over both instruments), 0:0 (one zone) and the drum kit 128:0
+ * (a zone without instrument), written out of bank/program order; instruments Keys (stereo pair) and Pipes.
+ */
+function soundFont({ version = [2, 1], compressed = false, sm24 = false } = {}) {
+  return Uint8Array.from(chunk('RIFF', [
+    ...ascii('sfbk'),
+    ...list('INFO', [chunk('ifil', [...u16(version[0]), ...u16(version[1])]), chunk('INAM', ascii('Test Bank\0')), chunk('ICOP', [0, 0])]),
+    ...list('sdta', [chunk('smpl', new Array(200).fill(0)), ...(sm24 ? [chunk('sm24', new Array(100).fill(0))] : [])]),
+    ...list('pdta', [
+      chunk('phdr', [...phdr('Piano', 5, 0, 0), ...phdr('Organ', 0, 0, 2), ...phdr('Drums', 0, 128, 3), ...phdr('EOP', 0, 0, 4)]),
+      chunk('pbag', [...bag(0), ...bag(2), ...bag(3), ...bag(5), ...bag(6)]),
+      chunk('pgen', [...gen(41, 0), ...gen(41, 1), ...gen(41, 0), ...gen(43, 0x7F00), ...gen(41, 1), ...gen(48, 0), ...gen(0, 0)]),
+      chunk('inst', [...inst('Keys', 0), ...inst('Pipes', 2), ...inst('EOI', 3)]),
+      chunk('ibag', [...bag(0), ...bag(1), ...bag(2), ...bag(3)]),
+      chunk('igen', [...gen(53, 0), ...gen(53, 1), ...gen(53, 2), ...gen(0, 0)]),
+      chunk('shdr', [
+        ...shdr('Keys L', 0, 40, 44100, 60, 4), ...shdr('Keys R', 40, 80, 44100, 60, 2),
+        ...shdr('Pipe', 80, 100, 22050, 72, compressed ? 0x11 : 1), ...shdr('EOS', 0, 0, 0, 0, 0)
+      ])
+    ])
+  ]));
+}
+
+/** Parsed SMF playing the given channel events (each track a list of writer events). */
+const song = (...tracks) => parseMidiFile(writeSmf(480, tracks));
+
+test('presets, instruments and samples are read from pdta; presets sorted by bank and program', () => {
+  const sf = parseSoundFont(soundFont().buffer);
+  assert.equal(sf.format, 'SF2');
+  assert.equal(sf.version, '2.01');
+  assert.deepEqual(sf.info, { name: 'Test Bank' });
+  assert.deepEqual(sf.presets, [
+    { name: 'Organ', program: 0, bank: 0, zoneCount: 1, instruments: [1] },
+    { name: 'Piano', program: 5, bank: 0, zoneCount: 2, instruments: [0, 1] },
+    { name: 'Drums', program: 0, bank: 128, zoneCount: 1, instruments: [] }
+  ]);
+  assert.deepEqual(sf.instruments, [{ name: 'Keys', zoneCount: 2, samples: [0, 1] }, { name: 'Pipes', zoneCount: 1, samples: [2] }]);
+  assert.deepEqual(sf.samples[0], { name: 'Keys L', sampleRate: 44100, originalPitch: 60, link: 'left', rom: false, compressed: false, frames: 40, bytes: 80 });
+  assert.deepEqual(sf.samples.map(s => [s.name, s.link, s.frames]), [['Keys L', 'left', 40], ['Keys R', 'right', 40], ['Pipe', 'mono', 20]]);
+  assert.equal(sf.sampleDataBytes, 200);
+});
+
+test('24-bit sample data counts three bytes per frame', () => {
+  const sf = parseSoundFont(soundFont({ sm24: true }));
+  assert.deepEqual(sf.samples.map(s => s.bytes), [120, 120, 60]);
+  assert.equal(sf.sampleDataBytes, 300);
+});
+
+test('SF3 is recognised by compressed samples or version 3', () => {
+  const sf = parseSoundFont(soundFont({ compressed: true }));
+  assert.equal(sf.format, 'SF3');
+  assert.deepEqual(sf.samples[2], { name: 'Pipe', sampleRate: 22050, originalPitch: 72, link: 'mono', rom: false, compressed: true, frames: null, bytes: 20 });
+  assert.equal(parseSoundFont(soundFont({ version: [3, 1] })).format, 'SF3');
+});
+
+test('files that are not SoundFonts or have no preset headers are rejected', () => {
+  assert.throws(() => parseSoundFont(Uint8Array.from(ascii('RIFF\x04\0\0\0RMID'))), { message: 'Not a SoundFont (missing RIFF/sfbk header)' });
+  assert.throws(() => parseSoundFont(Uint8Array.from(chunk('RIFF', [...ascii('sfbk'), ...list('INFO', [])]))), {
+    message: 'SoundFont has no preset headers (pdta/phdr)'
+  });
+});
+
+test('missing presets follow bank select and program changes, with the FluidSynth fallback', () => {
+  const sf = parseSoundFont(soundFont());
+  const { requested, missing } = findMissingPresets(sf, song(
+    [
+      channelEvent.noteOn(0, 0, 60, 100),                 // 0:0 Organ: present
+      channelEvent.controlChange(0, 1, 0, 8),
+      channelEvent.programChange(0, 1, 5),
+      channelEvent.noteOn(10, 1, 60, 100),                // 8:5: falls back to 0:5 Piano
+      channelEvent.noteOn(20, 1, 62, 100),
+      channelEvent.programChange(30, 2, 40),
+      channelEvent.noteOn(40, 2, 60, 100)                 // 0:40: no fallback
+    ],
+    [
+      channelEvent.controlChange(0, 9, 0, 5),             // ignored on the drum channel
+      channelEvent.programChange(0, 9, 16),
+      channelEvent.noteOn(50, 9, 36, 100),                // 128:16: falls back to the 128:0 kit
+      channelEvent.controlChange(0, 3, 0, 8),
+      channelEvent.programChange(0, 3, 5),
+      channelEvent.noteOn(60, 3, 60, 100)                 // 8:5 again, another channel
+    ]
+  ));
+  assert.equal(requested, 4);
+  assert.deepEqual(missing, [
+    { bank: 0, program: 40, channels: [2], notes: 1, fallback: null },
+    { bank: 8, program: 5, channels: [1, 3], notes: 3, fallback: { bank: 0, program: 5, name: 'Piano' } },
+    { bank: 128, program: 16, channels: [9], notes: 1, fallback: { bank: 128, program: 0, name: 'Drums' } }
+  ]);
+});
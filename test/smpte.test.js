@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMidiFile, convertSmpteToPpq } from '../midi-file-parser.js';
+import { TimingState } from '../timing-state.js';
+
+/** Variable-length quantity bytes. */
+function varLen(value) {
+  const bytes = [value & 0x7F];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+  return bytes;
+}
+
+/**
+ * Minimal format-0 SMF with an SMPTE division: a (meaningless) Set Tempo event,
+ * then middle C from one second (nominal frames) to two seconds.
+ */
+function smpteSmf(fps, ticksPerFrame) {
+  const second = fps === 29 ? 30 * ticksPerFrame : fps * ticksPerFrame;
+  const events = [
+    0x00, 0xFF, 0x51, 0x03, 0x07, 0xA1, 0x20,     // Set Tempo 500000 µs/quarter
+    ...varLen(second), 0x90, 60, 100,             // Note On
+    ...varLen(second), 0x80, 60, 0,               // Note Off
+    0x00, 0xFF, 0x2F, 0x00,                       // End of Track
+  ];
+  const header = [0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, (256 - fps) & 0xFF, ticksPerFrame];
+  const length = events.length;
+  const track = [0x4D, 0x54, 0x72, 0x6B, length >>> 24, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF];
+  return { u8: Uint8Array.from([...header, ...track, ...events]), second };
+}
+
+const FRAME_RATES = [
+  { fps: 24, framesPerSecond: 24, usPerQuarter: 1000000 },
+  { fps: 25, framesPerSecond: 25, usPerQuarter: 1000000 },
+  { fps: 29, framesPerSecond: 30000 / 1001, usPerQuarter: 1001000 }, // 29.97 drop-frame
+  { fps: 30, framesPerSecond: 30, usPerQuarter: 1000000 },
+];
+const TICKS_PER_FRAME = [1, 4, 40, 80, 100];
+
+for (const { fps, framesPerSecond, usPerQuarter } of FRAME_RATES) {
+  for (const ticksPerFrame of TICKS_PER_FRAME) {
+    test(`SMPTE ${fps} fps, ${ticksPerFrame} ticks/frame`, () => {
+      const { u8, second } = smpteSmf(fps, ticksPerFrame);
+      const smf = parseMidiFile(u8);
+      assert.equal(smf.division.type, 'smpte');
+      assert.equal(smf.division.fps, fps);
+      assert.equal(smf.division.ticksPerFrame, ticksPerFrame);
+      assert.equal(smf.division.framesPerSecond, framesPerSecond);
+
+      // Rewritten header: nominal fps × ticks per frame PPQ
+      const converted = parseMidiFile(convertSmpteToPpq(u8, smf));
+      assert.deepEqual(converted.warnings, []);
+      assert.deepEqual(converted.division, { type: 'ppq', ppq: second });
+
+      // Prepended tempo event at tick 0, the original one neutralized
+      assert.deepEqual(converted.tempoEvents, [{ tick: 0, usPerQuarter }]);
+      const [first] = converted.tracks[0].events;
+      assert.equal(first.subtype, 'setTempo');
+      assert.equal(first.delta, 0);
+
+      // Tick values are unchanged
+      assert.deepEqual(converted.notes.map(n => [n.startTick, n.endTick]), smf.notes.map(n => [n.startTick, n.endTick]));
+      assert.deepEqual(smf.notes.map(n => [n.startTick, n.endTick]), [[second, 2 * second]]);
+
+      // SMPTE timing and the converted PPQ timing agree on every position
+      const smpteTiming = new TimingState();
+      smpteTiming.setTempoEvents(smf.tempoEvents);
+      smpteTiming.setSmpte(framesPerSecond, ticksPerFrame);
+      const ppqTiming = new TimingState();
+      ppqTiming.ppq = converted.division.ppq;
+      ppqTiming.setTempoEvents(converted.tempoEvents);
+      for (const tick of [0, ticksPerFrame, second, 2 * second, 3 * second + 1]) {
+        const expected = tick / (framesPerSecond * ticksPerFrame);
+        assert.ok(Math.abs(smpteTiming.ticksToSeconds(tick) - expected) < 1e-9, `SMPTE tick ${tick}`);
+        assert.ok(Math.abs(ppqTiming.ticksToSeconds(tick) - expected) < 1e-9, `PPQ tick ${tick}`);
+      }
+      // One second of nominal frames lasts 1.001 s at 29.97 fps
+      assert.ok(Math.abs(smpteTiming.ticksToSeconds(second) - (fps === 29 ? 1.001 : 1)) < 1e-9);
+    });
+  }
+}
+
+test('PPQ files are returned unchanged', () => {
+  const { u8 } = smpteSmf(25, 40);
+  u8[12] = 0x01;
+  u8[13] = 0xE0; // 480 PPQ
+  assert.equal(convertSmpteToPpq(u8), u8);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimingState } from '../timing-state.js';
+
+const PPQ = 480;
+
+/** Timing with a tempo map: 120 BPM, 60 BPM from tick 960, 240 BPM from tick 1920. */
+function makeTiming() {
+  const timing = new TimingState();
+  timing.ppq = PPQ;
+  timing.totalTicks = 2880;
+  timing.setTempoEvents([
+    { tick: 1920, usPerQuarter: 250000 },
+    { tick: 0, usPerQuarter: 500000 },
+    { tick: 960, usPerQuarter: 1000000 },
+  ]);
+  return timing;
+}
+
+test('ticksToSeconds follows every Set Tempo event', () => {
+  const timing = makeTiming();
+  assert.equal(timing.ticksToSeconds(0), 0);
+  assert.equal(timing.ticksToSeconds(480), 0.5);
+  assert.equal(timing.ticksToSeconds(1440), 1 + 1);
+  assert.equal(timing.ticksToSeconds(2400), 1 + 2 + 0.25);
+});
+
+test('segment boundaries map to the segment start', () => {
+  const timing = makeTiming();
+  assert.deepEqual(timing.tempoMap.map(s => [s.tick, s.seconds]), [[0, 0], [960, 1], [1920, 3]]);
+  for (const { tick, seconds } of timing.tempoMap) {
+    assert.equal(timing.ticksToSeconds(tick), seconds);
+    assert.equal(timing.secondsToTicks(seconds), tick);
+  }
+  // Just before a boundary still uses the previous tempo
+  assert.equal(timing.ticksToSeconds(959), 959 / 960);
+  assert.equal(timing.ticksToSeconds(1919), 1 + 959 / 480);
+});
+
+test('positions past the end extrapolate with the last tempo', () => {
+  const timing = makeTiming();
+  assert.equal(timing.totalSeconds(), 3.5);
+  assert.equal(timing.ticksToSeconds(3840), 4);
+  assert.equal(timing.secondsToTicks(4), 3840);
+});
+
+test('tick -> seconds -> tick round-trips across tempo changes', () => {
+  const timing = makeTiming();
+  for (let tick = 0; tick <= 4000; tick += 37) {
+    assert.ok(Math.abs(timing.secondsToTicks(timing.ticksToSeconds(tick)) - tick) < 1e-9, `tick ${tick}`);
+  }
+  for (let seconds = 0; seconds <= 5; seconds += 0.13) {
+    assert.ok(Math.abs(timing.ticksToSeconds(timing.secondsToTicks(seconds)) - seconds) < 1e-9, `${seconds} s`);
+  }
+});
+
+test('the last of several tempo events on the same tick wins', () => {
+  const timing = new TimingState();
+  timing.ppq = PPQ;
+  timing.setTempoEvents([
+    { tick: 480, usPerQuarter: 250000 },
+    { tick: 480, usPerQuarter: 1000000 },
+  ]);
+  assert.equal(timing.tempoMap.length, 2);
+  assert.equal(timing.ticksToSeconds(960), 0.5 + 1);
+});
+
+test('without tempo events the synth tempo applies, with them it is ignored', () => {
+  const timing = new TimingState();
+  timing.updateFromSynth(960, 1000000, PPQ);
+  assert.equal(timing.totalSeconds(), 2);
+
+  const mapped = makeTiming();
+  mapped.updateFromSynth(2880, 1000000, PPQ);
+  assert.equal(mapped.totalSeconds(), 3.5);
+});
+
+test('reset drops the tempo map', () => {
+  const timing = makeTiming();
+  timing.reset();
+  assert.deepEqual(timing.tempoMap, [{ tick: 0, usPerQuarter: 500000, seconds: 0 }]);
+  assert.equal(timing.ticksToSeconds(960), 1);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WavWriter } from '../wav-encoder.js';
+
+/** Complete WAV file bytes of a writer. */
+async function wavBytes(writer) {
+  const blob = writer.toBlob();
+  assert.equal(blob.type, 'audio/wav');
+  return new DataView(await blob.arrayBuffer());
+}
+
+const id = (dv, offset) => String.fromCharCode(...new Uint8Array(dv.buffer, offset, 4));
+
+test('the header describes the PCM data written so far', async () => {
+  const writer = new WavWriter(44100, 24, 2);
+  writer.addBlock([new Float32Array(10), new Float32Array(10)]);
+  writer.addBlock([new Float32Array(10), new Float32Array(10)], 5);
+  const dv = await wavBytes(writer);
+  const dataSize = 15 * 2 * 3;
+  assert.equal(dv.byteLength, 44 + dataSize);
+  assert.deepEqual([id(dv, 0), id(dv, 8), id(dv, 12), id(dv, 36)], ['RIFF', 'WAVE', 'fmt ', 'data']);
+  assert.equal(dv.getUint32(4, true), 36 + dataSize);
+  assert.equal(dv.getUint32(16, true), 16);
+  assert.equal(dv.getUint16(20, true), 1);
+  assert.equal(dv.getUint16(22, true), 2);
+  assert.equal(dv.getUint32(24, true), 44100);
+  assert.equal(dv.getUint32(28, true), 44100 * 6);
+  assert.equal(dv.getUint16(32, true), 6);
+  assert.equal(dv.getUint16(34, true), 24);
+  assert.equal(dv.getUint32(40, true), dataSize);
+  assert.equal(writer.duration, 15 / 44100);
+});
+
+test('24-bit samples are packed as three little-endian bytes, channels interleaved and clipped', async () => {
+  const writer = new WavWriter(8000, 24, 2);
+  writer.addBlock([Float32Array.of(1, -1, 0.5), Float32Array.of(0, 2, -0.5)]);
+  const bytes = new Uint8Array((await wavBytes(writer)).buffer, 44);
+  assert.deepEqual([...bytes], [
+    0xFF, 0xFF, 0x7F, 0x00, 0x00, 0x00,       // frame 0: full scale, silence
+    0x01, 0x00, 0x80, 0xFF, 0xFF, 0x7F,       // frame 1: -1, 2 clipped to 1
+    0x00, 0x00, 0x40, 0x01, 0x00, 0xC0        // frame 2: 0x400000, -0x3FFFFF (Math.round halves go up)
+  ]);
+});
+
+test('16-bit samples are signed little-endian words', async () => {
+  const writer = new WavWriter(22050, 16, 1);
+  writer.addBlock([Float32Array.of(1, -1, 0)]);
+  const dv = await wavBytes(writer);
+  assert.equal(dv.getUint16(34, true), 16);
+  assert.equal(dv.getUint16(32, true), 2);
+  assert.deepEqual([dv.getInt16(44, true), dv.getInt16(46, true), dv.getInt16(48, true)], [0x7FFF, -0x7FFF, 0]);
+});
+
+test('other bit depths are rejected', () => {
+  assert.throws(() => new WavWriter(44100, 32), { message: 'Unsupported WAV bit depth: 32' });
+});
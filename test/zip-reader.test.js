@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { unzip } from '../zip-reader.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * ZIP archive bytes (no CRCs: the reader does not check them).
+ * @param {{path: string, data?: Uint8Array, method?: number, flags?: number, size?: number, extra?: number}[]} entries
+ *   data is stored as given (already compressed for method 8); size defaults to data.length;
+ *   extra pads the local header's extra field only
+ * @returns {ArrayBuffer}
+ */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { path, data = new Uint8Array(0), method = 0, flags = 0, size = data.length, extra = 0 } of entries) {
+    const name = encoder.encode(path);
+    const local = new Uint8Array(30 + name.length + extra + data.length);
+    const ldv = new DataView(local.buffer);
+    ldv.setUint32(0, 0x04034b50, true);
+    ldv.setUint16(6, flags, true);
+    ldv.setUint16(8, method, true);
+    ldv.setUint32(18, data.length, true);
+    ldv.setUint32(22, size, true);
+    ldv.setUint16(26, name.length, true);
+    ldv.setUint16(28, extra, true);
+    local.set(name, 30);
+    local.set(data, 30 + name.length + extra);
+
+    const central = new Uint8Array(46 + name.length);
+    const cdv = new DataView(central.buffer);
+    cdv.setUint32(0, 0x02014b50, true);
+    cdv.setUint16(8, flags, true);
+    cdv.setUint16(10, method, true);
+    cdv.setUint32(20, data.length, true);
+    cdv.setUint32(24, size, true);
+    cdv.setUint16(28, name.length, true);
+    cdv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+  const directorySize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const eocd = new Uint8Array(22);
+  const edv = new DataView(eocd.buffer);
+  edv.setUint32(0, 0x06054b50, true);
+  edv.setUint16(8, entries.length, true);
+  edv.setUint16(10, entries.length, true);
+  edv.setUint32(12, directorySize, true);
+  edv.setUint32(16, offset, true);
+  return new Blob([...locals, ...centrals, eocd]).arrayBuffer();
+}
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+test('stored and deflated entries are extracted in archive order; directories are ignored', async () => {
+  const song = encoder.encode('MThd song data '.repeat(20));
+  const { files, skipped } = await unzip(await zip([
+    { path: 'songs/' },
+    { path: 'songs/a.mid', data: encoder.encode('stored') },
+    { path: 'songs/b.mid', data: deflateRawSync(song), method: 8, size: song.length, extra: 4 }
+  ]));
+  assert.deepEqual(files.map(f => [f.path, text(f.bytes)]), [['songs/a.mid', 'stored'], ['songs/b.mid', text(song)]]);
+  assert.deepEqual(skipped, []);
+});
+
+test('unwanted, encrypted, unsupported and corrupt entries are reported as skipped', async () => {
+  const { files, skipped } = await unzip(await zip([
+    { path: 'readme.txt', data: encoder.encode('hi') },
+    { path: 'secret.mid', data: encoder.encode('x'), flags: 0x0001 },
+    { path: 'bzip.mid', data: encoder.encode('x'), method: 12 },
+    { path: 'short.mid', data: encoder.encode('abc'), size: 4 },
+    { path: 'bad.mid', data: encoder.encode('not deflate data'), method: 8, size: 10 },
+    { path: 'ok.mid', data: encoder.encode('ok') }
+  ]), path => path.endsWith('.mid'));
+  assert.deepEqual(files.map(f => f.path), ['ok.mid']);
+  assert.deepEqual(skipped.map(s => [s.path, s.reason.replace(/ \(.*/, ' (...)')]), [
+    ['readme.txt', 'unsupported file type'],
+    ['secret.mid', 'encrypted'],
+    ['bzip.mid', 'compression method 12'],
+    ['short.mid', 'corrupt entry (...)'],
+    ['bad.mid', 'corrupt entry (...)']
+  ]);
+  assert.equal(skipped[3].reason, 'corrupt entry (size mismatch)');
+});
+
+test('data without an end of central directory is rejected', async () => {
+  await assert.rejects(unzip(encoder.encode('MThd\0\0\0\x06 not a zip archive').buffer), {
+    message: 'Not a ZIP archive (no end of central directory)'
+  });
+});
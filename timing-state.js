@@ -0,0 +1,122 @@
+/* Transport timing state
+   - Playhead and track length in ticks (the source of truth), PPQ from the SMF header
+   - Tempo map built from the Set Tempo events: tick <-> seconds conversion across tempo changes
+   - SMPTE divisions map ticks to a fixed wall-clock duration and ignore tempo events
+   - No dependency on the synth or the DOM
+*/
+
+// Constants
+export const DEFAULT_TEMPO_US_PER_QUARTER = 500000; // 120 BPM
+export const DEFAULT_PPQ = 480;              // PPQ = Pulses Per Quarter note (MIDI tick resolution)
+
+export class TimingState {
+  constructor() {
+    this.currentTick = 0;                 // source of truth for playhead
+    this.totalTicks = 0;                  // track length in ticks
+    this.tempoUsPerQuarter = DEFAULT_TEMPO_US_PER_QUARTER; // initial tempo (used until the first Set Tempo event)
+    this.ppq = DEFAULT_PPQ;               // PPQ from SMF header (division)
+    this.tempoEvents = [];                // Set Tempo meta events from the SMF: { tick, usPerQuarter }
+    this.tempoMap = [];                   // tempo segments: { tick, usPerQuarter, seconds } (seconds at segment start)
+    this.smpte = null;                    // SMPTE division { framesPerSecond, ticksPerFrame }, null for PPQ files
+    this.tempoScale = 1;                  // playback speed multiplier (kept across resets, like the player's)
+    this.rebuildTempoMap();
+  }
+
+  /** Reset to default values (used when loading new track). */
+  reset() {
+    this.currentTick = 0;
+    this.totalTicks = 0;
+    this.tempoUsPerQuarter = DEFAULT_TEMPO_US_PER_QUARTER;
+    this.ppq = DEFAULT_PPQ;
+    this.tempoEvents = [];
+    this.smpte = null;
+    this.rebuildTempoMap();
+  }
+
+  /** Use SMPTE timing: ticks map to a fixed wall-clock duration and tempo events are ignored. */
+  setSmpte(framesPerSecond, ticksPerFrame) {
+    this.smpte = { framesPerSecond, ticksPerFrame };
+    this.rebuildTempoMap();
+  }
+
+  /** Update timing from synth values. The synth tempo is only used when the SMF carries no tempo map. */
+  updateFromSynth(totalTicks, tempoUsPerQuarter, ppq = this.ppq) {
+    if (typeof totalTicks === 'number' && totalTicks > 0) this.totalTicks = totalTicks;
+    if (this.tempoEvents.length === 0 && typeof tempoUsPerQuarter === 'number' && tempoUsPerQuarter > 0) {
+      this.tempoUsPerQuarter = tempoUsPerQuarter;
+    }
+    if (typeof ppq === 'number' && ppq > 0) this.ppq = ppq;
+    this.rebuildTempoMap();
+  }
+
+  /** Replace the Set Tempo events parsed from the SMF and rebuild the tempo map. */
+  setTempoEvents(tempoEvents) {
+    this.tempoEvents = (tempoEvents || [])
+      .filter(e => e.usPerQuarter > 0)
+      .sort((a, b) => a.tick - b.tick);
+    this.rebuildTempoMap();
+  }
+
+  /** Build tempo segments with the elapsed seconds at the start of each segment. */
+  rebuildTempoMap() {
+    const map = [{ tick: 0, usPerQuarter: this.tempoUsPerQuarter, seconds: 0 }];
+    // SMPTE timing is absolute: a single segment, tempo changes do not affect time
+    const tempoEvents = this.smpte ? [] : this.tempoEvents;
+    for (const { tick, usPerQuarter } of tempoEvents) {
+      const last = map[map.length - 1];
+      if (tick === last.tick) {
+        // Several tempo events on the same tick: the last one wins
+        last.usPerQuarter = usPerQuarter;
+        continue;
+      }
+      const seconds = last.seconds + (tick - last.tick) * this.secPerTickAt(last);
+      map.push({ tick, usPerQuarter, seconds });
+    }
+    this.tempoMap = map;
+  }
+
+  /** Seconds per tick within a tempo segment. */
+  secPerTickAt(segment) {
+    if (this.smpte) return 1 / (this.smpte.framesPerSecond * this.smpte.ticksPerFrame);
+    return (segment.usPerQuarter / 1e6) / this.ppq;
+  }
+
+  /** Find the tempo segment containing a position (binary search on the given key). */
+  findSegment(key, value) {
+    const map = this.tempoMap;
+    let lo = 0;
+    let hi = map.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (map[mid][key] <= value) lo = mid; else hi = mid - 1;
+    }
+    return map[lo];
+  }
+
+  /** Convert ticks to seconds, following every tempo change. */
+  ticksToSeconds(ticks) {
+    const segment = this.findSegment('tick', ticks);
+    return segment.seconds + (ticks - segment.tick) * this.secPerTickAt(segment);
+  }
+
+  /** Convert seconds to ticks, following every tempo change. */
+  secondsToTicks(seconds) {
+    const segment = this.findSegment('seconds', seconds);
+    return segment.tick + (seconds - segment.seconds) / this.secPerTickAt(segment);
+  }
+
+  /** @returns {number} track length in seconds */
+  totalSeconds() {
+    return this.ticksToSeconds(this.totalTicks);
+  }
+
+  /** Convert song seconds (file tempo) to real listening seconds at the current playback speed. */
+  toRealSeconds(songSeconds) {
+    return songSeconds / this.tempoScale;
+  }
+
+  /** Clamp currentTick to valid range. */
+  clampTick() {
+    this.currentTick = Math.max(0, Math.min(this.currentTick, this.totalTicks));
+  }
+}
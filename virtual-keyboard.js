@@ -0,0 +1,201 @@
+/* On-screen piano keyboard
+   - Mouse and touch (pointer events, glissando by sliding across keys; velocity from how low the key is hit)
+   - Computer keyboard while the keyboard element has focus, so global shortcuts (Space, A, B, ...) stay usable:
+     A W S E D F T G Y H U J K O L P ; = two rows like a piano, Z / X = octave down / up
+   - Notes are reported through callbacks; the app decides which synth plays them
+*/
+
+// Constants
+const OCTAVES = 3;                        // octaves drawn
+const DEFAULT_BASE_KEY = 48;              // C3: lowest key drawn
+const MIN_BASE_KEY = 0;
+const MAX_BASE_KEY = 127 - OCTAVES * 12;  // keep the last key within MIDI range
+const MIN_VELOCITY = 40;                  // hit at the top of a key
+const MAX_VELOCITY = 127;                 // hit at the bottom of a key
+const KEYBOARD_VELOCITY = 100;            // computer-keyboard notes
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]); // semitones of black keys within an octave
+// Computer key (KeyboardEvent.code) -> semitones above the base key
+const KEY_CODES = {
+  KeyA: 0, KeyW: 1, KeyS: 2, KeyE: 3, KeyD: 4, KeyF: 5, KeyT: 6, KeyG: 7, KeyY: 8, KeyH: 9, KeyU: 10, KeyJ: 11,
+  KeyK: 12, KeyO: 13, KeyL: 14, KeyP: 15, Semicolon: 16, Quote: 17
+};
+const NOTE_NAMES = ['C', 'C♯', 'D', 'D♯', 'E', 'F', 'F♯', 'G', 'G♯', 'A', 'A♯', 'B'];
+
+/** Note name with octave (60 = C4). */
+export function noteName(key) {
+  return `${NOTE_NAMES[key % 12]}${Math.floor(key / 12) - 1}`;
+}
+
+/**
+ * VirtualKeyboard
+ * Builds its keys inside a container element; each sounding key is held by one source
+ * (a pointer id or a computer key), so releasing one input never cuts a note held by another.
+ */
+export class VirtualKeyboard {
+  /**
+   * @param {HTMLElement} container element to draw the keys in (made focusable)
+   * @param {{ onNoteOn?: (key: number, velocity: number) => void, onNoteOff?: (key: number) => void,
+   *           onOctaveChange?: (baseKey: number) => void }} [options]
+   */
+  constructor(container, options = {}) {
+    this._container = container;
+    this._onNoteOn = typeof options.onNoteOn === 'function' ? options.onNoteOn : () => {};
+    this._onNoteOff = typeof options.onNoteOff === 'function' ? options.onNoteOff : () => {};
+    this._onOctaveChange = typeof options.onOctaveChange === 'function' ? options.onOctaveChange : () => {};
+    this._baseKey = DEFAULT_BASE_KEY;
+    this._keyEls = new Map();     // MIDI key -> element
+    this._holders = new Map();    // MIDI key -> Set of sources holding it
+    this._pointerKeys = new Map(); // pointer id -> MIDI key under it
+    this._codeKeys = new Map();   // KeyboardEvent.code -> MIDI key it started
+
+    container.classList.add('virtual-keyboard');
+    container.tabIndex = 0;
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', 'Virtual keyboard (focus it to play with the computer keys; Z/X change octave)');
+    container.addEventListener('pointerdown', (e) => this._handlePointerDown(e));
+    container.addEventListener('pointermove', (e) => this._handlePointerMove(e));
+    container.addEventListener('pointerup', (e) => this._handlePointerUp(e));
+    container.addEventListener('pointercancel', (e) => this._handlePointerUp(e));
+    container.addEventListener('keydown', (e) => this._handleKeyDown(e));
+    container.addEventListener('keyup', (e) => this._handleKeyUp(e));
+    container.addEventListener('blur', () => this.releaseAll());
+    this._build();
+  }
+
+  /** @returns {number} lowest key drawn */
+  get baseKey() { return this._baseKey; }
+
+  /** Shift the keyboard by octaves (held notes are released first). */
+  shiftOctave(octaves) {
+    const baseKey = Math.max(MIN_BASE_KEY, Math.min(MAX_BASE_KEY, this._baseKey + octaves * 12));
+    if (baseKey === this._baseKey) return;
+    this.releaseAll();
+    this._baseKey = baseKey;
+    this._build();
+    this._onOctaveChange(baseKey);
+  }
+
+  /** Release every held note (focus lost, octave change, SoundFont change). */
+  releaseAll() {
+    for (const key of this._holders.keys()) {
+      this._onNoteOff(key);
+      this._setPressed(key, false);
+    }
+    this._holders.clear();
+    this._pointerKeys.clear();
+    this._codeKeys.clear();
+  }
+
+  // Internals ---------------------------------------------------------------
+
+  /** (Re)create the key elements for the current octave range. */
+  _build() {
+    this._keyEls.clear();
+    const keys = [];
+    for (let key = this._baseKey; key <= this._baseKey + OCTAVES * 12; key++) {
+      const el = document.createElement('div');
+      const black = BLACK_KEYS.has(key % 12);
+      el.className = black ? 'vk-key vk-black' : 'vk-key vk-white';
+      el.dataset.key = String(key);
+      el.title = noteName(key);
+      if (key % 12 === 0) el.textContent = noteName(key);
+      this._keyEls.set(key, el);
+      keys.push(el);
+    }
+    this._container.replaceChildren(...keys);
+  }
+
+  /** MIDI key and velocity for a pointer position, or null outside the keys. */
+  _keyAt(clientX, clientY) {
+    const el = document.elementFromPoint(clientX, clientY);
+    const keyEl = el && el.closest ? el.closest('.vk-key') : null;
+    if (!keyEl || !this._container.contains(keyEl)) return null;
+    const rect = keyEl.getBoundingClientRect();
+    const depth = rect.height > 0 ? Math.max(0, Math.min(1, (clientY - rect.top) / rect.height)) : 1;
+    return { key: Number(keyEl.dataset.key), velocity: Math.round(MIN_VELOCITY + depth * (MAX_VELOCITY - MIN_VELOCITY)) };
+  }
+
+  /** Hold a key for a source; the note starts when the first source presses it. */
+  _press(key, velocity, source) {
+    let holders = this._holders.get(key);
+    if (!holders) {
+      holders = new Set();
+      this._holders.set(key, holders);
+      this._onNoteOn(key, velocity);
+      this._setPressed(key, true);
+    }
+    holders.add(source);
+  }
+
+  /** Let go of a key for a source; the note stops when no source holds it any more. */
+  _release(key, source) {
+    const holders = this._holders.get(key);
+    if (!holders) return;
+    holders.delete(source);
+    if (holders.size > 0) return;
+    this._holders.delete(key);
+    this._onNoteOff(key);
+    this._setPressed(key, false);
+  }
+
+  _setPressed(key, pressed) {
+    const el = this._keyEls.get(key);
+    if (el) el.classList.toggle('pressed', pressed);
+  }
+
+  _handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    const hit = this._keyAt(e.clientX, e.clientY);
+    if (!hit) return;
+    e.preventDefault(); // no text selection or touch scrolling while playing
+    this._container.focus({ preventScroll: true });
+    this._container.setPointerCapture(e.pointerId);
+    this._pointerKeys.set(e.pointerId, hit.key);
+    this._press(hit.key, hit.velocity, `pointer${e.pointerId}`);
+  }
+
+  _handlePointerMove(e) {
+    if (!this._pointerKeys.has(e.pointerId)) return;
+    const hit = this._keyAt(e.clientX, e.clientY);
+    const previous = this._pointerKeys.get(e.pointerId);
+    if (hit && hit.key === previous) return;
+    // Glissando: sliding onto another key moves the note there; sliding off the keys releases it
+    if (previous != null) this._release(previous, `pointer${e.pointerId}`);
+    this._pointerKeys.set(e.pointerId, hit ? hit.key : null);
+    if (hit) this._press(hit.key, hit.velocity, `pointer${e.pointerId}`);
+  }
+
+  _handlePointerUp(e) {
+    if (!this._pointerKeys.has(e.pointerId)) return;
+    const key = this._pointerKeys.get(e.pointerId);
+    this._pointerKeys.delete(e.pointerId);
+    if (key != null) this._release(key, `pointer${e.pointerId}`);
+  }
+
+  _handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.code === 'KeyZ' || e.code === 'KeyX') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!e.repeat) this.shiftOctave(e.code === 'KeyZ' ? -1 : 1);
+      return;
+    }
+    if (!(e.code in KEY_CODES)) return;
+    // Handled here: page shortcuts (A/B loop markers, S stop, ...) must not fire while playing
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.repeat || this._codeKeys.has(e.code)) return;
+    const key = this._baseKey + KEY_CODES[e.code];
+    if (key > 127) return;
+    this._codeKeys.set(e.code, key);
+    this._press(key, KEYBOARD_VELOCITY, e.code);
+  }
+
+  _handleKeyUp(e) {
+    if (!this._codeKeys.has(e.code)) return;
+    e.stopPropagation();
+    const key = this._codeKeys.get(e.code);
+    this._codeKeys.delete(e.code);
+    this._release(key, e.code);
+  }
+}
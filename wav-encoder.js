@@ -0,0 +1,89 @@
+/* WAV (RIFF/WAVE PCM) encoder
+   - Incremental: blocks of float samples are converted to PCM as they are rendered,
+     so a long export never holds the whole song as 32-bit floats
+   - 16-bit or 24-bit little-endian PCM, interleaved channels
+*/
+
+const SUPPORTED_BIT_DEPTHS = [16, 24];
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * WavWriter
+ * Collects PCM blocks and produces a Blob with a canonical 44-byte WAV header.
+ */
+export class WavWriter {
+  /**
+   * @param {number} sampleRate samples per second
+   * @param {number} [bitDepth=16] 16 or 24
+   * @param {number} [channelCount=2]
+   */
+  constructor(sampleRate, bitDepth = 16, channelCount = 2) {
+    if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    this.sampleRate = sampleRate;
+    this.bitDepth = bitDepth;
+    this.channelCount = channelCount;
+    this._bytesPerSample = bitDepth / 8;
+    this._parts = [];       // PCM blocks (Uint8Array)
+    this._dataSize = 0;     // total PCM bytes
+  }
+
+  /**
+   * Append a block of samples (one Float32Array per channel, values in -1..1).
+   * @param {Float32Array[]} channels
+   * @param {number} [frames] number of frames to take (defaults to the arrays' length)
+   */
+  addBlock(channels, frames = channels[0].length) {
+    const bps = this._bytesPerSample;
+    const block = new Uint8Array(frames * this.channelCount * bps);
+    const dv = new DataView(block.buffer);
+    let offset = 0;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < this.channelCount; c++) {
+        const sample = Math.max(-1, Math.min(1, channels[c][i]));
+        if (bps === 2) {
+          dv.setInt16(offset, Math.round(sample * 0x7FFF), true);
+        } else {
+          const value = Math.round(sample * 0x7FFFFF);
+          dv.setUint8(offset, value & 0xFF);
+          dv.setUint8(offset + 1, (value >> 8) & 0xFF);
+          dv.setUint8(offset + 2, (value >> 16) & 0xFF);
+        }
+        offset += bps;
+      }
+    }
+    this._parts.push(block);
+    this._dataSize += block.length;
+  }
+
+  /** @returns {number} duration written so far, in seconds */
+  get duration() {
+    return this._dataSize / (this.sampleRate * this.channelCount * this._bytesPerSample);
+  }
+
+  /** Build the RIFF header for the current data size. */
+  _header() {
+    const header = new ArrayBuffer(WAV_HEADER_SIZE);
+    const dv = new DataView(header);
+    const writeId = (offset, id) => { for (let i = 0; i < 4; i++) dv.setUint8(offset + i, id.charCodeAt(i)); };
+    const blockAlign = this.channelCount * this._bytesPerSample;
+    writeId(0, 'RIFF');
+    dv.setUint32(4, WAV_HEADER_SIZE - 8 + this._dataSize, true);
+    writeId(8, 'WAVE');
+    writeId(12, 'fmt ');
+    dv.setUint32(16, 16, true);                            // fmt chunk size
+    dv.setUint16(20, 1, true);                             // PCM
+    dv.setUint16(22, this.channelCount, true);
+    dv.setUint32(24, this.sampleRate, true);
+    dv.setUint32(28, this.sampleRate * blockAlign, true);  // byte rate
+    dv.setUint16(32, blockAlign, true);
+    dv.setUint16(34, this.bitDepth, true);
+    writeId(36, 'data');
+    dv.setUint32(40, this._dataSize, true);
+    return header;
+  }
+
+  /** @returns {Blob} the complete WAV file */
+  toBlob() {
+    return new Blob([this._header(), ...this._parts], { type: 'audio/wav' });
+  }
+}
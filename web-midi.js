@@ -0,0 +1,251 @@
+/* Web MIDI: shared access, input listening, and output of the parsed SMF to an external port (hardware synth, virtual port)
+   - Events are sent ahead of time with Web MIDI timestamps (small lookahead), anchored on the app's transport
+   - The transport stays the built-in player: the app calls start() on play/seek, stop() on pause/stop/track change
+   - start() mid-song chases programs, controllers and pitch bend so the device sounds right after a seek
+   - stop() silences the port: explicit note-offs for held notes, then All Notes Off and Reset All Controllers;
+     a restart keeps its timing but nothing is timestamped before that burst, so a seek never has its first notes cut
+   - panic() does the same plus All Sound Off, without stopping playback
+*/
+
+// Constants
+const LOOKAHEAD_MS = 150;         // how far ahead events are handed to the port
+const PUMP_INTERVAL_MS = 25;      // timer fallback when no audio heartbeat drives pump()
+const CHANNEL_COUNT = 16;
+const CC_ALL_SOUND_OFF = 120;
+const CC_RESET_ALL_CONTROLLERS = 121;
+const CC_ALL_NOTES_OFF = 123;
+
+let accessPromise = null;         // shared MIDIAccess request (asked once per page)
+
+/** @returns {boolean} true when the browser exposes Web MIDI */
+export function isWebMidiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+/**
+ * Request Web MIDI access once (no SysEx) and share it.
+ * @returns {Promise<MIDIAccess>}
+ * @throws {Error} when Web MIDI is unavailable or the user denies access
+ */
+export function getMidiAccess() {
+  if (!isWebMidiSupported()) return Promise.reject(new Error('Web MIDI is not supported by this browser'));
+  if (!accessPromise) {
+    accessPromise = navigator.requestMIDIAccess({ sysex: false }).catch((error) => {
+      accessPromise = null; // allow a retry (e.g. after a permission prompt was dismissed)
+      throw error;
+    });
+  }
+  return accessPromise;
+}
+
+/**
+ * Forward the channel messages of a MIDI input port (clock, active sensing and other system messages are dropped).
+ * @param {MIDIInput} input
+ * @param {(data: Uint8Array) => void} onMessage
+ * @returns {() => void} detaches the listener
+ */
+export function listenToMidiInput(input, onMessage) {
+  const handler = (e) => {
+    if (e.data && e.data.length > 0 && e.data[0] >= 0x80 && e.data[0] < 0xF0) onMessage(e.data);
+  };
+  input.addEventListener('midimessage', handler);
+  return () => input.removeEventListener('midimessage', handler);
+}
+
+/** Raw MIDI bytes of a parsed channel event (see midi-file-parser.js), or null for other events. */
+function channelMessage(event) {
+  const ch = event.channel;
+  switch (event.type) {
+    case 'noteOn': return [0x90 | ch, event.key, event.velocity];
+    case 'noteOff': return [0x80 | ch, event.key, event.velocity || 0];
+    case 'polyAftertouch': return [0xA0 | ch, event.key, event.pressure];
+    case 'controlChange': return [0xB0 | ch, event.controller, event.value];
+    case 'programChange': return [0xC0 | ch, event.program];
+    case 'channelAftertouch': return [0xD0 | ch, event.pressure];
+    case 'pitchBend': return [0xE0 | ch, event.value & 0x7F, (event.value >> 7) & 0x7F];
+    default: return null;
+  }
+}
+
+/** Plays a song on a Web MIDI output in step with the app's transport. */
+export class MidiOutputScheduler {
+  /**
+   * @param {{ticksToSeconds: (ticks: number) => number, tempoScale: number}} timing the app's timing state
+   *   (tempo map and playback speed are read from it, so SMPTE files and speed changes follow automatically)
+   */
+  constructor(timing) {
+    this.timing = timing;
+    this.output = null;         // MIDIOutput, null when MIDI out is off
+    this.events = [];           // { tick, data, seconds } sorted by tick
+    this.cursor = 0;            // next event to send
+    this.playing = false;
+    this.anchor = null;         // { perf, seconds, scale }: song seconds at a performance.now() time
+    this.delayMs = 0;           // extra delay to line up with the built-in synth's audio output
+    this.lastSentAt = 0;        // latest timestamp handed to the port (panic goes after it)
+    this.notBefore = 0;         // earliest timestamp for new sends: the last silence burst before a restart
+    this.held = new Set();      // sounding notes as "channel:key"
+    this.timer = 0;
+  }
+
+  /** Switch ports (null = MIDI out off); the previous one is silenced. Call start() to continue playing. */
+  setOutput(output) {
+    if (output === this.output) return;
+    this.stop();
+    this.output = output || null;
+  }
+
+  /**
+   * Use a parsed SMF (null to clear). Stops playback.
+   * @param {object|null} smf result of parseMidiFile()
+   */
+  setSong(smf) {
+    this.stop();
+    const events = [];
+    for (const track of (smf ? smf.tracks : [])) {
+      for (const event of track.events) {
+        const data = event.channel === undefined ? null : channelMessage(event);
+        if (data) events.push({ tick: event.tick, data, seconds: 0 });
+      }
+    }
+    // Stable: events on the same tick keep their file order (tracks in order)
+    this.events = events.sort((a, b) => a.tick - b.tick);
+    this.cursor = 0;
+  }
+
+  /** Start (or restart after a seek) at a tick; earlier program/controller/bend state is sent first. */
+  start(tick) {
+    const quietAt = this.stop();
+    if (!this.output || this.events.length === 0) return;
+    for (const event of this.events) event.seconds = this.timing.ticksToSeconds(event.tick); // tempo map may have changed
+    const seconds = this.timing.ticksToSeconds(tick);
+    this.chase(seconds, quietAt);
+    this.startAtSeconds(seconds, quietAt);
+  }
+
+  /**
+   * Stop sending and silence the port (pause, stop, seek, track change).
+   * @returns {number} performance.now() time from which the port is quiet (after the silence burst)
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = 0;
+    const wasPlaying = this.playing;
+    this.playing = false;
+    this.anchor = null;
+    return wasPlaying ? this.silence() : Math.max(performance.now(), this.lastSentAt);
+  }
+
+  /** Playback speed changed: keep the current song position, continue at the new speed. */
+  retime() {
+    if (!this.playing) return;
+    const seconds = this.currentSeconds();
+    this.anchor = { perf: performance.now(), seconds, scale: this.timing.tempoScale || 1 };
+  }
+
+  /** Silence everything on the port, All Sound Off included; playback (if any) goes on with the next events. */
+  panic() {
+    this.silence(true);
+  }
+
+  /** Hand the events due within the lookahead to the port (timer and audio heartbeat both call this). */
+  pump() {
+    if (!this.playing || !this.output) return;
+    const { perf, seconds, scale } = this.anchor;
+    const horizon = seconds + ((performance.now() + LOOKAHEAD_MS - perf - this.delayMs) / 1000) * scale;
+    try {
+      while (this.cursor < this.events.length && this.events[this.cursor].seconds <= horizon) {
+        const event = this.events[this.cursor++];
+        const at = Math.max(performance.now(), this.notBefore, perf + this.delayMs + ((event.seconds - seconds) * 1000) / scale);
+        this.send(event.data, at);
+      }
+    } catch (error) {
+      // Port unplugged or closed: stop rather than throwing from every heartbeat
+      console.error('[ERROR] MIDI output failed, stopping MIDI out:', error);
+      this.playing = false;
+      if (this.timer) clearInterval(this.timer);
+      this.timer = 0;
+    }
+  }
+
+  // Internals ---------------------------------------------------------------
+
+  /** Song seconds now (while playing). */
+  currentSeconds() {
+    const { perf, seconds, scale } = this.anchor;
+    return seconds + (Math.max(0, performance.now() - perf - this.delayMs) / 1000) * scale;
+  }
+
+  /**
+   * Begin sending from a song position (events before it are skipped). The anchor stays at now so the port
+   * keeps in step with the synth; only events due before `notBefore` are held back to it.
+   */
+  startAtSeconds(songSeconds, notBefore = 0) {
+    this.cursor = this.events.findIndex(event => event.seconds >= songSeconds);
+    if (this.cursor < 0) this.cursor = this.events.length;
+    this.notBefore = notBefore;
+    this.anchor = { perf: performance.now(), seconds: songSeconds, scale: this.timing.tempoScale || 1 };
+    this.playing = true;
+    this.timer = setInterval(() => this.pump(), PUMP_INTERVAL_MS);
+    this.pump();
+  }
+
+  /** Send the latest program, bank/controllers and pitch bend before a song position, per channel, at `from`. */
+  chase(songSeconds, from = performance.now()) {
+    const state = new Map(); // key -> data (later events win)
+    for (const event of this.events) {
+      if (event.seconds >= songSeconds) break;
+      const kind = event.data[0] & 0xF0;
+      if (kind === 0xB0) state.set(`cc${event.data[0]}:${event.data[1]}`, event.data);
+      else if (kind === 0xC0 || kind === 0xE0 || kind === 0xD0) state.set(`st${event.data[0]}`, event.data);
+    }
+    const at = Math.max(performance.now(), from);
+    try {
+      for (const data of state.values()) this.send(data, at);
+    } catch (error) {
+      console.error('[ERROR] MIDI output failed while restoring channel state:', error);
+    }
+  }
+
+  /** Send a message, keeping track of sounding notes and of the latest timestamp. */
+  send(data, at) {
+    this.output.send(data, at);
+    this.lastSentAt = Math.max(this.lastSentAt, at);
+    const kind = data[0] & 0xF0;
+    const note = `${data[0] & 0x0F}:${data[1]}`;
+    if (kind === 0x90 && data[2] > 0) this.held.add(note);
+    else if (kind === 0x80 || kind === 0x90) this.held.delete(note);
+  }
+
+  /**
+   * Note-offs for held notes, then All Notes Off + Reset All Controllers (+ All Sound Off) on every channel.
+   * @returns {number} performance.now() time the messages are timestamped at
+   */
+  silence(allSoundOff = false) {
+    if (!this.output) {
+      this.held.clear();
+      return performance.now();
+    }
+    // Drop queued messages where supported; otherwise land after the last one already handed over
+    if (typeof this.output.clear === 'function') {
+      this.output.clear();
+      this.lastSentAt = 0;
+    }
+    const at = Math.max(performance.now(), this.lastSentAt);
+    this.lastSentAt = at;
+    try {
+      for (const note of this.held) {
+        const [channel, key] = note.split(':').map(Number);
+        this.output.send([0x80 | channel, key, 0], at);
+      }
+      for (let channel = 0; channel < CHANNEL_COUNT; channel++) {
+        if (allSoundOff) this.output.send([0xB0 | channel, CC_ALL_SOUND_OFF, 0], at);
+        this.output.send([0xB0 | channel, CC_ALL_NOTES_OFF, 0], at);
+        this.output.send([0xB0 | channel, CC_RESET_ALL_CONTROLLERS, 0], at);
+      }
+    } catch (error) {
+      console.warn('[WARN] Could not silence the MIDI output:', error);
+    }
+    this.held.clear();
+    return at;
+  }
+}
@@ -0,0 +1,109 @@
+/* Minimal ZIP archive reader (in-browser, no dependencies)
+   - Reads the central directory, then extracts only the entries the caller asks for
+   - Stored (0) and Deflate (8) entries; Deflate goes through DecompressionStream('deflate-raw')
+   - Encrypted, ZIP64 and other compression methods are reported as skipped, not thrown
+*/
+
+// Constants
+const EOCD_SIGNATURE = 0x06054b50;          // end of central directory record
+const CENTRAL_SIGNATURE = 0x02014b50;       // central directory file header
+const LOCAL_SIGNATURE = 0x04034b50;         // local file header
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_COMMENT = 0xFFFF;
+const LOCAL_HEADER_SIZE = 30;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+const ZIP64_MARKER = 0xFFFFFFFF;
+
+/** Decode an entry name: UTF-8 when flagged (or valid), else Windows-1252 (close to the usual CP437 names). */
+function decodeName(bytes, flags) {
+  if (flags & FLAG_UTF8) return new TextDecoder('utf-8').decode(bytes);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/** Locate the end-of-central-directory record (scanning back over a possible comment). */
+function findEocd(dv) {
+  const stop = Math.max(0, dv.byteLength - EOCD_MIN_SIZE - EOCD_MAX_COMMENT);
+  for (let offset = dv.byteLength - EOCD_MIN_SIZE; offset >= stop; offset--) {
+    if (dv.getUint32(offset, true) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+/** Inflate raw Deflate data. */
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream !== 'function') throw new Error('DecompressionStream is not supported by this browser');
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Unpack a ZIP archive.
+ * @param {ArrayBuffer} arrayBuffer archive bytes
+ * @param {(path: string) => boolean} [accept] which file entries to extract; the others are reported as skipped
+ * @returns {Promise<{files: {path: string, bytes: Uint8Array}[], skipped: {path: string, reason: string}[]}>}
+ *   files in archive order; directories are ignored
+ * @throws {Error} when the data is not a (supported) ZIP archive
+ */
+export async function unzip(arrayBuffer, accept = () => true) {
+  const u8 = new Uint8Array(arrayBuffer);
+  const dv = new DataView(arrayBuffer);
+  const eocd = dv.byteLength >= EOCD_MIN_SIZE ? findEocd(dv) : -1;
+  if (eocd < 0) throw new Error('Not a ZIP archive (no end of central directory)');
+  const entryCount = dv.getUint16(eocd + 10, true);
+  const directoryOffset = dv.getUint32(eocd + 16, true);
+  if (directoryOffset === ZIP64_MARKER || entryCount === 0xFFFF) throw new Error('ZIP64 archives are not supported');
+
+  const files = [];
+  const skipped = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > dv.byteLength || dv.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = dv.getUint16(offset + 8, true);
+    const method = dv.getUint16(offset + 10, true);
+    const compressedSize = dv.getUint32(offset + 20, true);
+    const size = dv.getUint32(offset + 24, true);
+    const nameLength = dv.getUint16(offset + 28, true);
+    const extraLength = dv.getUint16(offset + 30, true);
+    const commentLength = dv.getUint16(offset + 32, true);
+    const localOffset = dv.getUint32(offset + 42, true);
+    const path = decodeName(u8.subarray(offset + 46, offset + 46 + nameLength), flags);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue; // directory
+    if (!accept(path)) { skipped.push({ path, reason: 'unsupported file type' }); continue; }
+    if (flags & FLAG_ENCRYPTED) { skipped.push({ path, reason: 'encrypted' }); continue; }
+    if (compressedSize === ZIP64_MARKER || size === ZIP64_MARKER || localOffset === ZIP64_MARKER) {
+      skipped.push({ path, reason: 'ZIP64 entry' });
+      continue;
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      skipped.push({ path, reason: `compression method ${method}` });
+      continue;
+    }
+
+    try {
+      if (localOffset + LOCAL_HEADER_SIZE > dv.byteLength || dv.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+        throw new Error('bad local header');
+      }
+      // The local header has its own name/extra lengths (the extra field often differs from the central one)
+      const dataStart = localOffset + LOCAL_HEADER_SIZE + dv.getUint16(localOffset + 26, true) + dv.getUint16(localOffset + 28, true);
+      if (dataStart + compressedSize > dv.byteLength) throw new Error('truncated data');
+      const data = u8.subarray(dataStart, dataStart + compressedSize);
+      const bytes = method === METHOD_STORED ? data.slice() : await inflateRaw(data);
+      if (bytes.length !== size) throw new Error('size mismatch');
+      files.push({ path, bytes });
+    } catch (error) {
+      skipped.push({ path, reason: `corrupt entry (${error.message})` });
+    }
+  }
+  return { files, skipped };
+}